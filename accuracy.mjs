@@ -0,0 +1,31 @@
+/**
+ * accuracy.mjs
+ *
+ * Reports the errors of each element model against reference ephemerides:
+ *
+ *   node accuracy.mjs [reference.json | body=horizons.txt ...]
+ *
+ * With no arguments, the checked-in reference_ephemeris.json is used. Other
+ * arguments are either reference tables in the same schema, or JPL Horizons
+ * vector tables prefixed with the name of the body they describe.
+ */
+
+import fs from "fs";
+import * as solarplanets from "./index.mjs";
+
+const readJson = path => JSON.parse(fs.readFileSync(new URL(path, import.meta.url)));
+const catalogs = {
+    "standish": readJson("./standish_catalog.json"),
+    "jpl3000": readJson("./jpl_catalog.json")
+};
+const args = process.argv.slice(2);
+const records = [];
+(args.length > 0 ? args : [new URL("./reference_ephemeris.json", import.meta.url)]).forEach(arg => {
+    const match = typeof arg === "string" ? arg.match(/^([a-z]+)=(.+)$/) : null;
+    if (match) {
+        records.push(...solarplanets.getReferenceRecordsFromHorizons(fs.readFileSync(match[2], "utf8"), match[1]));
+    } else {
+        records.push(...JSON.parse(fs.readFileSync(arg)).records);
+    }
+});
+process.stdout.write(solarplanets.getAccuracyTable(solarplanets.getAccuracyFromCatalogs(catalogs, records)));
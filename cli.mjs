@@ -0,0 +1,252 @@
+#!/usr/bin/env node
+/**
+ * cli.mjs
+ *
+ * Command-line queries of catalog body states and ephemeris tables:
+ *
+ *   solarplanets state <body> <epoch> [options]
+ *   solarplanets table <body> --from <epoch> --to <epoch> [--step 1d] [options]
+ *   solarplanets bodies [options]
+ *
+ * Run with --help for the full list of options.
+ */
+
+import fs from "fs";
+import { parseArgs } from "util";
+import * as solarplanets from "./index.mjs";
+
+const getUnitNames = dimension => Object.keys(solarplanets.UNITS).filter(units => solarplanets.UNITS[units].dimension === dimension).join(", ");
+const USAGE = `Usage:
+  solarplanets state <body> <epoch> [options]
+  solarplanets table <body> --from <epoch> --to <epoch> [--step <step>] [options]
+  solarplanets bodies [options]
+
+Epochs are ISO 8601 strings (e.g., 2026-10-19T00:00Z) or julian dates.
+
+Options:
+  --model <name>          Element model to load (${Object.keys(solarplanets.EPHEMERIS_MODELS).join(", ")}; default standish)
+  --catalog <path>        Catalog file to load instead of the model's (repeatable; later files override earlier ones)
+  --frame <frame>         ${Object.keys(solarplanets.FRAMES).join(", ")}, or <center>:<orientation> (e.g., earth:equatorial); default HCEC
+  --units <units>         Position units: ${getUnitNames("length")} (default km)
+  --velocity-units <v>    Velocity units: ${getUnitNames("velocity")} (default matches --units)
+  --time-scale <scale>    Time scale of the given epochs: ${solarplanets.TIME_SCALES.join(", ")} (default UTC)
+  --step <step>           Table step, as a number of days or with a d, h, m, or s suffix (default 1d)
+  --format <format>       state: text or json; table: csv, json, oem, or czml (defaults text and csv)
+  -h, --help              Show this message
+`;
+
+const VELOCITY_UNITS = { "km": "kmps", "m": "mps", "au": "aupd" };
+
+/**
+ * Raised when the command line cannot be interpreted; reported with the usage message.
+ */
+class UsageError extends Error {}
+
+/**
+ * Parses a table step, as a number of days or a number with a d, h, m, or s suffix.
+ *
+ * @param {String} step - Step text (e.g., "1d", "6h", "0.5")
+ * @returns {Number} - Step [days]
+ * @throws {UsageError} - If the step is not a positive duration
+ */
+function getStepDays(step) {
+    const match = String(step).trim().match(/^(\d+(?:\.\d*)?|\.\d+)\s*([dhms]?)$/);
+    const divisors = { "": 1, "d": 1, "h": 24, "m": 1440, "s": 86400 };
+    const step_d = match ? Number(match[1]) / divisors[match[2]] : NaN;
+    if (!(0 < step_d)) {
+        throw new UsageError(`Invalid step "${step}"`);
+    }
+    return step_d;
+}
+
+/**
+ * Interprets an epoch argument, reading bare numbers as julian dates.
+ *
+ * @param {String} epoch - Epoch text
+ * @returns {String|Number} - Epoch, as accepted by getJdFromEpoch()
+ */
+function getEpoch(epoch) {
+    return /^\d+(\.\d*)?$/.test(epoch) ? Number(epoch) : epoch;
+}
+
+/**
+ * Interprets a frame argument, as a frame name or a "center:orientation" pair.
+ *
+ * @param {String} frame - Frame text
+ * @returns {String|Object} - Frame name or { center, orientation } specification
+ */
+function getFrame(frame) {
+    const [center, orientation] = frame.split(":");
+    return orientation === undefined ? frame : { "center": center, "orientation": orientation };
+}
+
+/**
+ * Loads the catalog named by the options: the given catalog files, merged in order, or else the model's catalog together with the satellites catalog.
+ *
+ * @param {Object} values - Parsed options
+ * @returns {Object} - Catalog of element records, keyed by body
+ * @throws {UnknownModelError} - If the model is not registered
+ */
+function getCatalog(values) {
+    const readJson = path => JSON.parse(fs.readFileSync(path, "utf8"));
+    if (values.catalog) {
+        return Object.assign({}, ...values.catalog.map(readJson));
+    }
+    const model = solarplanets.EPHEMERIS_MODELS[values.model];
+    if (!model) {
+        throw new solarplanets.UnknownModelError(`Unknown element model "${values.model}"`, values.model);
+    }
+    return {
+        ...readJson(new URL(`./${model.catalog}`, import.meta.url)),
+        ...readJson(new URL("./satellites_catalog.json", import.meta.url))
+    };
+}
+
+/**
+ * Lists the samples of an ephemeris, with states in the units named by the options.
+ *
+ * @param {Object} ephemeris - Ephemeris, as returned by getEphemerisFromCatalog()
+ * @param {Object} values - Parsed options
+ * @returns {Array} - Samples, as { jd, iso, r, v }
+ * @throws {UnknownUnitError} - If either units option is not recognized
+ */
+function getStates(ephemeris, values) {
+    const unitOptions = { "positionUnits": values.units, "velocityUnits": values["velocity-units"] };
+    return Array.from(ephemeris.jd, (jd, i) => {
+        const [r, v] = solarplanets.getRvInUnits(Array.from(ephemeris.r_km.subarray(3 * i, 3 * i + 3)), Array.from(ephemeris.v_kmps.subarray(3 * i, 3 * i + 3)), unitOptions);
+        return { "jd": jd, "iso": solarplanets.getIsoFromJd(jd), "r": r, "v": v };
+    });
+}
+
+/**
+ * Formats one sample of an ephemeris as aligned "key: value" lines.
+ *
+ * @param {Object} ephemeris - Ephemeris, as returned by getEphemerisFromCatalog()
+ * @param {Object} values - Parsed options
+ * @returns {String} - Text
+ */
+function getStateText(ephemeris, values) {
+    const [state] = getStates(ephemeris, values);
+    const frame = typeof ephemeris.frame === "string" ? ephemeris.frame : `${ephemeris.center}:${ephemeris.orientation}`;
+    const lines = [
+        ["body", ephemeris.body],
+        ["frame", `${frame} (center ${ephemeris.center}, ${ephemeris.orientation} J2000)`],
+        ["epoch", `${state.iso} TDB (JD ${state.jd})`],
+        [`r [${values.units}]`, state.r.join(" ")],
+        [`v [${values["velocity-units"]}]`, state.v.join(" ")]
+    ];
+    const width = Math.max(...lines.map(([key]) => key.length));
+    return lines.map(([key, value]) => `${(key + ":").padEnd(width + 1)} ${value}`).join("\n") + "\n";
+}
+
+/**
+ * Serializes an ephemeris as plain JSON, with arrays in place of typed arrays and states in the requested units.
+ *
+ * @param {Object} ephemeris - Ephemeris, as returned by getEphemerisFromCatalog()
+ * @param {Object} values - Parsed options
+ * @returns {String} - JSON text
+ */
+function getEphemerisJson(ephemeris, values) {
+    return JSON.stringify({
+        "body": ephemeris.body,
+        "frame": ephemeris.frame,
+        "center": ephemeris.center,
+        "orientation": ephemeris.orientation,
+        "timeScale": "TDB",
+        "positionUnits": values.units,
+        "velocityUnits": values["velocity-units"],
+        "states": getStates(ephemeris, values)
+    }, null, 4) + "\n";
+}
+
+/**
+ * Runs the command line, returning the text to print.
+ *
+ * @param {Array} argv - Arguments, without the node executable and script
+ * @returns {String} - Output text
+ */
+function run(argv) {
+    const { values, positionals } = parseArgs({
+        "args": argv,
+        "allowPositionals": true,
+        "options": {
+            "model": { "type": "string", "default": "standish" },
+            "catalog": { "type": "string", "multiple": true },
+            "frame": { "type": "string", "default": "HCEC" },
+            "units": { "type": "string", "default": "km" },
+            "velocity-units": { "type": "string" },
+            "time-scale": { "type": "string", "default": "UTC" },
+            "from": { "type": "string" },
+            "to": { "type": "string" },
+            "step": { "type": "string", "default": "1d" },
+            "format": { "type": "string" },
+            "help": { "type": "boolean", "short": "h" }
+        }
+    });
+    const [command, body, epoch] = positionals;
+    if (values.help || !command) {
+        return USAGE;
+    }
+    values["velocity-units"] = values["velocity-units"] || VELOCITY_UNITS[values.units] || "kmps";
+    const catalog = getCatalog(values);
+    const options = { "frame": getFrame(values.frame), "model": values.catalog ? undefined : values.model, "timeScale": values["time-scale"] };
+    switch (command) {
+        case "bodies": {
+            const rows = Object.keys(catalog).map(name => [
+                name,
+                "epoch_jd" in catalog[name] ? "osculating" : "parent" in catalog[name] ? "satellite" : "planet",
+                "parent" in catalog[name] ? catalog[name].parent : "sun",
+                Object.prototype.hasOwnProperty.call(solarplanets.NAIF_IDS, name) ? String(solarplanets.NAIF_IDS[name]) : ""
+            ]);
+            rows.unshift(["body", "kind", "parent", "naif id"]);
+            const widths = rows[0].map((_, j) => Math.max(...rows.map(row => row[j].length)));
+            return rows.map(row => row.map((cell, j) => cell.padEnd(widths[j])).join("  ").trimEnd()).join("\n") + "\n";
+        }
+        case "state": {
+            if (!body || !epoch) {
+                throw new UsageError("state needs a body and an epoch");
+            }
+            const ephemeris = solarplanets.getEphemerisFromCatalog(catalog, body, getEpoch(epoch), getEpoch(epoch), 1, options);
+            switch (values.format || "text") {
+                case "text":
+                    return getStateText(ephemeris, values);
+                case "json":
+                    return getEphemerisJson(ephemeris, values);
+                default:
+                    throw new UsageError(`Unknown state format "${values.format}"`);
+            }
+        }
+        case "table": {
+            if (!body || !values.from || !values.to) {
+                throw new UsageError("table needs a body, --from, and --to");
+            }
+            const ephemeris = solarplanets.getEphemerisFromCatalog(catalog, body, getEpoch(values.from), getEpoch(values.to), getStepDays(values.step), options);
+            switch (values.format || "csv") {
+                case "csv":
+                    return solarplanets.getCsvFromEphemeris(ephemeris, { "positionUnits": values.units, "velocityUnits": values["velocity-units"] });
+                case "json":
+                    return getEphemerisJson(ephemeris, values);
+                case "oem":
+                    return solarplanets.getOemKvnFromEphemeris(ephemeris);
+                case "czml":
+                    return JSON.stringify(solarplanets.getCzmlFromEphemeris(ephemeris)) + "\n";
+                default:
+                    throw new UsageError(`Unknown table format "${values.format}"`);
+            }
+        }
+        default:
+            throw new UsageError(`Unknown command "${command}"`);
+    }
+}
+
+try {
+    process.stdout.write(run(process.argv.slice(2)));
+} catch (error) {
+    process.stderr.write(`solarplanets: ${error.message}\n`);
+    if (error instanceof UsageError || error.code === "ERR_PARSE_ARGS_UNKNOWN_OPTION") {
+        process.stderr.write(USAGE);
+        process.exitCode = 2;
+    } else {
+        process.exitCode = 1;
+    }
+}
@@ -2,7 +2,402 @@
  * @author <code@tythos.net>
  */
 
-const MU_SUN_KM3PS2 = 1.327e11;
+const C_KMPS = 299792.458;
+const SUN_MASS_RATIOS = {
+    "mercury": 6023600,
+    "venus": 408523.71,
+    "earth": 328900.56,
+    "mars": 3098708,
+    "jupiter": 1047.3486,
+    "saturn": 3497.898,
+    "uranus": 22902.98,
+    "neptune": 19412.24,
+    "pluto": 135200000
+};
+const MPC_BASE62 = "0123456789ABCDEFGHIJKLMNOPQRSTUVWXYZabcdefghijklmnopqrstuvwxyz";
+const WARNED_MODELS = new Set();
+
+/**
+ * Astronomical unit, as fixed by IAU 2012 Resolution B2 [km]
+ */
+export const AU_KM = 149597870.7;
+
+/**
+ * Heliocentric gravitational constant (IAU 2009 system of astronomical constants, TDB-compatible) [km^3/s^2]
+ */
+export const GM_SUN_KM3PS2 = 1.32712440018e11;
+
+/**
+ * Units accepted by getValueInUnits() and the "positionUnits" and "velocityUnits" options of the state functions. Each names its dimension and its size in the base unit of that dimension (km, km/s, rad, or s).
+ */
+export const UNITS = {
+    "km": { "dimension": "length", "scale": 1 },
+    "m": { "dimension": "length", "scale": 1e-3 },
+    "au": { "dimension": "length", "scale": AU_KM },
+    "kmps": { "dimension": "velocity", "scale": 1 },
+    "mps": { "dimension": "velocity", "scale": 1e-3 },
+    "kmpd": { "dimension": "velocity", "scale": 1 / 86400 },
+    "aupd": { "dimension": "velocity", "scale": AU_KM / 86400 },
+    "rad": { "dimension": "angle", "scale": 1 },
+    "deg": { "dimension": "angle", "scale": Math.PI / 180 },
+    "arcmin": { "dimension": "angle", "scale": Math.PI / 10800 },
+    "arcsec": { "dimension": "angle", "scale": Math.PI / 648000 },
+    "mas": { "dimension": "angle", "scale": Math.PI / 648000000 },
+    "s": { "dimension": "time", "scale": 1 },
+    "min": { "dimension": "time", "scale": 60 },
+    "h": { "dimension": "time", "scale": 3600 },
+    "d": { "dimension": "time", "scale": 86400 },
+    "yr": { "dimension": "time", "scale": 365.25 * 86400 },
+    "cy": { "dimension": "time", "scale": 36525 * 86400 }
+};
+
+/**
+ * Named reference frames. Each is defined by a center ("sun", "ssb" for the solar system barycenter, or the name of a catalog body) and an orientation ("ecliptic" for the J2000 ecliptic of the catalogs, or "equatorial" for the J2000 equator, which approximates ICRF). Planet-centered frames may be given directly as { center, orientation } objects.
+ */
+export const FRAMES = {
+    "HCEC": {
+        "center": "sun",
+        "orientation": "ecliptic",
+        "description": "Heliocentric ecliptic J2000"
+    },
+    "HCEQ": {
+        "center": "sun",
+        "orientation": "equatorial",
+        "description": "Heliocentric equatorial J2000 (ICRF approximation)"
+    },
+    "SSBEC": {
+        "center": "ssb",
+        "orientation": "ecliptic",
+        "description": "Barycentric ecliptic J2000 (barycenter approximated from catalog planets)"
+    },
+    "SSBEQ": {
+        "center": "ssb",
+        "orientation": "equatorial",
+        "description": "Barycentric equatorial J2000 (barycenter approximated from catalog planets)"
+    }
+};
+
+/**
+ * Body hierarchy and physical constants. Each body names its parent (the body it orbits, or null for the sun), its gravitational parameter [km^3/s^2], and its equatorial and polar radii [km] (IAU 2015 mean values for the satellites). Planetary values exclude satellites.
+ */
+export const BODIES = {
+    "sun": { "parent": null, "mu_km3ps2": GM_SUN_KM3PS2, "radius_km": 695700, "polarRadius_km": 695700 },
+    "mercury": { "parent": "sun", "mu_km3ps2": 22031.86855, "radius_km": 2440.53, "polarRadius_km": 2438.26 },
+    "venus": { "parent": "sun", "mu_km3ps2": 324858.592, "radius_km": 6051.8, "polarRadius_km": 6051.8 },
+    "earth": { "parent": "sun", "mu_km3ps2": 398600.435436, "radius_km": 6378.1366, "polarRadius_km": 6356.7519 },
+    "mars": { "parent": "sun", "mu_km3ps2": 42828.375214, "radius_km": 3396.19, "polarRadius_km": 3376.2 },
+    "jupiter": { "parent": "sun", "mu_km3ps2": 126686531.9, "radius_km": 71492, "polarRadius_km": 66854 },
+    "saturn": { "parent": "sun", "mu_km3ps2": 37931206.2, "radius_km": 60268, "polarRadius_km": 54364 },
+    "uranus": { "parent": "sun", "mu_km3ps2": 5793951.3, "radius_km": 25559, "polarRadius_km": 24973 },
+    "neptune": { "parent": "sun", "mu_km3ps2": 6835099.5, "radius_km": 24764, "polarRadius_km": 24341 },
+    "pluto": { "parent": "sun", "mu_km3ps2": 869.6, "radius_km": 1188.3, "polarRadius_km": 1188.3 },
+    "moon": { "parent": "earth", "mu_km3ps2": 4902.800066, "radius_km": 1737.4, "polarRadius_km": 1737.4 },
+    "io": { "parent": "jupiter", "mu_km3ps2": 5959.916, "radius_km": 1821.49, "polarRadius_km": 1815.7 },
+    "europa": { "parent": "jupiter", "mu_km3ps2": 3202.739, "radius_km": 1560.8, "polarRadius_km": 1559.5 },
+    "ganymede": { "parent": "jupiter", "mu_km3ps2": 9887.834, "radius_km": 2631.2, "polarRadius_km": 2631.2 },
+    "callisto": { "parent": "jupiter", "mu_km3ps2": 7179.289, "radius_km": 2410.3, "polarRadius_km": 2410.3 },
+    "titan": { "parent": "saturn", "mu_km3ps2": 8978.1382, "radius_km": 2575.0, "polarRadius_km": 2574.47 }
+};
+
+/**
+ * Fundamental arguments of the periodic terms in ROTATION_MODELS, as [value at J2000, rate] in [deg] and [deg/century] (E for the Moon, J for the Jovian system, N for Neptune).
+ */
+export const ROTATION_ARGUMENTS = {
+    "E1": [125.045, -0.0529921 * 36525],
+    "E2": [250.089, -0.1059842 * 36525],
+    "E3": [260.008, 13.0120009 * 36525],
+    "E4": [176.625, 13.3407154 * 36525],
+    "E5": [357.529, 0.9856003 * 36525],
+    "J3": [283.90, 4850.7],
+    "J4": [355.80, 1191.3],
+    "J5": [119.90, 262.1],
+    "J6": [229.80, 64.3],
+    "J8": [113.35, 6070.0],
+    "N": [357.85, 52.316]
+};
+
+/**
+ * IAU WGCCRE (2009) rotation models: the right ascension and declination of each body's north pole, as [value at J2000, rate] in [deg] and [deg/century], and the prime meridian angle W, as [value at J2000, rate] in [deg] and [deg/day], all referred to the J2000 equator. Periodic terms are listed as [amplitude, argument] pairs (sines for raTerms and wTerms, cosines for decTerms) over ROTATION_ARGUMENTS; terms smaller than 0.01 degrees are omitted.
+ */
+export const ROTATION_MODELS = {
+    "sun": { "ra_deg": [286.13, 0], "dec_deg": [63.87, 0], "w_deg": [84.176, 14.1844] },
+    "mercury": { "ra_deg": [281.0097, -0.0328], "dec_deg": [61.4143, -0.0049], "w_deg": [329.5469, 6.1385025] },
+    "venus": { "ra_deg": [272.76, 0], "dec_deg": [67.16, 0], "w_deg": [160.20, -1.4813688] },
+    "earth": { "ra_deg": [0.00, -0.641], "dec_deg": [90.00, -0.557], "w_deg": [190.147, 360.9856235] },
+    "mars": { "ra_deg": [317.68143, -0.1061], "dec_deg": [52.88650, -0.0609], "w_deg": [176.630, 350.89198226] },
+    "jupiter": { "ra_deg": [268.056595, -0.006499], "dec_deg": [64.495303, 0.002413], "w_deg": [284.95, 870.536] },
+    "saturn": { "ra_deg": [40.589, -0.036], "dec_deg": [83.537, -0.004], "w_deg": [38.90, 810.7939024] },
+    "uranus": { "ra_deg": [257.311, 0], "dec_deg": [-15.175, 0], "w_deg": [203.81, -501.1600928] },
+    "neptune": {
+        "ra_deg": [299.36, 0], "dec_deg": [43.46, 0], "w_deg": [253.18, 536.3128492],
+        "raTerms": [[0.70, "N"]], "decTerms": [[-0.51, "N"]], "wTerms": [[-0.48, "N"]]
+    },
+    "pluto": { "ra_deg": [132.993, 0], "dec_deg": [-6.163, 0], "w_deg": [302.695, 56.3625225] },
+    "moon": {
+        "ra_deg": [269.9949, 0.0031], "dec_deg": [66.5392, 0.0130], "w_deg": [38.3213, 13.17635815],
+        "raTerms": [[-3.8787, "E1"], [-0.1204, "E2"], [0.0700, "E3"], [-0.0172, "E4"]],
+        "decTerms": [[1.5419, "E1"], [0.0239, "E2"], [-0.0278, "E3"]],
+        "wTerms": [[3.5610, "E1"], [0.1208, "E2"], [-0.0642, "E3"], [0.0158, "E4"], [0.0252, "E5"]]
+    },
+    "io": {
+        "ra_deg": [268.05, -0.009], "dec_deg": [64.50, 0.003], "w_deg": [200.39, 203.4889538],
+        "raTerms": [[0.094, "J3"], [0.024, "J4"]], "decTerms": [[0.040, "J3"], [0.011, "J4"]], "wTerms": [[-0.085, "J3"], [-0.022, "J4"]]
+    },
+    "europa": {
+        "ra_deg": [268.08, -0.009], "dec_deg": [64.51, 0.003], "w_deg": [36.022, 101.3747235],
+        "raTerms": [[1.086, "J4"], [0.060, "J5"], [0.015, "J6"]], "decTerms": [[0.468, "J4"], [0.026, "J5"]], "wTerms": [[-0.980, "J4"], [-0.054, "J5"], [-0.014, "J6"]]
+    },
+    "ganymede": {
+        "ra_deg": [268.20, -0.009], "dec_deg": [64.57, 0.003], "w_deg": [44.064, 50.3176081],
+        "raTerms": [[-0.037, "J4"], [0.431, "J5"], [0.091, "J6"]], "decTerms": [[-0.016, "J4"], [0.186, "J5"], [0.039, "J6"]], "wTerms": [[0.033, "J4"], [-0.389, "J5"], [-0.082, "J6"]]
+    },
+    "callisto": {
+        "ra_deg": [268.72, -0.009], "dec_deg": [64.83, 0.003], "w_deg": [259.51, 21.5710715],
+        "raTerms": [[-0.068, "J5"], [0.590, "J6"], [0.010, "J8"]], "decTerms": [[-0.029, "J5"], [0.254, "J6"]], "wTerms": [[0.061, "J5"], [-0.533, "J6"]]
+    },
+    "titan": { "ra_deg": [39.4827, 0], "dec_deg": [83.4279, 0], "w_deg": [186.5855, 22.5769768] }
+};
+
+/**
+ * NAIF integer IDs of the bodies and frame centers known to this module, as used by SPICE. Catalog planets map to their system barycenters, which is what the mean elements describe.
+ */
+export const NAIF_IDS = {
+    "ssb": 0,
+    "mercury": 1,
+    "venus": 2,
+    "earth": 3,
+    "mars": 4,
+    "jupiter": 5,
+    "saturn": 6,
+    "uranus": 7,
+    "neptune": 8,
+    "pluto": 9,
+    "sun": 10,
+    "moon": 301,
+    "io": 501,
+    "europa": 502,
+    "ganymede": 503,
+    "callisto": 504,
+    "titan": 606
+};
+
+/**
+ * Supported time scales. Element models are evaluated in TDB; a JS Date (and, by default, any other epoch) is interpreted as UTC.
+ */
+export const TIME_SCALES = ["UTC", "TAI", "TT", "TDB"];
+
+/**
+ * Leap-second table, as [MJD (UTC) on which the offset takes effect, TAI - UTC in seconds]. Dates before 1972 are held at the initial offset of 10 seconds.
+ */
+export const LEAP_SECONDS = [
+    [41317, 10], // 1972-01-01
+    [41499, 11], // 1972-07-01
+    [41683, 12], // 1973-01-01
+    [42048, 13], // 1974-01-01
+    [42413, 14], // 1975-01-01
+    [42778, 15], // 1976-01-01
+    [43144, 16], // 1977-01-01
+    [43509, 17], // 1978-01-01
+    [43874, 18], // 1979-01-01
+    [44239, 19], // 1980-01-01
+    [44786, 20], // 1981-07-01
+    [45151, 21], // 1982-07-01
+    [45516, 22], // 1983-07-01
+    [46247, 23], // 1985-07-01
+    [47161, 24], // 1988-01-01
+    [47892, 25], // 1990-01-01
+    [48257, 26], // 1991-01-01
+    [48804, 27], // 1992-07-01
+    [49169, 28], // 1993-07-01
+    [49534, 29], // 1994-07-01
+    [50083, 30], // 1996-01-01
+    [50630, 31], // 1997-07-01
+    [51179, 32], // 1999-01-01
+    [53736, 33], // 2006-01-01
+    [54832, 34], // 2009-01-01
+    [56109, 35], // 2012-07-01
+    [57204, 36], // 2015-07-01
+    [57754, 37] // 2017-01-01
+];
+
+/**
+ * Registry of supported element models, keyed by model name. Each entry names the catalog file (in the same schema as standish_catalog.json) that holds its elements, and the span of julian dates over which its fit is stated to be valid.
+ */
+export const EPHEMERIS_MODELS = {
+    "standish": {
+        "catalog": "standish_catalog.json",
+        "description": "Standish et al. (1992) mean elements, as tabulated by Curtis; 1800 AD to 2050 AD",
+        "startJd": 2378496.5,
+        "stopJd": 2470172.5
+    },
+    "jpl3000": {
+        "catalog": "jpl_catalog.json",
+        "description": "JPL Keplerian elements for approximate positions, with outer-planet mean anomaly corrections; 3000 BC to 3000 AD",
+        "startJd": 625697.5,
+        "stopJd": 2817152.5
+    }
+};
+
+/**
+ * Names of the fields every element record must define, in the schema of standish_catalog.json.
+ */
+export const ELEMENT_FIELDS = ["a_au", "da_au", "e", "de", "inc_deg", "dinc_sec", "raan_deg", "draan_sec", "lop_deg", "dlop_sec", "ml_deg", "dml_sec"];
+
+/**
+ * Names of optional element record fields (the long-span mean anomaly correction terms, and the semi-latus rectum of parabolic records); if present, they must also be numeric.
+ */
+export const OPTIONAL_ELEMENT_FIELDS = ["b_deg", "c_deg", "s_deg", "f_deg", "p_au"];
+
+/**
+ * Validity modes accepted by checkModelValidity(), and by the "validity" option of the state functions.
+ */
+export const VALIDITY_MODES = ["strict", "warn", "once", "off"];
+
+/**
+ * Names of the fields every satellite element record must define, in the schema of satellites_catalog.json. Records with a "laplace" frame must also define poleRa_deg and poleDec_deg.
+ */
+export const SATELLITE_ELEMENT_FIELDS = ["a_km", "e", "inc_deg", "raan_deg", "aop_deg", "ma_deg", "n_degpd", "paop_yr", "praan_yr"];
+
+/**
+ * Names of the fields every osculating element record (as produced by the MPC and SBDB parsers) must define. Elements are heliocentric ecliptic J2000, and epoch_jd is a TDB julian date.
+ */
+export const OSCULATING_ELEMENT_FIELDS = ["epoch_jd", "q_au", "e", "inc_deg", "raan_deg", "aop_deg"];
+
+/**
+ * Names of optional osculating element record fields; a record must give at least one of ma_deg (at epoch_jd) or tp_jd (TDB), and may carry the absolute magnitude H and slope parameter G.
+ */
+export const OPTIONAL_OSCULATING_ELEMENT_FIELDS = ["a_au", "ma_deg", "tp_jd", "H", "G"];
+
+/**
+ * Base class for all errors raised by this module, so callers can catch them as a group.
+ */
+export class SolarPlanetsError extends Error {
+    constructor(message) {
+        super(message);
+        this.name = this.constructor.name;
+    }
+}
+
+/**
+ * Raised when an iterative solver fails to converge within its iteration limit.
+ */
+export class ConvergenceError extends SolarPlanetsError {
+    constructor(message, iterations) {
+        super(message);
+        this.iterations = iterations;
+    }
+}
+
+/**
+ * Raised when an eccentricity is outside the range supported by the requested formulation.
+ */
+export class InvalidEccentricityError extends SolarPlanetsError {
+    constructor(message, e) {
+        super(message);
+        this.e = e;
+    }
+}
+
+/**
+ * Raised when an element record does not match the catalog schema; the offending field names are listed.
+ */
+export class InvalidElementsError extends SolarPlanetsError {
+    constructor(message, fields) {
+        super(message);
+        this.fields = fields;
+    }
+}
+
+/**
+ * Raised when a body is not found within a catalog.
+ */
+export class UnknownBodyError extends SolarPlanetsError {
+    constructor(message, body) {
+        super(message);
+        this.body = body;
+    }
+}
+
+/**
+ * Raised when a model name is not found within EPHEMERIS_MODELS.
+ */
+export class UnknownModelError extends SolarPlanetsError {
+    constructor(message, modelName) {
+        super(message);
+        this.modelName = modelName;
+    }
+}
+
+/**
+ * Raised when an epoch cannot be parsed, or a time scale is not one of TIME_SCALES.
+ */
+export class InvalidEpochError extends SolarPlanetsError {
+    constructor(message, epoch) {
+        super(message);
+        this.epoch = epoch;
+    }
+}
+
+/**
+ * Raised when a boundary-value problem (such as Lambert's problem for a given number of revolutions) has no solution.
+ */
+export class NoSolutionError extends SolarPlanetsError {
+    constructor(message) {
+        super(message);
+    }
+}
+
+/**
+ * Raised when a frame name or specification cannot be resolved.
+ */
+export class UnknownFrameError extends SolarPlanetsError {
+    constructor(message, frame) {
+        super(message);
+        this.frame = frame;
+    }
+}
+
+/**
+ * Raised (in "strict" validity mode) when a datetime falls outside the stated validity span of an element model.
+ */
+export class OutOfValidityError extends SolarPlanetsError {
+    constructor(message, modelName, JD) {
+        super(message);
+        this.modelName = modelName;
+        this.JD = JD;
+    }
+}
+
+/**
+ * Raised when an argument or option is outside the values a function accepts (e.g., an unknown mode, or a step or duration that is not positive); the argument's name and value are kept.
+ */
+export class InvalidArgumentError extends SolarPlanetsError {
+    constructor(message, argument, value) {
+        super(message);
+        this.argument = argument;
+        this.value = value;
+    }
+}
+
+/**
+ * Raised when a unit name is not recognized.
+ */
+export class UnknownUnitError extends SolarPlanetsError {
+    constructor(message, unit) {
+        super(message);
+        this.unit = unit;
+    }
+}
+
+/**
+ * Raised when a Chebyshev ephemeris, its fit settings, or its serialized form is malformed; the offending field names are listed.
+ */
+export class InvalidEphemerisError extends SolarPlanetsError {
+    constructor(message, fields) {
+        super(message);
+        this.fields = fields;
+    }
+}
 
 /**
  * Returns integer fraction of given floating point value.
@@ -71,6 +466,137 @@ export function getJulianCenturies(JD) {
     return (JD - 2451545) / 36525;
 }
 
+/**
+ * Computes the julian date value directly from a Date object. Unlike Eq. 5.48 (which is only valid from 1901 to 2099), this is valid over the full proleptic Gregorian range that a Date can represent.
+ * 
+ * @param {Date} dt - Datetime to convert
+ * @returns {Number} - Julian date value
+ */
+export function getJdFromDate(dt) {
+    return dt.getTime() / 86400000 + 2440587.5;
+}
+
+/**
+ * Computes the offset TAI - UTC from the leap-second table at the given UTC julian date.
+ * 
+ * @param {Number} jdUtc - Julian date (UTC)
+ * @returns {Number} - TAI - UTC [s]
+ */
+export function getTaiMinusUtc(jdUtc) {
+    const mjd = jdUtc - 2400000.5;
+    let offset_s = LEAP_SECONDS[0][1];
+    for (let i = 0; i < LEAP_SECONDS.length && LEAP_SECONDS[i][0] <= mjd; i += 1) {
+        offset_s = LEAP_SECONDS[i][1];
+    }
+    return offset_s;
+}
+
+/**
+ * Computes the periodic offset TDB - TT, using the two leading terms of the series (amplitude of ~1.7 milliseconds) driven by the earth's mean anomaly.
+ * 
+ * @param {Number} jdTt - Julian date (TT)
+ * @returns {Number} - TDB - TT [s]
+ */
+export function getTdbMinusTt(jdTt) {
+    const g_rad = (357.53 + 0.98560028 * (jdTt - 2451545)) * UNITS.deg.scale;
+    return 0.001657 * Math.sin(g_rad) + 0.000014 * Math.sin(2 * g_rad);
+}
+
+/**
+ * Converts a julian date from one time scale to another. Conversions pass through TT: UTC and TAI differ by the leap-second table, TT = TAI + 32.184 seconds, and TDB differs from TT by getTdbMinusTt().
+ * 
+ * @param {Number} jd - Julian date in the "from" scale
+ * @param {String} fromScale - One of TIME_SCALES
+ * @param {String} toScale - One of TIME_SCALES
+ * @returns {Number} - Julian date in the "to" scale
+ * @throws {InvalidEpochError} - If either time scale is not supported
+ */
+export function getJdInTimeScale(jd, fromScale, toScale) {
+    [fromScale, toScale].forEach(scale => {
+        if (!TIME_SCALES.includes(scale)) {
+            throw new InvalidEpochError(`Unknown time scale "${scale}"`, scale);
+        }
+    });
+    if (fromScale === toScale) {
+        return jd;
+    }
+
+    // convert to TT
+    let jdTt = jd;
+    if (fromScale === "UTC") {
+        jdTt = jd + (getTaiMinusUtc(jd) + 32.184) / 86400;
+    } else if (fromScale === "TAI") {
+        jdTt = jd + 32.184 / 86400;
+    } else if (fromScale === "TDB") {
+        jdTt = jd - getTdbMinusTt(jd) / 86400;
+    }
+
+    // convert from TT
+    if (toScale === "TAI") {
+        return jdTt - 32.184 / 86400;
+    } else if (toScale === "TDB") {
+        return jdTt + getTdbMinusTt(jdTt) / 86400;
+    } else if (toScale === "UTC") {
+        const jdTai = jdTt - 32.184 / 86400;
+        const jdUtc = jdTai - getTaiMinusUtc(jdTai) / 86400;
+        return jdTai - getTaiMinusUtc(jdUtc) / 86400;
+    }
+    return jdTt;
+}
+
+/**
+ * Computes the julian date of an epoch, without changing its time scale. Epochs may be given as a Date, a julian date (Number), an object with a "jd" or "mjd" property, or an ISO 8601 string (e.g., "2026-10-19T00:00:00.123456Z"); strings are parsed directly so that sub-millisecond digits are kept.
+ * 
+ * @param {Date|Number|String|Object} epoch - Epoch to convert
+ * @returns {Number} - Julian date value
+ * @throws {InvalidEpochError} - If the epoch cannot be interpreted
+ */
+export function getJdFromEpoch(epoch) {
+    let JD = NaN;
+    if (epoch instanceof Date) {
+        JD = getJdFromDate(epoch);
+    } else if (typeof epoch === "number") {
+        JD = epoch;
+    } else if (typeof epoch === "string") {
+        const match = epoch.trim().match(/^([+-]?\d{4,6})-(\d{2})-(\d{2})(?:[T ](\d{2}):(\d{2})(?::(\d{2}(?:\.\d+)?))?)?(Z|[+-]\d{2}:?\d{2})?$/);
+        if (match) {
+            const [, y, m, d, H, M, S, zone] = match;
+            const day = new Date(Date.UTC(2000, 0, 1));
+            day.setUTCFullYear(Number(y), Number(m) - 1, Number(d));
+            const offset_min = zone && zone !== "Z" ? (zone[0] === "-" ? -1 : 1) * (Number(zone.slice(1, 3)) * 60 + Number(zone.slice(-2))) : 0;
+            JD = getJdFromDate(day) + (getUtFromTimevec(Number(H || 0), Number(M || 0) - offset_min, Number(S || 0))) / 24;
+        }
+    } else if (epoch && typeof epoch === "object") {
+        JD = "jd" in epoch ? epoch.jd : epoch.mjd + 2400000.5;
+    }
+    if (!Number.isFinite(JD)) {
+        throw new InvalidEpochError(`Cannot interpret epoch ${JSON.stringify(epoch)}`, epoch);
+    }
+    return JD;
+}
+
+/**
+ * Computes the TDB julian date, the time scale in which element models are evaluated, of an epoch given in any of the forms accepted by getJdFromEpoch().
+ * 
+ * @param {Date|Number|String|Object} epoch - Epoch to convert
+ * @param {String} timeScale - Time scale in which the epoch is expressed; one of TIME_SCALES
+ * @returns {Number} - Julian date (TDB)
+ */
+export function getTdbFromEpoch(epoch, timeScale = "UTC") {
+    return getJdInTimeScale(getJdFromEpoch(epoch), timeScale, "TDB");
+}
+
+/**
+ * Computes the mean obliquity of the ecliptic (IAU 1976, per Lieske) at the given time. Evaluated at T0 = 0, this is the J2000 obliquity that relates the heliocentric ecliptic frame of the catalogs to the J2000 equator.
+ * 
+ * @param {Number} T0 - Number of julian centuries from J2000
+ * @returns {Number} - Mean obliquity of the ecliptic [rad]
+ */
+export function getMeanObliquity(T0 = 0) {
+    const eps_sec = 84381.448 - 46.8150 * T0 - 0.00059 * T0 * T0 + 0.001813 * T0 * T0 * T0;
+    return eps_sec * UNITS.arcsec.scale;
+}
+
 /**
  * Computes the "current" element from a linear approximation from an epoch and the current time.
  * 
@@ -84,13 +610,29 @@ export function getCurrentElements(Q0, dQ, T0) {
 }
 
 /**
- * Computes angular momentum (scalar) given shape of solar orbit (e.g., semi-major axis and eccentricity).
+ * Computes the additional mean anomaly terms (b * T^2 + c * cos(f * T) + s * sin(f * T)) used by the long-span JPL model for the outer planets. Records without these terms (e.g., the Standish catalog) yield zero.
+ * 
+ * @param {Object} planetaryOrbitalElements - Planetary orbital elements model, optionally including b_deg, c_deg, s_deg, and f_deg terms
+ * @param {Number} T0 - Number of julian centuries from epoch
+ * @returns {Number} - Mean anomaly correction [rad]
+ */
+export function getMeanAnomalyCorrection(planetaryOrbitalElements, T0) {
+    const d2r = UNITS.deg.scale;
+    const b = planetaryOrbitalElements.b_deg || 0;
+    const c = planetaryOrbitalElements.c_deg || 0;
+    const s = planetaryOrbitalElements.s_deg || 0;
+    const f = planetaryOrbitalElements.f_deg || 0;
+    return (b * T0 * T0 + c * Math.cos(f * T0 * d2r) + s * Math.sin(f * T0 * d2r)) * d2r;
+}
+
+/**
+ * Computes angular momentum (scalar) given shape of solar orbit (e.g., semi-major axis and eccentricity). Hyperbolic orbits are supported by the usual convention of a negative semi-major axis.
  * 
  * @param {Number} a_km - Semi-major axis [km]
  * @param {Number} e - Eccentricity
  * @returns {Number} - Angular momentum (km^2/s)
  */
-export function getAngularMomentum(a_km, e, mu_km3ps2 = MU_SUN_KM3PS2) {
+export function getAngularMomentum(a_km, e, mu_km3ps2 = GM_SUN_KM3PS2) {
     return Math.sqrt(mu_km3ps2 * a_km * (1 - e * e));
 }
 
@@ -119,12 +661,19 @@ export function getMaFromMlLop(ml_rad, lop_rad) {
 /**
  * Computes eccentric anomaly from mean anomaly and eccentricity. This implements equation Eq. 3.14, solving Kepler's equation numerically via Alg. 3.1.
  * 
+ * For near-parabolic orbits (e > 0.8) the iteration starts from E = pi instead, from which Newton's method converges for any mean anomaly.
+ * 
  * @param {Number} M_rad - Mean anomly [rad]
  * @param {Number} e - Eccentricity
  * @returns {Number} - Eccentric anomaly [rad]
+ * @throws {InvalidEccentricityError} - If e is not within [0,1)
+ * @throws {ConvergenceError} - If the iteration limit is reached before convergence
  */
 export function getEaFromMaE(M_rad, e) {
-    let E_rad = M_rad < Math.PI ? M_rad + 0.5 * e : M_rad - 0.5 * e;
+    if (!(0 <= e && e < 1)) {
+        throw new InvalidEccentricityError(`Elliptical Kepler's equation requires 0 <= e < 1 (got ${e})`, e);
+    }
+    let E_rad = 0.8 < e ? Math.PI : M_rad < Math.PI ? M_rad + 0.5 * e : M_rad - 0.5 * e;
     let isConverged = false;
     let isOverrun = false;
     let n = 0;
@@ -141,6 +690,9 @@ export function getEaFromMaE(M_rad, e) {
             E_rad = E_rad - r;
         }
     }
+    if (!isConverged) {
+        throw new ConvergenceError(`Kepler's equation did not converge for M=${M_rad}, e=${e}`, n);
+    }
     return E_rad;
 }
 
@@ -157,100 +709,362 @@ export function getTaFromEaE(E_rad, e) {
 }
 
 /**
- * Computes position in perifocal (PQW) frame given angular momentum, eccentricity, and true anomaly.
+ * Computes eccentric anomaly from true anomaly and eccentricity; this is the inverse of getTaFromEaE().
  * 
- * @param {Number} h_km2ps - Angular momentum scalar [km^2/s]
- * @param {Number} e - Eccentricity
  * @param {Number} tht_rad - True anomaly [rad]
- * @returns {Array} - Position in PQR frame [km]
+ * @param {Number} e - Eccentricity
+ * @returns {Number} - Eccentric anomaly [rad]
  */
-export function getRpqwFromHETht(h_km2ps, e, tht_rad, mu_km3ps2 = MU_SUN_KM3PS2) {
-    const c = h_km2ps * h_km2ps / (mu_km3ps2 * (1 + e * Math.cos(tht_rad)));
-    return [
-        c * Math.cos(tht_rad),
-        c * Math.sin(tht_rad),
-        0
-    ];
+export function getEaFromTaE(tht_rad, e) {
+    const E_rad = 2.0 * Math.atan2(Math.tan(0.5 * tht_rad) * Math.sqrt(1 - e), Math.sqrt(1 + e));
+    return posmod(E_rad, 2 * Math.PI);
 }
 
 /**
- * Computes velocity in perifocal (PQR) frame given angular momentum, eccentricity, and true anomaly.
+ * Computes mean anomaly from eccentric anomaly and eccentricity by direct evaluation of Kepler's equation (Eq. 3.14).
  * 
- * @param {Number} h_km2ps - Angular momentum scalar [km^2/s]
+ * @param {Number} E_rad - Eccentric anomaly [rad]
  * @param {Number} e - Eccentricity
- * @param {Number} tht_rad - True anomaly [rad]
- * @returns {Array} - Velocity in PQR frame [km/s]
+ * @returns {Number} - Mean anomaly [rad]
  */
-export function getVpqwFromHETht(h_km2ps, e, tht_rad, mu_km3ps2 = MU_SUN_KM3PS2) {
-    const c = mu_km3ps2 / h_km2ps;
-    return [
-        c * -Math.sin(tht_rad),
-        c * (e + Math.cos(tht_rad)),
-        0
-    ];
+export function getMaFromEaE(E_rad, e) {
+    return posmod(E_rad - e * Math.sin(E_rad), 2 * Math.PI);
 }
 
 /**
- * Computes a matrix for vector rotation (not frame transformation) about the x axis by the given angle.
+ * Computes hyperbolic anomaly from hyperbolic mean anomaly and eccentricity. This implements Eq. 3.45, solving Kepler's equation for the hyperbola numerically via Alg. 3.2.
  * 
- * @param {Number} rad - Angle about the x axis [rad]
- * @returns {Array} - Frame transformation as a 3x3 matrix (e.g., array of arrays)
+ * @param {Number} Mh_rad - Hyperbolic mean anomaly [rad]
+ * @param {Number} e - Eccentricity (greater than 1)
+ * @returns {Number} - Hyperbolic anomaly [rad]
+ * @throws {InvalidEccentricityError} - If e is not greater than 1
+ * @throws {ConvergenceError} - If the iteration limit is reached before convergence
  */
-export function r1(rad) {
-    const c = Math.cos(rad);
-    const s = Math.sin(rad);
-    return [
-        [1, 0, 0],
-        [0, c, -s],
-        [0, s, c]
-    ];
+export function getHaFromMaE(Mh_rad, e) {
+    if (!(1 < e)) {
+        throw new InvalidEccentricityError(`Hyperbolic Kepler's equation requires e > 1 (got ${e})`, e);
+    }
+    let F_rad = Math.asinh(Mh_rad / e);
+    let isConverged = false;
+    let isOverrun = false;
+    let n = 0;
+    const nMax = 1e3;
+    const tol = 1e-8;
+    while (!isConverged && !isOverrun) {
+        const f = e * Math.sinh(F_rad) - F_rad - Mh_rad;
+        const df = e * Math.cosh(F_rad) - 1;
+        const r = f / df;
+        n += 1;
+        isConverged = Math.abs(r) < tol;
+        isOverrun = nMax < n;
+        if (!isConverged) {
+            F_rad = F_rad - r;
+        }
+    }
+    if (!isConverged) {
+        throw new ConvergenceError(`Hyperbolic Kepler's equation did not converge for Mh=${Mh_rad}, e=${e}`, n);
+    }
+    return F_rad;
 }
 
 /**
- * Computes a matrix for vector rotation (not frame transformation) about the z axis by the given angle.
+ * Computes true anomaly from hyperbolic anomaly and eccentricity (Eq. 3.42). Unlike the elliptical case, the result is not wrapped; it lies within the asymptotes of the hyperbola.
  * 
- * @param {Number} rad - Angle about the z axis [rad]
- * @returns {Array} - Frame transformation as a 3x3 matrix (e.g., array of arrays)
+ * @param {Number} F_rad - Hyperbolic anomaly [rad]
+ * @param {Number} e - Eccentricity (greater than 1)
+ * @returns {Number} - True anomaly within (-pi,pi) [rad]
  */
-export function r3(rad) {
-    const c = Math.cos(rad);
-    const s = Math.sin(rad);
-    return [
-        [c, -s, 0],
-        [s, c, 0],
-        [0, 0, 1]
-    ];
+export function getTaFromHaE(F_rad, e) {
+    return 2.0 * Math.atan(Math.sqrt((e + 1) / (e - 1)) * Math.tanh(0.5 * F_rad));
 }
 
 /**
- * Computes a matrix for frame transformation (not vector rotation) about the x axis by the given angle.
+ * Computes hyperbolic anomaly from true anomaly and eccentricity; this is the inverse of getTaFromHaE().
  * 
- * @param {Number} rad - Angle about the x axis [rad]
- * @returns {Array} - Frame transformation as a 3x3 matrix (e.g., array of arrays)
+ * @param {Number} tht_rad - True anomaly [rad]
+ * @param {Number} e - Eccentricity (greater than 1)
+ * @returns {Number} - Hyperbolic anomaly [rad]
  */
-export function R1(rad) {
-    const c = Math.cos(rad);
-    const s = Math.sin(rad);
-    return [
-        [1, 0, 0],
-        [0, c, s],
-        [0, -s, c]
-    ];
+export function getHaFromTaE(tht_rad, e) {
+    return 2.0 * Math.atanh(Math.sqrt((e - 1) / (e + 1)) * Math.tan(0.5 * tht_rad));
 }
 
 /**
- * Computes a matrix for frame transformation (not vector rotation) about the z axis by the given angle.
+ * Computes hyperbolic mean anomaly from hyperbolic anomaly and eccentricity by direct evaluation of Eq. 3.45.
  * 
- * @param {Number} rad - Angle about the z axis [rad]
- * @returns {Array} - Frame transformation as a 3x3 matrix (e.g., array of arrays)
+ * @param {Number} F_rad - Hyperbolic anomaly [rad]
+ * @param {Number} e - Eccentricity (greater than 1)
+ * @returns {Number} - Hyperbolic mean anomaly [rad]
  */
-export function R3(rad) {
-    const c = Math.cos(rad);
-    const s = Math.sin(rad);
-    return [
-        [c, s, 0],
-        [-s, c, 0],
-        [0, 0, 1]
+export function getMaFromHaE(F_rad, e) {
+    return e * Math.sinh(F_rad) - F_rad;
+}
+
+/**
+ * Computes true anomaly of a parabolic orbit from its mean anomaly, using the closed-form solution (Eq. 3.32) to Barker's equation.
+ * 
+ * @param {Number} Mp_rad - Parabolic mean anomaly, mu^2 / h^3 * (t - tp) [rad]
+ * @returns {Number} - True anomaly within (-pi,pi) [rad]
+ */
+export function getTaFromMpBarker(Mp_rad) {
+    const c = 3 * Mp_rad + Math.sqrt(9 * Mp_rad * Mp_rad + 1);
+    const w = Math.cbrt(c) - 1 / Math.cbrt(c);
+    return 2.0 * Math.atan(w);
+}
+
+/**
+ * Computes parabolic mean anomaly from true anomaly by direct evaluation of Barker's equation (Eq. 3.30).
+ * 
+ * @param {Number} tht_rad - True anomaly [rad]
+ * @returns {Number} - Parabolic mean anomaly [rad]
+ */
+export function getMpFromTaBarker(tht_rad) {
+    const w = Math.tan(0.5 * tht_rad);
+    return 0.5 * w + w * w * w / 6;
+}
+
+/**
+ * Computes true anomaly from the mean anomaly of an orbit of any eccentricity, dispatching to the elliptical, parabolic (Barker), or hyperbolic formulation as appropriate.
+ * 
+ * @param {Number} M_rad - Mean anomaly (elliptical, parabolic, or hyperbolic, depending on e) [rad]
+ * @param {Number} e - Eccentricity
+ * @returns {Number} - True anomaly [rad]
+ * @throws {InvalidEccentricityError} - If e is negative (or not a number)
+ */
+export function getTaFromMaE(M_rad, e) {
+    if (!(0 <= e)) {
+        throw new InvalidEccentricityError(`Eccentricity must be non-negative (got ${e})`, e);
+    }
+    if (e < 1) {
+        return getTaFromEaE(getEaFromMaE(M_rad, e), e);
+    } else if (e === 1) {
+        return getTaFromMpBarker(M_rad);
+    }
+    return getTaFromHaE(getHaFromMaE(M_rad, e), e);
+}
+
+/**
+ * Evaluates the Stumpff function C(z) (Eq. 3.53) used by the universal-variable formulation. A series expansion is used near z = 0 to avoid cancellation.
+ * 
+ * @param {Number} z - Universal-variable argument, alpha * chi^2
+ * @returns {Number} - Value of C(z)
+ */
+export function getStumpffC(z) {
+    if (Math.abs(z) < 1e-3) {
+        return 1 / 2 - z / 24 + z * z / 720 - z * z * z / 40320;
+    } else if (0 < z) {
+        return (1 - Math.cos(Math.sqrt(z))) / z;
+    }
+    return (Math.cosh(Math.sqrt(-z)) - 1) / -z;
+}
+
+/**
+ * Evaluates the Stumpff function S(z) (Eq. 3.52) used by the universal-variable formulation. A series expansion is used near z = 0 to avoid cancellation.
+ * 
+ * @param {Number} z - Universal-variable argument, alpha * chi^2
+ * @returns {Number} - Value of S(z)
+ */
+export function getStumpffS(z) {
+    if (Math.abs(z) < 1e-3) {
+        return 1 / 6 - z / 120 + z * z / 5040 - z * z * z / 362880;
+    } else if (0 < z) {
+        const sz = Math.sqrt(z);
+        return (sz - Math.sin(sz)) / (sz * sz * sz);
+    }
+    const sz = Math.sqrt(-z);
+    return (Math.sinh(sz) - sz) / (sz * sz * sz);
+}
+
+/**
+ * Computes the universal anomaly after the given time of flight from an initial state. This implements Alg. 3.3, solving the universal Kepler's equation (Eq. 3.49) by Newton's method; starting guesses are chosen per conic section so that near-parabolic and hyperbolic cases converge reliably.
+ * 
+ * @param {Array} r0_km - Initial position [km]
+ * @param {Array} v0_kmps - Initial velocity [km/s]
+ * @param {Number} dt_s - Time of flight [s]
+ * @param {Number} mu_km3ps2 - Gravitational parameter of the central body [km^3/s^2]
+ * @returns {Number} - Universal anomaly [km^0.5]
+ * @throws {ConvergenceError} - If the iteration limit is reached before convergence
+ */
+export function getUniversalAnomaly(r0_km, v0_kmps, dt_s, mu_km3ps2 = GM_SUN_KM3PS2) {
+    const r0 = getVecNorm(r0_km);
+    const v0 = getVecNorm(v0_kmps);
+    const vr0 = getDotProd(r0_km, v0_kmps) / r0;
+    const alpha = 2 / r0 - v0 * v0 / mu_km3ps2;
+    const smu = Math.sqrt(mu_km3ps2);
+
+    // choose a starting guess appropriate to the conic section
+    let chi;
+    if (1e-12 < alpha) {
+        chi = smu * alpha * dt_s;
+    } else if (alpha < -1e-12) {
+        const a_km = 1 / alpha;
+        const sgn = Math.sign(dt_s);
+        chi = sgn * Math.sqrt(-a_km) * Math.log(-2 * mu_km3ps2 * alpha * dt_s / (r0 * vr0 + sgn * Math.sqrt(-mu_km3ps2 * a_km) * (1 - r0 * alpha)));
+    } else {
+        const h_km2ps = getVecNorm(getCrossProd(r0_km, v0_kmps));
+        const p_km = h_km2ps * h_km2ps / mu_km3ps2;
+        const s = 0.5 * Math.atan(1 / (3 * Math.sqrt(mu_km3ps2 / (p_km * p_km * p_km)) * dt_s));
+        const w = Math.atan(Math.cbrt(Math.tan(s)));
+        chi = Math.sqrt(p_km) * 2 / Math.tan(2 * w);
+    }
+    if (!Number.isFinite(chi)) {
+        chi = smu * Math.abs(alpha) * dt_s;
+    }
+
+    // iterate on the universal kepler's equation
+    let isConverged = false;
+    let isOverrun = false;
+    let n = 0;
+    const nMax = 1e3;
+    const tol = 1e-8;
+    while (!isConverged && !isOverrun) {
+        const z = alpha * chi * chi;
+        const C = getStumpffC(z);
+        const S = getStumpffS(z);
+        const f = r0 * vr0 / smu * chi * chi * C + (1 - alpha * r0) * chi * chi * chi * S + r0 * chi - smu * dt_s;
+        const df = r0 * vr0 / smu * chi * (1 - alpha * chi * chi * S) + (1 - alpha * r0) * chi * chi * C + r0;
+        const r = f / df;
+        n += 1;
+        isConverged = Math.abs(r) < tol;
+        isOverrun = nMax < n;
+        if (!isConverged) {
+            chi = chi - r;
+        }
+    }
+    if (!isConverged) {
+        throw new ConvergenceError(`Universal Kepler's equation did not converge for dt=${dt_s}`, n);
+    }
+    return chi;
+}
+
+/**
+ * Propagates a state vector by the given time of flight under two-body motion, using Lagrange coefficients in terms of the universal anomaly (Alg. 3.4). Because the formulation is universal, this works for elliptical, parabolic, and hyperbolic orbits alike.
+ * 
+ * @param {Array} r0_km - Initial position [km]
+ * @param {Array} v0_kmps - Initial velocity [km/s]
+ * @param {Number} dt_s - Time of flight [s]
+ * @param {Number} mu_km3ps2 - Gravitational parameter of the central body [km^3/s^2]
+ * @returns {Array} - Two-element array containing propagated r [km] and v [km/s]
+ */
+export function getRvFromRvDt(r0_km, v0_kmps, dt_s, mu_km3ps2 = GM_SUN_KM3PS2) {
+    const r0 = getVecNorm(r0_km);
+    const v0 = getVecNorm(v0_kmps);
+    const alpha = 2 / r0 - v0 * v0 / mu_km3ps2;
+    const smu = Math.sqrt(mu_km3ps2);
+    const chi = getUniversalAnomaly(r0_km, v0_kmps, dt_s, mu_km3ps2);
+    const z = alpha * chi * chi;
+    const C = getStumpffC(z);
+    const S = getStumpffS(z);
+
+    // lagrange coefficients for position, then velocity
+    const f = 1 - chi * chi / r0 * C;
+    const g = dt_s - chi * chi * chi * S / smu;
+    const r_km = r0_km.map((ri, i) => f * ri + g * v0_kmps[i]);
+    const r = getVecNorm(r_km);
+    const df = smu / (r * r0) * (alpha * chi * chi * chi * S - chi);
+    const dg = 1 - chi * chi / r * C;
+    const v_kmps = r0_km.map((ri, i) => df * ri + dg * v0_kmps[i]);
+    return [
+        r_km,
+        v_kmps
+    ];
+}
+
+/**
+ * Computes position in perifocal (PQW) frame given angular momentum, eccentricity, and true anomaly.
+ * 
+ * @param {Number} h_km2ps - Angular momentum scalar [km^2/s]
+ * @param {Number} e - Eccentricity
+ * @param {Number} tht_rad - True anomaly [rad]
+ * @returns {Array} - Position in PQR frame [km]
+ */
+export function getRpqwFromHETht(h_km2ps, e, tht_rad, mu_km3ps2 = GM_SUN_KM3PS2) {
+    const c = h_km2ps * h_km2ps / (mu_km3ps2 * (1 + e * Math.cos(tht_rad)));
+    return [
+        c * Math.cos(tht_rad),
+        c * Math.sin(tht_rad),
+        0
+    ];
+}
+
+/**
+ * Computes velocity in perifocal (PQR) frame given angular momentum, eccentricity, and true anomaly.
+ * 
+ * @param {Number} h_km2ps - Angular momentum scalar [km^2/s]
+ * @param {Number} e - Eccentricity
+ * @param {Number} tht_rad - True anomaly [rad]
+ * @returns {Array} - Velocity in PQR frame [km/s]
+ */
+export function getVpqwFromHETht(h_km2ps, e, tht_rad, mu_km3ps2 = GM_SUN_KM3PS2) {
+    const c = mu_km3ps2 / h_km2ps;
+    return [
+        c * -Math.sin(tht_rad),
+        c * (e + Math.cos(tht_rad)),
+        0
+    ];
+}
+
+/**
+ * Computes a matrix for vector rotation (not frame transformation) about the x axis by the given angle.
+ * 
+ * @param {Number} rad - Angle about the x axis [rad]
+ * @returns {Array} - Frame transformation as a 3x3 matrix (e.g., array of arrays)
+ */
+export function r1(rad) {
+    const c = Math.cos(rad);
+    const s = Math.sin(rad);
+    return [
+        [1, 0, 0],
+        [0, c, -s],
+        [0, s, c]
+    ];
+}
+
+/**
+ * Computes a matrix for vector rotation (not frame transformation) about the z axis by the given angle.
+ * 
+ * @param {Number} rad - Angle about the z axis [rad]
+ * @returns {Array} - Frame transformation as a 3x3 matrix (e.g., array of arrays)
+ */
+export function r3(rad) {
+    const c = Math.cos(rad);
+    const s = Math.sin(rad);
+    return [
+        [c, -s, 0],
+        [s, c, 0],
+        [0, 0, 1]
+    ];
+}
+
+/**
+ * Computes a matrix for frame transformation (not vector rotation) about the x axis by the given angle.
+ * 
+ * @param {Number} rad - Angle about the x axis [rad]
+ * @returns {Array} - Frame transformation as a 3x3 matrix (e.g., array of arrays)
+ */
+export function R1(rad) {
+    const c = Math.cos(rad);
+    const s = Math.sin(rad);
+    return [
+        [1, 0, 0],
+        [0, c, s],
+        [0, -s, c]
+    ];
+}
+
+/**
+ * Computes a matrix for frame transformation (not vector rotation) about the z axis by the given angle.
+ * 
+ * @param {Number} rad - Angle about the z axis [rad]
+ * @returns {Array} - Frame transformation as a 3x3 matrix (e.g., array of arrays)
+ */
+export function R3(rad) {
+    const c = Math.cos(rad);
+    const s = Math.sin(rad);
+    return [
+        [c, s, 0],
+        [-s, c, 0],
+        [0, 0, 1]
     ];
 }
 
@@ -269,6 +1083,45 @@ export function getDotProd(lhs, rhs) {
     return sum;
 }
 
+/**
+ * Computes cross product of two three-dimensional vectors.
+ * 
+ * @param {Array} lhs - 3d vector
+ * @param {Array} rhs - 3d vector
+ * @returns {Array} - Cross product of lhs x rhs
+ */
+export function getCrossProd(lhs, rhs) {
+    return [
+        lhs[1] * rhs[2] - lhs[2] * rhs[1],
+        lhs[2] * rhs[0] - lhs[0] * rhs[2],
+        lhs[0] * rhs[1] - lhs[1] * rhs[0]
+    ];
+}
+
+/**
+ * Computes the Euclidean norm (magnitude) of a vector.
+ * 
+ * @param {Array} v - Vector of any length
+ * @returns {Number} - Magnitude of the vector
+ */
+export function getVecNorm(v) {
+    return Math.sqrt(getDotProd(v, v));
+}
+
+/**
+ * Computes the signed angle from one vector to another, as measured by a right-handed rotation about the given axis.
+ * 
+ * @param {Array} from - 3d vector from which the angle is measured
+ * @param {Array} to - 3d vector to which the angle is measured
+ * @param {Array} axis - 3d vector (need not be normalized) about which the angle is measured
+ * @returns {Number} - Angle within [0,2pi) [rad]
+ */
+export function getSignedAngle(from, to, axis) {
+    const y = getDotProd(getCrossProd(from, to), axis) / getVecNorm(axis);
+    const x = getDotProd(from, to);
+    return posmod(Math.atan2(y, x), 2 * Math.PI);
+}
+
 /**
  * Matrix-vector multiplication
  * 
@@ -356,48 +1209,178 @@ export function getQpqw2eci(raan_rad, inc_rad, aop_rad) {
     return transpose(Qeci2pqw);
 }
 
+/**
+ * Converts a value (or each element of an array of values) from one unit to another of the same dimension.
+ * 
+ * @param {Number|Array} value - Value in the "from" units
+ * @param {String} fromUnits - One of the keys of UNITS
+ * @param {String} toUnits - One of the keys of UNITS
+ * @returns {Number|Array} - Value in the "to" units
+ * @throws {UnknownUnitError} - If either unit is not recognized, or they measure different dimensions
+ */
+export function getValueInUnits(value, fromUnits, toUnits) {
+    [fromUnits, toUnits].forEach(units => {
+        if (!Object.prototype.hasOwnProperty.call(UNITS, units)) {
+            throw new UnknownUnitError(`Unknown units "${units}"`, units);
+        }
+    });
+    if (UNITS[fromUnits].dimension !== UNITS[toUnits].dimension) {
+        throw new UnknownUnitError(`Cannot convert ${UNITS[fromUnits].dimension} in "${fromUnits}" to ${UNITS[toUnits].dimension} in "${toUnits}"`, toUnits);
+    }
+    const scale = UNITS[fromUnits].scale / UNITS[toUnits].scale;
+    return Array.isArray(value) ? value.map(vi => vi * scale) : value * scale;
+}
+
+/**
+ * Converts a state vector from km and km/s to the units named by options.positionUnits and options.velocityUnits. If only the position units are given, velocities follow them: "km" with "kmps", "m" with "mps", and "au" with "aupd".
+ * 
+ * @param {Array} r_km - Position [km]
+ * @param {Array} v_kmps - Velocity [km/s]
+ * @param {Object} options - Optional { positionUnits (default "km"), velocityUnits }
+ * @returns {Array} - Two-element array containing position and velocity in the requested units
+ * @throws {UnknownUnitError} - If either unit is not recognized, or is not a length (or velocity, respectively)
+ */
+export function getRvInUnits(r_km, v_kmps, options = {}) {
+    const positionUnits = options.positionUnits || "km";
+    const velocityUnits = options.velocityUnits || { "km": "kmps", "m": "mps", "au": "aupd" }[positionUnits] || "kmps";
+    return [
+        getValueInUnits(r_km, "km", positionUnits),
+        getValueInUnits(v_kmps, "kmps", velocityUnits)
+    ];
+}
+
+/**
+ * Checks an element record against the catalog schema: every required field (ELEMENT_FIELDS by default) must be a finite number, as must any optional fields (OPTIONAL_ELEMENT_FIELDS by default) that are present. Parabolic records (e exactly 1) that give p_au may omit a_au.
+ * 
+ * @param {Object} planetaryOrbitalElements - Planetary orbital elements model to check
+ * @param {Array} fields - Names of required numeric fields
+ * @param {Array} optionalFields - Names of optional numeric fields
+ * @returns {Object} - The same element record, for chaining
+ * @throws {InvalidElementsError} - If any field is missing or non-numeric
+ */
+export function validateElements(planetaryOrbitalElements, fields = ELEMENT_FIELDS, optionalFields = OPTIONAL_ELEMENT_FIELDS) {
+    if (typeof planetaryOrbitalElements !== "object" || planetaryOrbitalElements === null) {
+        throw new InvalidElementsError("Element record must be an object", fields);
+    }
+    const isBad = k => !Number.isFinite(planetaryOrbitalElements[k]);
+    const isParabolic = planetaryOrbitalElements.e === 1 && "p_au" in planetaryOrbitalElements;
+    const bad = fields.filter(k => !(isParabolic && k === "a_au")).filter(isBad).concat(optionalFields.filter(k => k in planetaryOrbitalElements && isBad(k)));
+    if (0 < bad.length) {
+        throw new InvalidElementsError(`Element record has missing or non-numeric fields: ${bad.join(", ")}`, bad);
+    }
+    return planetaryOrbitalElements;
+}
+
+/**
+ * Determines the element model an element record belongs to: the given model name, if any, or else the record's own "model" field (which the bundled catalogs define). Records from elsewhere (e.g., hand-written or minor-body records) have no model, and so no validity span.
+ * 
+ * @param {Object} planetaryOrbitalElements - Planetary orbital elements model
+ * @param {String} modelName - Key within EPHEMERIS_MODELS, overriding the record's own
+ * @returns {String|undefined} - Name of the model, if known
+ */
+export function getModelFromElements(planetaryOrbitalElements, modelName) {
+    if (modelName) {
+        return modelName;
+    }
+    return planetaryOrbitalElements && typeof planetaryOrbitalElements.model === "string" ? planetaryOrbitalElements.model : undefined;
+}
+
+/**
+ * Applies the given validity mode to a datetime with respect to an element model: "strict" throws, "warn" logs a warning to the console, "once" (the default) logs a warning only for the first out-of-span datetime of each model (until resetModelWarnings() is called), and "off" does nothing. Without a model name there is no span to check.
+ * 
+ * @param {String} modelName - Key within EPHEMERIS_MODELS, or undefined
+ * @param {Date|Number|String|Object} dt - Datetime (or any epoch accepted by getJdFromEpoch()) to check
+ * @param {String} mode - One of VALIDITY_MODES
+ * @returns {Boolean} - True if the datetime is within the model's validity span (or there is no model)
+ * @throws {InvalidArgumentError} - If the mode is not one of VALIDITY_MODES
+ * @throws {OutOfValidityError} - In "strict" mode, if the datetime is outside the validity span
+ */
+export function checkModelValidity(modelName, dt, mode = "once") {
+    if (!VALIDITY_MODES.includes(mode)) {
+        throw new InvalidArgumentError(`Unknown validity mode "${mode}" (expected one of ${VALIDITY_MODES.join(", ")})`, "mode", mode);
+    }
+    if (mode === "off" || !modelName) {
+        return true;
+    }
+    const isValid = isDatetimeWithinModel(modelName, dt);
+    if (!isValid) {
+        const JD = getJdFromEpoch(dt);
+        const message = `JD ${JD} is outside the validity span of the "${modelName}" model (${EPHEMERIS_MODELS[modelName].description})`;
+        if (mode === "strict") {
+            throw new OutOfValidityError(message, modelName, JD);
+        }
+        if (mode !== "once" || !WARNED_MODELS.has(modelName)) {
+            WARNED_MODELS.add(modelName);
+            console.warn(message);
+        }
+    }
+    return isValid;
+}
+
+/**
+ * Forgets which element models have already been warned about in the "once" validity mode, so that each warns again at its next out-of-span datetime.
+ */
+export function resetModelWarnings() {
+    WARNED_MODELS.clear();
+}
+
 /**
  * Computes the position and velocity of a given planetary model as evaluated at the given datetime. Results are returned in a "sun-centered inertial", which is defined in the heliocentric ecliptic frame of reference.
  * 
+ * Records from the long-span JPL catalog may include the outer-planet mean anomaly correction terms (b_deg, c_deg, s_deg, f_deg), which are applied when present.
+ * 
+ * Hyperbolic element records (e > 1, negative a_au) are also supported, in which case the difference between mean longitude and longitude of perihelion is interpreted as an unwrapped hyperbolic mean anomaly. Parabolic records (e exactly 1), whose semi-major axis is infinite, instead give the semi-latus rectum p_au (twice the perihelion distance) and omit a_au, in which case the difference is interpreted as a parabolic mean anomaly, mu^2 / h^3 * (t - tp) (see getTaFromMpBarker()).
+ * 
+ * The element record is checked against the catalog schema, and the datetime against the validity span of the model given by options.model or else by the record itself (see getModelFromElements()). The options.validity mode ("strict", "warn", "once", or "off"; "once" by default) determines how an out-of-span datetime is reported (see checkModelValidity()).
+ * 
+ * If options.frame is given (see FRAMES), the state is transformed into that frame before it is returned; frames centered anywhere other than the sun also require options.catalog.
+ * 
+ * Besides a Date, the epoch may be a julian date, an ISO 8601 string, or a { jd } or { mjd } object (see getJdFromEpoch()), expressed in the time scale given by options.timeScale ("UTC" by default). Elements are always evaluated in TDB.
+ * 
+ * States are returned in km and km/s unless options.positionUnits and options.velocityUnits name other UNITS (see getRvInUnits()).
+ * 
  * @param {Object} planetaryOrbitalElements - Planetary orbital elements model, including mean (offset and rate) coefficients
- * @param {Date} dt - Datetime at which state will be evaluated
- * @returns {Array} - Two-element array containing r and v as evaluated in the heliocentric ecliptic frame; each element is a three-element array of numeric values in [km] and [km/s], respectively
- */
-export function getRvFromElementsDatetime(planetaryOrbitalElements, dt) {
-    // determine julian date value and julian centuries
-    const y = dt.getUTCFullYear();
-    const m = dt.getUTCMonth() + 1; // thanks, javascript!
-    const d = dt.getUTCDate(); // THANKS, JAVASCRIPT!!!
-    const H = dt.getUTCHours();
-    const M = dt.getUTCMinutes();
-    const S = dt.getUTCSeconds() + dt.getUTCMilliseconds() * 1e-3;
-    const J0 = getJ0FromDatevec(y, m, d);
-    const UT = getUtFromTimevec(H, M, S);
-    const JD = getJdFromDateTime(J0, UT);
+ * @param {Date|Number|String|Object} dt - Datetime (or epoch) at which state will be evaluated
+ * @param {Object} options - Optional { model, validity, frame, catalog, timeScale, positionUnits, velocityUnits }
+ * @returns {Array} - Two-element array containing r and v as evaluated in the heliocentric ecliptic frame (or options.frame); each element is a three-element array of numeric values in [km] and [km/s], respectively (or the requested units)
+ * @throws {InvalidElementsError} - If the element record does not match the catalog schema
+ * @throws {OutOfValidityError} - In "strict" mode, if the datetime is outside the model's validity span
+ * @throws {InvalidEccentricityError} - If the interpolated eccentricity is negative, or exactly parabolic without p_au
+ * @throws {UnknownUnitError} - If the requested units are not recognized
+ */
+export function getRvFromElementsDatetime(planetaryOrbitalElements, dt, options = {}) {
+    // check inputs before evaluating anything
+    validateElements(planetaryOrbitalElements);
+    checkModelValidity(getModelFromElements(planetaryOrbitalElements, options.model), dt, options.validity);
+
+    // determine julian date value (in TDB) and julian centuries
+    const JD = getTdbFromEpoch(dt, options.timeScale);
     const T0 = getJulianCenturies(JD);
-    //console.log(J0, UT, T0);
+    //console.log(JD, T0);
 
     // interpolate (and convert) planetary elements
-    const d2r = Math.PI / 180;
-    const au2km = 1.49597871e8;
-    const a_km = getCurrentElements(planetaryOrbitalElements.a_au * au2km, planetaryOrbitalElements.da_au * au2km, T0);
+    const d2r = UNITS.deg.scale;
+    const a_km = getCurrentElements(planetaryOrbitalElements.a_au * AU_KM, planetaryOrbitalElements.da_au * AU_KM, T0);
     const e = getCurrentElements(planetaryOrbitalElements.e, planetaryOrbitalElements.de, T0);
     const inc_rad = posmod(getCurrentElements(planetaryOrbitalElements.inc_deg * d2r, planetaryOrbitalElements.dinc_sec / 3600 * d2r, T0), 2 * Math.PI);
     const raan_rad = posmod(getCurrentElements(planetaryOrbitalElements.raan_deg * d2r, planetaryOrbitalElements.draan_sec / 3600 * d2r, T0), 2 * Math.PI);
-    const lop_rad = posmod(getCurrentElements(planetaryOrbitalElements.lop_deg * d2r, planetaryOrbitalElements.dlop_sec / 3600 * d2r, T0), 2 * Math.PI);
-    const ml_rad = posmod(getCurrentElements(planetaryOrbitalElements.ml_deg * d2r, planetaryOrbitalElements.dml_sec / 3600 * d2r, T0), 2 * Math.PI);
+    const lop_rad = getCurrentElements(planetaryOrbitalElements.lop_deg * d2r, planetaryOrbitalElements.dlop_sec / 3600 * d2r, T0);
+    const ml_rad = getCurrentElements(planetaryOrbitalElements.ml_deg * d2r, planetaryOrbitalElements.dml_sec / 3600 * d2r, T0);
     //console.log(a_km, e, inc_rad / d2r, raan_rad / d2r, lop_rad / d2r, ml_rad / d2r);
+    if (!(0 <= e) || (e === 1 && planetaryOrbitalElements.p_au === undefined)) {
+        throw new InvalidEccentricityError(`Interpolated eccentricity ${e} cannot be evaluated from a semi-major axis`, e);
+    }
 
     // compute angular momentum, argument of periapsis, and mean anomaly from elements
-    const h_km2ps = getAngularMomentum(a_km, e);
+    const h_km2ps = e === 1 ? Math.sqrt(GM_SUN_KM3PS2 * planetaryOrbitalElements.p_au * AU_KM) : getAngularMomentum(a_km, e);
     const aop_rad = getAopFromLopRaan(lop_rad, raan_rad);
-    const M_rad = getMaFromMlLop(ml_rad, lop_rad);
+    const dM_rad = getMeanAnomalyCorrection(planetaryOrbitalElements, T0);
+    const M_rad = e < 1 ? getMaFromMlLop(ml_rad + dM_rad, lop_rad) : ml_rad + dM_rad - lop_rad; // parabolic and hyperbolic mean anomalies are not periodic
     //console.log(h_km2ps, aop_rad / d2r, M_rad / d2r);
 
     // solve kepler's equation for true anomaly
-    const E_rad = getEaFromMaE(M_rad, e);
-    const tht_rad = getTaFromEaE(E_rad, e);
-    //console.log(E_rad / d2r, tht_rad / d2r);
+    const tht_rad = getTaFromMaE(M_rad, e);
+    //console.log(tht_rad / d2r);
 
     // compute perifocal states
     const rPqw_km = getRpqwFromHETht(h_km2ps, e, tht_rad);
@@ -409,8 +1392,2989 @@ export function getRvFromElementsDatetime(planetaryOrbitalElements, dt) {
     const rHcec_km = getMatVec(Qpqw2eci, rPqw_km);
     const vHcec_kmps = getMatVec(Qpqw2eci, vPqw_kmps);
     //console.log(Qpqw2eci, rHcec_km, vHcec_kmps);
-    return [
-        rHcec_km,
-        vHcec_kmps
-    ];
+    const [r_km, v_kmps] = options.frame ? getRvInFrame(rHcec_km, vHcec_kmps, "HCEC", options.frame, dt, options.catalog, options) : [rHcec_km, vHcec_kmps];
+    return getRvInUnits(r_km, v_kmps, options);
+}
+
+/**
+ * Determines whether the given datetime falls within the stated validity span of an element model.
+ * 
+ * @param {String} modelName - Key within EPHEMERIS_MODELS
+ * @param {Date|Number|String|Object} dt - Datetime (or any epoch accepted by getJdFromEpoch()) to check
+ * @returns {Boolean} - True if the model is valid at the given datetime
+ * @throws {UnknownModelError} - If the model name is not registered
+ */
+export function isDatetimeWithinModel(modelName, dt) {
+    const model = EPHEMERIS_MODELS[modelName];
+    if (!model) {
+        throw new UnknownModelError(`Unknown element model "${modelName}"`, modelName);
+    }
+    const JD = getJdFromEpoch(dt);
+    return model.startJd <= JD && JD < model.stopJd;
+}
+
+/**
+ * Selects the first of the candidate element models that is valid at the given datetime. If none are valid, the last candidate (by default, the model with the widest span) is returned.
+ * 
+ * @param {Date} dt - Datetime at which a model is needed
+ * @param {Array} modelNames - Candidate keys within EPHEMERIS_MODELS, in order of preference
+ * @returns {String} - Name of the selected model
+ */
+export function getModelForDatetime(dt, modelNames = Object.keys(EPHEMERIS_MODELS)) {
+    const valid = modelNames.find(modelName => isDatetimeWithinModel(modelName, dt));
+    return valid || modelNames[modelNames.length - 1];
+}
+
+/**
+ * Computes the position and velocity of a body using the chosen element model. This is a thin layer over getRvFromElementsDatetime() for callers that have loaded more than one catalog.
+ * 
+ * @param {Object} catalogs - Parsed catalogs, keyed by model name (e.g., { "standish": ..., "jpl3000": ... })
+ * @param {String} body - Name of the body within each catalog (e.g., "mars")
+ * @param {Date} dt - Datetime at which state will be evaluated
+ * @param {String} modelName - Key within EPHEMERIS_MODELS; defaults to the first loaded model that is valid at the given datetime
+ * @param {String} validity - Validity mode ("strict", "warn", "once", or "off") passed to getRvFromElementsDatetime()
+ * @param {Object} options - Optional { timeScale, positionUnits, velocityUnits } passed to getRvFromElementsDatetime()
+ * @returns {Array} - Two-element array containing r [km] and v [km/s] (or the requested units) in the heliocentric ecliptic frame
+ * @throws {UnknownModelError} - If the model has not been loaded into the given catalogs
+ * @throws {UnknownBodyError} - If the body is not found within the selected catalog
+ */
+export function getRvFromModelDatetime(catalogs, body, dt, modelName = getModelForDatetime(dt, Object.keys(catalogs)), validity = "once", options = {}) {
+    const catalog = catalogs[modelName];
+    if (!catalog) {
+        throw new UnknownModelError(`No catalog loaded for element model "${modelName}"`, modelName);
+    }
+    if (!Object.prototype.hasOwnProperty.call(catalog, body)) {
+        throw new UnknownBodyError(`Unknown body "${body}" in the "${modelName}" catalog`, body);
+    }
+    return getRvFromElementsDatetime(catalog[body], dt, { "model": modelName, "validity": validity, "timeScale": options.timeScale, "positionUnits": options.positionUnits, "velocityUnits": options.velocityUnits });
+}
+
+/**
+ * Recovers classical orbital elements from a state vector; this is the inverse of getRvFromElementsDatetime(), following Alg. 4.2. Results use the same names and units as the element catalog (plus the anomalies and argument of periapsis, which the catalog does not tabulate).
+ * 
+ * Singular cases are resolved by convention: for equatorial orbits the ascending node is taken along the x axis (raan is zero), and for circular orbits periapsis is placed at the ascending node (aop is zero). Longitude of perihelion and mean longitude remain well-defined in either case.
+ * 
+ * For hyperbolic orbits, ea_deg and ma_deg hold the hyperbolic anomaly and hyperbolic mean anomaly, and neither these nor ta_deg and ml_deg are wrapped.
+ * 
+ * @param {Array} r_km - Position vector [km]
+ * @param {Array} v_kmps - Velocity vector [km/s]
+ * @param {Number} mu_km3ps2 - Gravitational parameter of the central body [km^3/s^2]
+ * @returns {Object} - Elements, including a_au, e, inc_deg, raan_deg, aop_deg, lop_deg, ta_deg, ea_deg, ma_deg, and ml_deg
+ */
+export function getElementsFromRv(r_km, v_kmps, mu_km3ps2 = GM_SUN_KM3PS2) {
+    const r2d = 1 / UNITS.deg.scale;
+    const tol = 1e-10;
+
+    // compute angular momentum, node, and eccentricity vectors
+    const r = getVecNorm(r_km);
+    const v = getVecNorm(v_kmps);
+    const hVec_km2ps = getCrossProd(r_km, v_kmps);
+    const h_km2ps = getVecNorm(hVec_km2ps);
+    const nVec = getCrossProd([0, 0, 1], hVec_km2ps);
+    const rv = getDotProd(r_km, v_kmps);
+    const c = v * v - mu_km3ps2 / r;
+    const eVec = r_km.map((ri, i) => (c * ri - rv * v_kmps[i]) / mu_km3ps2);
+    const e = getVecNorm(eVec);
+
+    // size and orientation of the orbital plane
+    const a_km = 1 / (2 / r - v * v / mu_km3ps2);
+    const inc_rad = Math.acos(Math.max(-1, Math.min(1, hVec_km2ps[2] / h_km2ps)));
+    const isEquatorial = getVecNorm(nVec) / h_km2ps < tol;
+    const isCircular = e < tol;
+    const raan_rad = isEquatorial ? 0 : posmod(Math.atan2(nVec[1], nVec[0]), 2 * Math.PI);
+
+    // resolve node and periapsis directions, falling back to conventions for singular cases
+    const nodeDir = isEquatorial ? [1, 0, 0] : nVec;
+    const periDir = isCircular ? nodeDir : eVec;
+    const aop_rad = isCircular ? 0 : getSignedAngle(nodeDir, periDir, hVec_km2ps);
+    const tht_rad = getSignedAngle(periDir, r_km, hVec_km2ps);
+
+    // derive anomalies and longitudes; open orbits use signed, unwrapped values
+    const isClosed = e < 1;
+    const ta_rad = isClosed ? tht_rad : Math.atan2(Math.sin(tht_rad), Math.cos(tht_rad));
+    const E_rad = isClosed ? getEaFromTaE(ta_rad, e) : getHaFromTaE(ta_rad, e);
+    const M_rad = isClosed ? getMaFromEaE(E_rad, e) : getMaFromHaE(E_rad, e);
+    const lop_rad = posmod(raan_rad + aop_rad, 2 * Math.PI);
+    const ml_rad = isClosed ? posmod(lop_rad + M_rad, 2 * Math.PI) : lop_rad + M_rad;
+    return {
+        "a_au": a_km / AU_KM,
+        "e": e,
+        "inc_deg": inc_rad * r2d,
+        "raan_deg": raan_rad * r2d,
+        "aop_deg": aop_rad * r2d,
+        "lop_deg": lop_rad * r2d,
+        "ta_deg": ta_rad * r2d,
+        "ea_deg": E_rad * r2d,
+        "ma_deg": M_rad * r2d,
+        "ml_deg": ml_rad * r2d
+    };
+}
+
+/**
+ * Computes the geocentric apparent position of a planet: right ascension and declination (referred to the J2000 equator), range, and range-rate. Earth's state is subtracted from the planet's state as evaluated one light-time earlier (iterated to convergence), and the result is rotated from the ecliptic to the equator by the J2000 obliquity.
+ * 
+ * Annual aberration (to first order in v/c) is applied when options.aberration is true; options.model, options.validity, and options.timeScale are passed through to getRvFromElementsDatetime().
+ * 
+ * @param {Object} planetaryOrbitalElements - Orbital elements of the observed planet
+ * @param {Object} earthOrbitalElements - Orbital elements of the earth (e.g., planets.earth)
+ * @param {Date|Number|String|Object} dt - Datetime (or epoch) of observation
+ * @param {Object} options - Optional { aberration, model, validity, timeScale }
+ * @returns {Object} - Apparent position, as { ra_rad, dec_rad, range_km, rangeRate_kmps, lightTime_s }
+ * @throws {ConvergenceError} - If the light-time iteration does not converge
+ */
+export function getRaDecFromElementsDatetime(planetaryOrbitalElements, earthOrbitalElements, dt, options = {}) {
+    const jdTdb = getTdbFromEpoch(dt, options.timeScale);
+    const evalOptions = { "model": options.model, "validity": options.validity, "timeScale": "TDB" };
+    const [rEarth_km, vEarth_kmps] = getRvFromElementsDatetime(earthOrbitalElements, jdTdb, evalOptions);
+    return getRaDecFromRvFunction(jd => getRvFromElementsDatetime(planetaryOrbitalElements, jd, evalOptions), rEarth_km, vEarth_kmps, jdTdb, options);
+}
+
+/**
+ * Computes a geocentric apparent position (see getRaDecFromElementsDatetime()) from a function that evaluates the heliocentric ecliptic state of the observed body at a TDB julian date, so that any kind of body may be observed.
+ * 
+ * @param {Function} getRv - Function of a julian date (TDB) returning the body's heliocentric ecliptic [r, v] in [km] and [km/s]
+ * @param {Array} rEarth_km - Heliocentric ecliptic position of the earth at the time of observation [km]
+ * @param {Array} vEarth_kmps - Heliocentric ecliptic velocity of the earth at the time of observation [km/s]
+ * @param {Number} jdTdb - Julian date (TDB) of observation [days]
+ * @param {Object} options - Optional { aberration }
+ * @returns {Object} - Apparent position, as { ra_rad, dec_rad, range_km, rangeRate_kmps, lightTime_s }
+ * @throws {ConvergenceError} - If the light-time iteration does not converge
+ */
+export function getRaDecFromRvFunction(getRv, rEarth_km, vEarth_kmps, jdTdb, options = {}) {
+    // iterate on light-time, re-evaluating the body at the retarded time
+    let lightTime_s = 0;
+    let rPlanet_km, vPlanet_kmps, rho_km;
+    let isConverged = false;
+    let n = 0;
+    const nMax = 10;
+    const tol = 1e-6;
+    while (!isConverged && n < nMax) {
+        [rPlanet_km, vPlanet_kmps] = getRv(jdTdb - lightTime_s / 86400);
+        rho_km = rPlanet_km.map((ri, i) => ri - rEarth_km[i]);
+        const lightTimeNext_s = getVecNorm(rho_km) / C_KMPS;
+        isConverged = Math.abs(lightTimeNext_s - lightTime_s) < tol;
+        lightTime_s = lightTimeNext_s;
+        n += 1;
+    }
+    if (!isConverged) {
+        throw new ConvergenceError(`Light-time iteration did not converge within ${nMax} iterations`, n);
+    }
+
+    // range and range-rate from the geometric (light-time corrected) relative state
+    const range_km = getVecNorm(rho_km);
+    const rhoDot_kmps = vPlanet_kmps.map((vi, i) => vi - vEarth_kmps[i]);
+    const rangeRate_kmps = getDotProd(rho_km, rhoDot_kmps) / range_km;
+
+    // apply annual aberration to the line of sight, if requested
+    let u = rho_km.map(ri => ri / range_km);
+    if (options.aberration) {
+        const beta = vEarth_kmps.map(vi => vi / C_KMPS);
+        const ub = getDotProd(u, beta);
+        const uAb = u.map((ui, i) => ui + beta[i] - ub * ui);
+        const uAbNorm = getVecNorm(uAb);
+        u = uAb.map(ui => ui / uAbNorm);
+    }
+
+    // rotate from ecliptic to equatorial and resolve angles
+    const uEq = getMatVec(getQecliptic2equatorial(), u);
+    return {
+        "ra_rad": posmod(Math.atan2(uEq[1], uEq[0]), 2 * Math.PI),
+        "dec_rad": Math.asin(Math.max(-1, Math.min(1, uEq[2]))),
+        "range_km": range_km,
+        "rangeRate_kmps": rangeRate_kmps,
+        "lightTime_s": lightTime_s
+    };
+}
+
+/**
+ * Computes the frame transformation (vector rotation) from the heliocentric ecliptic to the equatorial orientation, about the x axis (the shared equinox) by the obliquity of the ecliptic.
+ * 
+ * @param {Number} eps_rad - Obliquity of the ecliptic; defaults to the J2000 value [rad]
+ * @returns {Array} - 3x3 matrix as array-of-arrays
+ */
+export function getQecliptic2equatorial(eps_rad = getMeanObliquity(0)) {
+    return R1(-eps_rad);
+}
+
+/**
+ * Resolves a frame name (a key within FRAMES) or a { center, orientation } specification into a frame specification.
+ * 
+ * @param {String|Object} frame - Frame name or specification
+ * @returns {Object} - Frame specification, as { center, orientation }
+ * @throws {UnknownFrameError} - If the frame cannot be resolved
+ */
+export function getFrameSpec(frame) {
+    const spec = typeof frame === "string" ? FRAMES[frame] : frame;
+    if (!spec || typeof spec.center !== "string" || !["ecliptic", "equatorial"].includes(spec.orientation)) {
+        throw new UnknownFrameError(`Unknown frame ${JSON.stringify(frame)}`, frame);
+    }
+    return spec;
+}
+
+/**
+ * Computes the state of a frame center in the heliocentric ecliptic frame. The solar system barycenter is approximated from the mass-weighted states of the catalog planets (treating "earth" as the Earth-Moon barycenter).
+ * 
+ * @param {String} center - "sun", "ssb", or the name of a body within the catalog
+ * @param {Object} catalog - Parsed element catalog (e.g., the contents of standish_catalog.json); unused for "sun"
+ * @param {Date|Number|String|Object} dt - Datetime (or epoch) at which the center will be evaluated
+ * @param {Object} options - Optional { model, validity, timeScale } passed to getRvFromElementsDatetime()
+ * @returns {Array} - Two-element array containing r [km] and v [km/s] of the center
+ * @throws {UnknownBodyError} - If the center is "ssb" and no catalog is given, or is not "sun" or "ssb" and is not found within the catalog
+ */
+export function getCenterRvFromCatalogDatetime(center, catalog, dt, options = {}) {
+    const evalOptions = { "model": options.model, "validity": options.validity, "timeScale": options.timeScale };
+    if (center === "sun") {
+        return [[0, 0, 0], [0, 0, 0]];
+    } else if (center === "ssb") {
+        if (!catalog) {
+            throw new UnknownBodyError("Frame center \"ssb\" needs a catalog of the planets", center);
+        }
+        const r_km = [0, 0, 0];
+        const v_kmps = [0, 0, 0];
+        let total = 1;
+        Object.keys(catalog).filter(body => body in SUN_MASS_RATIOS).forEach(body => {
+            const m = 1 / SUN_MASS_RATIOS[body];
+            const [rBody_km, vBody_kmps] = getRvFromElementsDatetime(catalog[body], dt, evalOptions);
+            for (let i = 0; i < 3; i += 1) {
+                r_km[i] += m * rBody_km[i];
+                v_kmps[i] += m * vBody_kmps[i];
+            }
+            total += m;
+        });
+        return [
+            r_km.map(ri => ri / total),
+            v_kmps.map(vi => vi / total)
+        ];
+    }
+    if (!catalog || !Object.prototype.hasOwnProperty.call(catalog, center)) {
+        throw new UnknownBodyError(`Unknown frame center "${center}"`, center);
+    }
+    return getRvFromElementsDatetime(catalog[center], dt, evalOptions);
+}
+
+/**
+ * Computes the rotation and translation between two frames at the given datetime, such that a state in the "from" frame maps to the "to" frame as r' = Q * r + dr and v' = Q * v + dv. All orientations are inertial, so no transport terms arise.
+ * 
+ * @param {String|Object} fromFrame - Frame name or { center, orientation } specification
+ * @param {String|Object} toFrame - Frame name or { center, orientation } specification
+ * @param {Date|Number|String|Object} dt - Datetime (or epoch) at which the transformation will be evaluated
+ * @param {Object} catalog - Parsed element catalog, needed for any center other than the sun
+ * @param {Object} options - Optional { model, validity, timeScale } passed to getRvFromElementsDatetime()
+ * @returns {Object} - Transformation, as { Q, dr_km, dv_kmps }
+ */
+export function getFrameTransform(fromFrame, toFrame, dt, catalog, options = {}) {
+    const from = getFrameSpec(fromFrame);
+    const to = getFrameSpec(toFrame);
+    const I = [
+        [1, 0, 0],
+        [0, 1, 0],
+        [0, 0, 1]
+    ];
+    const Qecl2eq = getQecliptic2equatorial();
+    const Qfrom = from.orientation === "equatorial" ? Qecl2eq : I;
+    const Qto = to.orientation === "equatorial" ? Qecl2eq : I;
+    const [rFrom_km, vFrom_kmps] = getCenterRvFromCatalogDatetime(from.center, catalog, dt, options);
+    const [rTo_km, vTo_kmps] = from.center === to.center ? [rFrom_km, vFrom_kmps] : getCenterRvFromCatalogDatetime(to.center, catalog, dt, options);
+    return {
+        "Q": getMatMul(Qto, transpose(Qfrom)),
+        "dr_km": getMatVec(Qto, rFrom_km.map((ri, i) => ri - rTo_km[i])),
+        "dv_kmps": getMatVec(Qto, vFrom_kmps.map((vi, i) => vi - vTo_kmps[i]))
+    };
+}
+
+/**
+ * Transforms a state vector from one frame to another at the given datetime.
+ * 
+ * @param {Array} r_km - Position in the "from" frame [km]
+ * @param {Array} v_kmps - Velocity in the "from" frame [km/s]
+ * @param {String|Object} fromFrame - Frame name or { center, orientation } specification
+ * @param {String|Object} toFrame - Frame name or { center, orientation } specification
+ * @param {Date|Number|String|Object} dt - Datetime (or epoch) at which the transformation will be evaluated
+ * @param {Object} catalog - Parsed element catalog, needed for any center other than the sun
+ * @param {Object} options - Optional { model, validity, timeScale } passed to getRvFromElementsDatetime()
+ * @returns {Array} - Two-element array containing r [km] and v [km/s] in the "to" frame
+ */
+export function getRvInFrame(r_km, v_kmps, fromFrame, toFrame, dt, catalog, options = {}) {
+    const { Q, dr_km, dv_kmps } = getFrameTransform(fromFrame, toFrame, dt, catalog, options);
+    const rQ_km = getMatVec(Q, r_km);
+    const vQ_kmps = getMatVec(Q, v_kmps);
+    return [
+        rQ_km.map((ri, i) => ri + dr_km[i]),
+        vQ_kmps.map((vi, i) => vi + dv_kmps[i])
+    ];
+}
+
+/**
+ * Solves Lambert's problem: finds the departure and arrival velocities of the conic that connects two positions in the given time of flight. This follows the universal-variable formulation of Alg. 5.2, but finds z by bisection rather than Newton's method so that the multi-revolution cases, in which time of flight is not monotonic in z, are also handled.
+ * 
+ * For options.multiRev = N > 0 complete revolutions, there are two solutions (if any), selected by options.branch: "left" (the lower-z, higher-energy solution) or "right".
+ * 
+ * @param {Array} r1_km - Departure position [km]
+ * @param {Array} r2_km - Arrival position [km]
+ * @param {Number} tof_s - Time of flight [s]
+ * @param {Number} mu_km3ps2 - Gravitational parameter of the central body [km^3/s^2]
+ * @param {Object} options - Optional { prograde (default true), multiRev (default 0), branch (default "left") }
+ * @returns {Array} - Two-element array containing departure and arrival velocities [km/s]
+ * @throws {InvalidArgumentError} - If the time of flight is not positive
+ * @throws {NoSolutionError} - If the positions are collinear with the central body (a transfer angle of 0 or 180 degrees, for which the transfer plane is undefined), or no transfer exists for the requested number of revolutions
+ */
+export function solveLambert(r1_km, r2_km, tof_s, mu_km3ps2 = GM_SUN_KM3PS2, options = {}) {
+    if (!(0 < tof_s)) {
+        throw new InvalidArgumentError(`Time of flight must be positive, not ${tof_s} s`, "tof_s", tof_s);
+    }
+    const prograde = options.prograde !== false;
+    const N = options.multiRev || 0;
+    const r1 = getVecNorm(r1_km);
+    const r2 = getVecNorm(r2_km);
+    const smu = Math.sqrt(mu_km3ps2);
+
+    // determine transfer angle from the direction of motion (Eq. 5.26)
+    const cz = getCrossProd(r1_km, r2_km)[2];
+    let dtht_rad = Math.acos(Math.max(-1, Math.min(1, getDotProd(r1_km, r2_km) / (r1 * r2))));
+    if (prograde ? cz < 0 : 0 <= cz) {
+        dtht_rad = 2 * Math.PI - dtht_rad;
+    }
+    if (Math.abs(Math.sin(dtht_rad)) < 1e-12) {
+        throw new NoSolutionError(`Transfer plane is undefined for a transfer angle of ${dtht_rad / UNITS.deg.scale} degrees`);
+    }
+    const A = Math.sin(dtht_rad) * Math.sqrt(r1 * r2 / (1 - Math.cos(dtht_rad)));
+
+    // time of flight as a function of z (Eq. 5.40), undefined where y(z) < 0
+    const getY = z => r1 + r2 + A * (z * getStumpffS(z) - 1) / Math.sqrt(getStumpffC(z));
+    const getTof = z => {
+        const y = getY(z);
+        if (y < 0) {
+            return -Infinity;
+        }
+        const chi = Math.sqrt(y / getStumpffC(z));
+        return (chi * chi * chi * getStumpffS(z) + A * Math.sqrt(y)) / smu;
+    };
+    const bisect = (zLo, zHi, isIncreasing) => {
+        for (let n = 0; n < 200 && 1e-12 * Math.max(1, Math.abs(zLo)) < zHi - zLo; n += 1) {
+            const zMid = 0.5 * (zLo + zHi);
+            if ((getTof(zMid) < tof_s) === isIncreasing) {
+                zLo = zMid;
+            } else {
+                zHi = zMid;
+            }
+        }
+        return 0.5 * (zLo + zHi);
+    };
+
+    // bracket and solve for z within the band of the requested revolution count
+    const zMax = Math.pow(2 * Math.PI * (N + 1), 2) * (1 - 1e-12);
+    let z;
+    if (N === 0) {
+        let zMin = -4 * Math.PI * Math.PI;
+        while (tof_s < getTof(zMin)) {
+            zMin *= 2;
+        }
+        z = bisect(zMin, zMax, true);
+    } else {
+        const zMin = Math.pow(2 * Math.PI * N, 2) * (1 + 1e-12);
+        let lo = zMin;
+        let hi = zMax;
+        const phi = 0.5 * (Math.sqrt(5) - 1);
+        for (let n = 0; n < 200 && 1e-9 * hi < hi - lo; n += 1) {
+            const z1 = hi - phi * (hi - lo);
+            const z2 = lo + phi * (hi - lo);
+            const t1 = getTof(z1);
+            const t2 = getTof(z2);
+            if ((t1 < 0 ? Infinity : t1) < (t2 < 0 ? Infinity : t2)) {
+                hi = z2;
+            } else {
+                lo = z1;
+            }
+        }
+        const zTofMin = 0.5 * (lo + hi);
+        if (tof_s < getTof(zTofMin)) {
+            throw new NoSolutionError(`No ${N}-revolution transfer exists for a time of flight of ${tof_s} s`);
+        }
+        z = options.branch === "right" ? bisect(zTofMin, zMax, true) : bisect(zMin, zTofMin, false);
+    }
+
+    // lagrange coefficients (Eq. 5.46) and velocities (Eq. 5.28, 5.29)
+    const y = getY(z);
+    const f = 1 - y / r1;
+    const g = A * Math.sqrt(y / mu_km3ps2);
+    const dg = 1 - y / r2;
+    const v1_kmps = r2_km.map((ri, i) => (ri - f * r1_km[i]) / g);
+    const v2_kmps = r2_km.map((ri, i) => (dg * ri - r1_km[i]) / g);
+    if (!v1_kmps.concat(v2_kmps).every(Number.isFinite)) {
+        throw new NoSolutionError(`No finite transfer found for a time of flight of ${tof_s} s`);
+    }
+    return [
+        v1_kmps,
+        v2_kmps
+    ];
+}
+
+/**
+ * Designs a heliocentric transfer between two catalog bodies: evaluates both endpoint states with getRvFromElementsDatetime(), solves Lambert's problem between them, and returns the hyperbolic excess velocities and departure C3.
+ * 
+ * @param {Object} departureElements - Orbital elements of the departure body
+ * @param {Object} arrivalElements - Orbital elements of the arrival body
+ * @param {Date|Number|String|Object} dtDepart - Departure datetime (or epoch)
+ * @param {Date|Number|String|Object} dtArrive - Arrival datetime (or epoch)
+ * @param {Object} options - Optional { prograde, multiRev, branch } for solveLambert(), and { model, validity, timeScale } for getRvFromElementsDatetime()
+ * @returns {Object} - Transfer, as { r1_km, v1_kmps, r2_km, v2_kmps, vInfDepart_kmps, vInfArrive_kmps, c3_km2ps2, tof_s }; the v-infinity entries are vectors
+ * @throws {InvalidArgumentError} - If the arrival is not after the departure
+ * @throws {NoSolutionError} - If Lambert's problem has no solution for the transfer (see solveLambert())
+ */
+export function getTransferFromElementsDatetimes(departureElements, arrivalElements, dtDepart, dtArrive, options = {}) {
+    const evalOptions = { "model": options.model, "validity": options.validity, "timeScale": "TDB" };
+    const jdDepart = getTdbFromEpoch(dtDepart, options.timeScale);
+    const jdArrive = getTdbFromEpoch(dtArrive, options.timeScale);
+    if (!(jdDepart < jdArrive)) {
+        throw new InvalidArgumentError(`Arrival (JD ${jdArrive}) must follow departure (JD ${jdDepart})`, "dtArrive", dtArrive);
+    }
+    const [rDepart_km, vDepart_kmps] = getRvFromElementsDatetime(departureElements, jdDepart, evalOptions);
+    const [rArrive_km, vArrive_kmps] = getRvFromElementsDatetime(arrivalElements, jdArrive, evalOptions);
+    const tof_s = (jdArrive - jdDepart) * 86400;
+    const [v1_kmps, v2_kmps] = solveLambert(rDepart_km, rArrive_km, tof_s, GM_SUN_KM3PS2, options);
+    const vInfDepart_kmps = v1_kmps.map((vi, i) => vi - vDepart_kmps[i]);
+    const vInfArrive_kmps = v2_kmps.map((vi, i) => vi - vArrive_kmps[i]);
+    return {
+        "r1_km": rDepart_km,
+        "v1_kmps": v1_kmps,
+        "r2_km": rArrive_km,
+        "v2_kmps": v2_kmps,
+        "vInfDepart_kmps": vInfDepart_kmps,
+        "vInfArrive_kmps": vInfArrive_kmps,
+        "c3_km2ps2": getDotProd(vInfDepart_kmps, vInfDepart_kmps),
+        "tof_s": tof_s
+    };
+}
+
+/**
+ * Generates an evenly-spaced series of julian dates, inclusive of the start and (where it falls on a step) the stop epoch. Results stay in the time scale of the given epochs.
+ * 
+ * @param {Date|Number|String|Object} start - First epoch of the series
+ * @param {Date|Number|String|Object} stop - Last epoch of the series
+ * @param {Number} step_d - Spacing between epochs [days]
+ * @returns {Array} - Julian date values
+ * @throws {InvalidArgumentError} - If the spacing is not a positive, finite number of days
+ */
+export function getJdRange(start, stop, step_d) {
+    if (!(0 < step_d && Number.isFinite(step_d))) {
+        throw new InvalidArgumentError(`Spacing between epochs must be a positive number of days, not ${step_d}`, "step_d", step_d);
+    }
+    const jdStart = getJdFromEpoch(start);
+    const jdStop = getJdFromEpoch(stop);
+    const n = Math.floor((jdStop - jdStart) / step_d + 1e-9) + 1;
+    return new Array(Math.max(0, n)).fill(0).map((_, i) => jdStart + i * step_d);
+}
+
+/**
+ * Sweeps a grid of departure and arrival epochs for a pair of bodies, solving Lambert's problem for each cell. Body states are evaluated once per epoch and cached, so the cost of each cell is that of a single Lambert solution. Cells with a non-positive time of flight, or without a solution, are NaN.
+ * 
+ * @param {Object} departureElements - Orbital elements of the departure body
+ * @param {Object} arrivalElements - Orbital elements of the arrival body
+ * @param {Array} departureEpochs - Departure epochs (e.g., from getJdRange())
+ * @param {Array} arrivalEpochs - Arrival epochs (e.g., from getJdRange())
+ * @param {Object} options - Optional { prograde, multiRev, branch } for solveLambert(), and { model, validity, timeScale } for getRvFromElementsDatetime()
+ * @returns {Object} - Porkchop grid, as { departureJd, arrivalJd, tof_d, c3_km2ps2, vInfArrive_kmps }; the last three are matrices indexed [departure][arrival]
+ */
+export function getPorkchopFromElements(departureElements, arrivalElements, departureEpochs, arrivalEpochs, options = {}) {
+    const evalOptions = { "model": options.model, "validity": options.validity, "timeScale": "TDB" };
+    const departureJd = departureEpochs.map(epoch => getTdbFromEpoch(epoch, options.timeScale));
+    const arrivalJd = arrivalEpochs.map(epoch => getTdbFromEpoch(epoch, options.timeScale));
+    const departures = departureJd.map(jd => getRvFromElementsDatetime(departureElements, jd, evalOptions));
+    const arrivals = arrivalJd.map(jd => getRvFromElementsDatetime(arrivalElements, jd, evalOptions));
+
+    // solve each cell from the cached states
+    const tof_d = [];
+    const c3_km2ps2 = [];
+    const vInfArrive_kmps = [];
+    departures.forEach(([rDepart_km, vDepart_kmps], i) => {
+        tof_d.push(new Array(arrivals.length).fill(NaN));
+        c3_km2ps2.push(new Array(arrivals.length).fill(NaN));
+        vInfArrive_kmps.push(new Array(arrivals.length).fill(NaN));
+        arrivals.forEach(([rArrive_km, vArrive_kmps], j) => {
+            const dt_d = arrivalJd[j] - departureJd[i];
+            if (dt_d <= 0) {
+                return;
+            }
+            tof_d[i][j] = dt_d;
+            try {
+                const [v1_kmps, v2_kmps] = solveLambert(rDepart_km, rArrive_km, dt_d * 86400, GM_SUN_KM3PS2, options);
+                const vInf1_kmps = v1_kmps.map((vi, k) => vi - vDepart_kmps[k]);
+                const vInf2_kmps = v2_kmps.map((vi, k) => vi - vArrive_kmps[k]);
+                c3_km2ps2[i][j] = getDotProd(vInf1_kmps, vInf1_kmps);
+                vInfArrive_kmps[i][j] = getVecNorm(vInf2_kmps);
+            } catch (error) {
+                if (!(error instanceof SolarPlanetsError)) {
+                    throw error;
+                }
+            }
+        });
+    });
+    return {
+        "departureJd": departureJd,
+        "arrivalJd": arrivalJd,
+        "tof_d": tof_d,
+        "c3_km2ps2": c3_km2ps2,
+        "vInfArrive_kmps": vInfArrive_kmps
+    };
+}
+
+/**
+ * Serializes a porkchop grid to JSON for contouring tools; axes are given as julian date (TDB) arrays, and NaN cells become null.
+ * 
+ * @param {Object} porkchop - Porkchop grid, as returned by getPorkchopFromElements()
+ * @returns {String} - JSON text
+ */
+export function getPorkchopJson(porkchop) {
+    return JSON.stringify(porkchop);
+}
+
+/**
+ * Serializes a porkchop grid to CSV in "long" form, one row per cell, with a header row. NaN cells are left empty.
+ * 
+ * @param {Object} porkchop - Porkchop grid, as returned by getPorkchopFromElements()
+ * @returns {String} - CSV text
+ */
+export function getPorkchopCsv(porkchop) {
+    const cell = v => Number.isFinite(v) ? String(v) : "";
+    const lines = ["departure_jd_tdb,arrival_jd_tdb,tof_d,c3_km2ps2,vinf_arrive_kmps"];
+    porkchop.departureJd.forEach((jdDepart, i) => {
+        porkchop.arrivalJd.forEach((jdArrive, j) => {
+            lines.push([jdDepart, jdArrive, porkchop.tof_d[i][j], porkchop.c3_km2ps2[i][j], porkchop.vInfArrive_kmps[i][j]].map(cell).join(","));
+        });
+    });
+    return lines.join("\n") + "\n";
+}
+
+/**
+ * Evaluates an element record at many julian dates, writing states into preallocated typed arrays. This produces the same states as getRvFromElementsDatetime(), but without the per-call allocation of intermediate vectors and matrices: the perifocal-to-inertial rotation is expanded in place, and validation is performed once for the whole series (the validity span of the record's model, if any, is checked at the first and last dates). Parabolic and hyperbolic samples fall back to the per-call path.
+ * 
+ * @param {Object} planetaryOrbitalElements - Planetary orbital elements model
+ * @param {Array|Float64Array} jds - Julian dates, in the time scale given by options.timeScale ("UTC" by default)
+ * @param {Float64Array} rOut_km - Output positions, of length 3 * jds.length, as [x0, y0, z0, x1, ...] [km]
+ * @param {Float64Array} vOut_kmps - Output velocities, of the same layout [km/s]
+ * @param {Object} options - Optional { model, validity, timeScale }
+ * @returns {Array} - Two-element array containing the output arrays
+ */
+export function fillRvFromElements(planetaryOrbitalElements, jds, rOut_km, vOut_kmps, options = {}) {
+    const n = jds.length;
+    validateElements(planetaryOrbitalElements);
+    if (0 < n) {
+        const modelName = getModelFromElements(planetaryOrbitalElements, options.model);
+        checkModelValidity(modelName, jds[0], options.validity);
+        checkModelValidity(modelName, jds[n - 1], options.validity);
+    }
+    const timeScale = options.timeScale || "UTC";
+    const d2r = UNITS.deg.scale;
+    const s2r = d2r / 3600;
+    const el = planetaryOrbitalElements;
+    for (let k = 0; k < n; k += 1) {
+        const JD = getJdInTimeScale(jds[k], timeScale, "TDB");
+        const T0 = getJulianCenturies(JD);
+
+        // interpolate elements, as in getRvFromElementsDatetime()
+        const a_km = (el.a_au + el.da_au * T0) * AU_KM;
+        const e = el.e + el.de * T0;
+        if (!(e < 1)) {
+            const [r_km, v_kmps] = getRvFromElementsDatetime(el, JD, { "validity": "off", "timeScale": "TDB" });
+            for (let i = 0; i < 3; i += 1) {
+                rOut_km[3 * k + i] = r_km[i];
+                vOut_kmps[3 * k + i] = v_kmps[i];
+            }
+            continue;
+        }
+        const inc_rad = el.inc_deg * d2r + el.dinc_sec * s2r * T0;
+        const raan_rad = el.raan_deg * d2r + el.draan_sec * s2r * T0;
+        const lop_rad = el.lop_deg * d2r + el.dlop_sec * s2r * T0;
+        const ml_rad = el.ml_deg * d2r + el.dml_sec * s2r * T0 + getMeanAnomalyCorrection(el, T0);
+        const aop_rad = lop_rad - raan_rad;
+        const E_rad = getEaFromMaE(posmod(ml_rad - lop_rad, 2 * Math.PI), e);
+
+        // perifocal state from eccentric anomaly
+        const cE = Math.cos(E_rad);
+        const sE = Math.sin(E_rad);
+        const b = Math.sqrt(1 - e * e);
+        const xp = a_km * (cE - e);
+        const yp = a_km * b * sE;
+        const rdot = Math.sqrt(GM_SUN_KM3PS2 / a_km) / (1 - e * cE);
+        const vxp = -rdot * sE;
+        const vyp = rdot * b * cE;
+
+        // expanded perifocal-to-inertial rotation (columns P and Q of getQpqw2eci())
+        const cO = Math.cos(raan_rad);
+        const sO = Math.sin(raan_rad);
+        const ci = Math.cos(inc_rad);
+        const si = Math.sin(inc_rad);
+        const cw = Math.cos(aop_rad);
+        const sw = Math.sin(aop_rad);
+        const Px = cO * cw - sO * sw * ci;
+        const Py = sO * cw + cO * sw * ci;
+        const Pz = sw * si;
+        const Qx = -cO * sw - sO * cw * ci;
+        const Qy = -sO * sw + cO * cw * ci;
+        const Qz = cw * si;
+        rOut_km[3 * k] = xp * Px + yp * Qx;
+        rOut_km[3 * k + 1] = xp * Py + yp * Qy;
+        rOut_km[3 * k + 2] = xp * Pz + yp * Qz;
+        vOut_kmps[3 * k] = vxp * Px + vyp * Qx;
+        vOut_kmps[3 * k + 1] = vxp * Py + vyp * Qy;
+        vOut_kmps[3 * k + 2] = vxp * Pz + vyp * Qz;
+    }
+    return [
+        rOut_km,
+        vOut_kmps
+    ];
+}
+
+/**
+ * Resolves a series of epochs into a Float64Array of julian dates. Epochs may be given as an array (of anything accepted by getJdFromEpoch()), or as { start, stop, step_d } (see getJdRange()).
+ * 
+ * @param {Array|Float64Array|Object} epochs - Epochs to resolve
+ * @returns {Float64Array} - Julian dates, in the time scale of the given epochs
+ */
+export function getJdSeries(epochs) {
+    if (epochs instanceof Float64Array) {
+        return epochs;
+    } else if (Array.isArray(epochs)) {
+        return Float64Array.from(epochs, getJdFromEpoch);
+    }
+    return Float64Array.from(getJdRange(epochs.start, epochs.stop, epochs.step_d));
+}
+
+/**
+ * Evaluates one body over a series of epochs into newly-allocated typed arrays (see fillRvFromElements()).
+ * 
+ * @param {Object} planetaryOrbitalElements - Planetary orbital elements model
+ * @param {Array|Float64Array|Object} epochs - Array of epochs, or { start, stop, step_d }
+ * @param {Object} options - Optional { model, validity, timeScale }
+ * @returns {Object} - Series, as { jd, r_km, v_kmps }; states are interleaved [x0, y0, z0, x1, ...]
+ */
+export function getRvBatchFromElements(planetaryOrbitalElements, epochs, options = {}) {
+    const jd = getJdSeries(epochs);
+    const [r_km, v_kmps] = fillRvFromElements(planetaryOrbitalElements, jd, new Float64Array(3 * jd.length), new Float64Array(3 * jd.length), options);
+    return {
+        "jd": jd,
+        "r_km": r_km,
+        "v_kmps": v_kmps
+    };
+}
+
+/**
+ * Evaluates every body in a catalog over a series of epochs into newly-allocated typed arrays (see fillRvFromElements()).
+ * 
+ * @param {Object} catalog - Parsed element catalog (e.g., the contents of standish_catalog.json)
+ * @param {Array|Float64Array|Object} epochs - Array of epochs, or { start, stop, step_d }
+ * @param {Object} options - Optional { model, validity, timeScale }
+ * @returns {Object} - Series, as { jd, bodies }, where bodies maps each body name to { r_km, v_kmps }
+ */
+export function getRvBatchFromCatalog(catalog, epochs, options = {}) {
+    const jd = getJdSeries(epochs);
+    const bodies = {};
+    Object.keys(catalog).forEach(body => {
+        const [r_km, v_kmps] = fillRvFromElements(catalog[body], jd, new Float64Array(3 * jd.length), new Float64Array(3 * jd.length), options);
+        bodies[body] = {
+            "r_km": r_km,
+            "v_kmps": v_kmps
+        };
+    });
+    return {
+        "jd": jd,
+        "bodies": bodies
+    };
+}
+
+/**
+ * Looks up a body within the BODIES hierarchy.
+ *
+ * @param {String} body - Name of the body (e.g., "moon")
+ * @returns {Object} - Body specification, as { parent, mu_km3ps2, radius_km }
+ * @throws {UnknownBodyError} - If the body is not found within BODIES
+ */
+export function getBodySpec(body) {
+    if (!Object.prototype.hasOwnProperty.call(BODIES, body)) {
+        throw new UnknownBodyError(`Unknown body "${body}"`, body);
+    }
+    return BODIES[body];
+}
+
+/**
+ * Computes the geocentric state of the Moon from the low-precision series of the Astronomical Almanac (a truncation of the ELP theory, good to roughly 0.3 degrees in longitude, 0.2 degrees in latitude, and 0.3% in distance). The series is referred to the ecliptic and equinox of date; longitudes are returned to the J2000 equinox by removing general precession, and velocities are the analytic derivative of the series.
+ *
+ * @param {Date|Number|String|Object} dt - Datetime (or epoch) at which state will be evaluated
+ * @param {Object} options - Optional { timeScale, frame, catalog, model, validity, positionUnits, velocityUnits }; a frame centered elsewhere than "earth" requires a catalog
+ * @returns {Array} - Two-element array containing r [km] and v [km/s] (or the requested units; see getRvInUnits()) in the geocentric ecliptic frame (or options.frame)
+ */
+export function getMoonRvFromDatetime(dt, options = {}) {
+    const JD = getTdbFromEpoch(dt, options.timeScale);
+    const T0 = getJulianCenturies(JD);
+    const d2r = UNITS.deg.scale;
+    const cy2s = 36525 * 86400;
+    const rEarth_km = 6378.14;
+
+    // each term is [amplitude, phase at J2000, rate] in [deg], [deg], and [deg/cy]
+    const lonTerms = [[6.29, 135.0, 477198.87], [-1.27, 259.3, -413335.36], [0.66, 235.7, 890534.22], [0.21, 269.9, 954397.74], [-0.19, 357.5, 35999.05], [-0.11, 186.5, 966404.03]];
+    const latTerms = [[5.13, 93.3, 483202.02], [0.28, 228.2, 960400.89], [-0.28, 318.3, 6003.15], [-0.17, 217.6, -407332.21]];
+    const parTerms = [[0.0518, 135.0, 477198.87], [0.0095, 259.3, -413335.36], [0.0078, 235.7, 890534.22], [0.0028, 269.9, 954397.74]];
+    const sumSin = (terms, Q0) => terms.reduce(([Q, dQ], [A, phi, n]) => {
+        const arg_rad = (phi + n * T0) * d2r;
+        return [Q + A * Math.sin(arg_rad), dQ + A * n * d2r * Math.cos(arg_rad)];
+    }, Q0);
+    const sumCos = (terms, Q0) => terms.reduce(([Q, dQ], [A, phi, n]) => {
+        const arg_rad = (phi + n * T0) * d2r;
+        return [Q + A * Math.cos(arg_rad), dQ - A * n * d2r * Math.sin(arg_rad)];
+    }, Q0);
+    const precession_deg = 5029.0966 / 3600; // general precession in longitude, per century
+    const [lon_deg, dlon_degpcy] = sumSin(lonTerms, [218.32 + 481267.881 * T0 - precession_deg * T0, 481267.881 - precession_deg]);
+    const [lat_deg, dlat_degpcy] = sumSin(latTerms, [0, 0]);
+    const [par_deg, dpar_degpcy] = sumCos(parTerms, [0.9508, 0]);
+
+    // convert spherical coordinates (and their rates) to cartesian
+    const lon_rad = lon_deg * d2r;
+    const lat_rad = lat_deg * d2r;
+    const dlon_radps = dlon_degpcy * d2r / cy2s;
+    const dlat_radps = dlat_degpcy * d2r / cy2s;
+    const r = rEarth_km / Math.sin(par_deg * d2r);
+    const dr_kmps = -r * dpar_degpcy * d2r / cy2s / Math.tan(par_deg * d2r);
+    const u = [Math.cos(lat_rad) * Math.cos(lon_rad), Math.cos(lat_rad) * Math.sin(lon_rad), Math.sin(lat_rad)];
+    const du_dlon = [-Math.cos(lat_rad) * Math.sin(lon_rad), Math.cos(lat_rad) * Math.cos(lon_rad), 0];
+    const du_dlat = [-Math.sin(lat_rad) * Math.cos(lon_rad), -Math.sin(lat_rad) * Math.sin(lon_rad), Math.cos(lat_rad)];
+    const rGeo_km = u.map(ui => r * ui);
+    const vGeo_kmps = u.map((ui, i) => dr_kmps * ui + r * (dlon_radps * du_dlon[i] + dlat_radps * du_dlat[i]));
+    const [r_km, v_kmps] = options.frame ? getRvInFrame(rGeo_km, vGeo_kmps, { "center": "earth", "orientation": "ecliptic" }, options.frame, dt, options.catalog, options) : [rGeo_km, vGeo_kmps];
+    return getRvInUnits(r_km, v_kmps, options);
+}
+
+/**
+ * Computes the planet-centered state of a natural satellite from a mean-element record (see satellites_catalog.json). Elements are given at J2000 (TDB) with a uniform rate of mean longitude, an apsidal precession period, and a nodal regression period; they are referred to either the J2000 ecliptic or the satellite's local Laplace plane, whose pole is given in J2000 equatorial coordinates.
+ *
+ * @param {Object} satelliteElements - Satellite mean-element record
+ * @param {Date|Number|String|Object} dt - Datetime (or epoch) at which state will be evaluated
+ * @param {Object} options - Optional { timeScale, frame, catalog, model, validity, positionUnits, velocityUnits }; a frame centered elsewhere than the parent requires a catalog containing the parent
+ * @returns {Array} - Two-element array containing r [km] and v [km/s] (or the requested units; see getRvInUnits()) in the parent-centered ecliptic frame (or options.frame)
+ * @throws {InvalidElementsError} - If the element record does not match the satellite schema
+ * @throws {UnknownBodyError} - If the parent is not found within BODIES
+ * @throws {UnknownFrameError} - If the record's frame is neither "ecliptic" nor "laplace"
+ */
+export function getSatelliteRvFromElementsDatetime(satelliteElements, dt, options = {}) {
+    validateElements(satelliteElements, SATELLITE_ELEMENT_FIELDS, ["poleRa_deg", "poleDec_deg"]);
+    const mu_km3ps2 = getBodySpec(satelliteElements.parent).mu_km3ps2;
+    const d2r = UNITS.deg.scale;
+    const yr2d = 365.25;
+    const d = getTdbFromEpoch(dt, options.timeScale) - 2451545.0;
+
+    // advance periapsis, node, and mean anomaly from their J2000 values; n_degpd is the rate of mean longitude, so the anomalistic rate excludes the precession of periapsis
+    const daop_degpd = satelliteElements.paop_yr === 0 ? 0 : 360 / (satelliteElements.paop_yr * yr2d);
+    const draan_degpd = satelliteElements.praan_yr === 0 ? 0 : -360 / (satelliteElements.praan_yr * yr2d);
+    const e = satelliteElements.e;
+    const inc_rad = satelliteElements.inc_deg * d2r;
+    const raan_rad = posmod((satelliteElements.raan_deg + draan_degpd * d) * d2r, 2 * Math.PI);
+    const aop_rad = posmod((satelliteElements.aop_deg + daop_degpd * d) * d2r, 2 * Math.PI);
+    const M_rad = posmod((satelliteElements.ma_deg + (satelliteElements.n_degpd - daop_degpd - draan_degpd) * d) * d2r, 2 * Math.PI);
+
+    // compute perifocal states and rotate into the reference plane of the elements
+    const h_km2ps = getAngularMomentum(satelliteElements.a_km, e, mu_km3ps2);
+    const tht_rad = getTaFromMaE(M_rad, e);
+    const Qpqw2ref = getQpqw2eci(raan_rad, inc_rad, aop_rad);
+    const rRef_km = getMatVec(Qpqw2ref, getRpqwFromHETht(h_km2ps, e, tht_rad, mu_km3ps2));
+    const vRef_kmps = getMatVec(Qpqw2ref, getVpqwFromHETht(h_km2ps, e, tht_rad, mu_km3ps2));
+
+    // the laplace plane ascends the equator 90 degrees ahead of its pole's right ascension
+    let Qref2ecl;
+    if (satelliteElements.frame === "ecliptic") {
+        Qref2ecl = [
+            [1, 0, 0],
+            [0, 1, 0],
+            [0, 0, 1]
+        ];
+    } else if (satelliteElements.frame === "laplace") {
+        const Qlaplace2eq = getQpqw2eci((satelliteElements.poleRa_deg + 90) * d2r, (90 - satelliteElements.poleDec_deg) * d2r, 0);
+        Qref2ecl = getMatMul(transpose(getQecliptic2equatorial()), Qlaplace2eq);
+    } else {
+        throw new UnknownFrameError(`Unknown satellite element frame ${JSON.stringify(satelliteElements.frame)}`, satelliteElements.frame);
+    }
+    const rEcl_km = getMatVec(Qref2ecl, rRef_km);
+    const vEcl_kmps = getMatVec(Qref2ecl, vRef_kmps);
+    const [r_km, v_kmps] = options.frame ? getRvInFrame(rEcl_km, vEcl_kmps, { "center": satelliteElements.parent, "orientation": "ecliptic" }, options.frame, dt, options.catalog, options) : [rEcl_km, vEcl_kmps];
+    return getRvInUnits(r_km, v_kmps, options);
+}
+
+/**
+ * Unpacks an MPC packed designation: permanent numbers ("00001", "A0001", "~0000") become their integer string, and provisional designations ("K07Tf8A") become their readable form ("2007 TA418"). Anything else is returned trimmed but otherwise unchanged.
+ *
+ * @param {String} packed - Packed designation, as in columns 1-7 of MPCORB.DAT
+ * @returns {String} - Unpacked designation
+ */
+export function getDesignationFromMpcPacked(packed) {
+    const p = packed.trim();
+    if (/^[0-9A-Za-z][0-9]{4}$/.test(p)) {
+        return String(MPC_BASE62.indexOf(p[0]) * 10000 + parseInt(p.slice(1), 10));
+    } else if (/^~[0-9A-Za-z]{4}$/.test(p)) {
+        const n = p.slice(1).split("").reduce((acc, c) => 62 * acc + MPC_BASE62.indexOf(c), 0);
+        return String(620000 + n);
+    } else if (/^[I-L][0-9]{2}[A-Y][0-9A-Za-z][0-9][A-Z]$/.test(p)) {
+        const year = MPC_BASE62.indexOf(p[0]) * 100 + parseInt(p.slice(1, 3), 10);
+        const cycle = MPC_BASE62.indexOf(p[4]) * 10 + parseInt(p[5], 10);
+        return `${year} ${p[3]}${p[6]}${cycle === 0 ? "" : cycle}`;
+    }
+    return p;
+}
+
+/**
+ * Computes the julian date of an MPC packed epoch (e.g., "K205V" for 2020 May 31.0); MPC epochs are given in TT.
+ *
+ * @param {String} packed - Five-character packed date
+ * @returns {Number} - Julian date (TT) [days]
+ * @throws {InvalidEpochError} - If the packed date cannot be parsed
+ */
+export function getJdFromMpcPackedEpoch(packed) {
+    const p = packed.trim();
+    if (!/^[I-L][0-9]{2}[1-9A-C][1-9A-V]$/.test(p)) {
+        throw new InvalidEpochError(`Unrecognized MPC packed epoch "${packed}"`, packed);
+    }
+    const year = MPC_BASE62.indexOf(p[0]) * 100 + parseInt(p.slice(1, 3), 10);
+    const month = MPC_BASE62.indexOf(p[3]);
+    const day = MPC_BASE62.indexOf(p[4]);
+    return getJdFromDate(new Date(Date.UTC(year, month - 1, day)));
+}
+
+/**
+ * Parses one line of the MPC orbit format (as used by MPCORB.DAT) into an osculating element record. The MPC gives the mean anomaly at epoch, so the record carries ma_deg rather than tp_jd.
+ *
+ * @param {String} line - Fixed-width MPCORB record
+ * @returns {Object} - Osculating element record (see OSCULATING_ELEMENT_FIELDS)
+ * @throws {InvalidElementsError} - If any numeric column is missing or malformed
+ */
+export function getOsculatingElementsFromMpcLine(line) {
+    const column = (start, stop) => line.slice(start - 1, stop).trim();
+    const number = (start, stop) => column(start, stop) === "" ? NaN : Number(column(start, stop));
+    const readable = column(167, 194);
+    const a_au = number(93, 103);
+    const e = number(71, 79);
+    const record = {
+        "name": readable === "" ? getDesignationFromMpcPacked(column(1, 7)) : readable,
+        "epoch_jd": getJdInTimeScale(getJdFromMpcPackedEpoch(column(21, 25)), "TT", "TDB"),
+        "a_au": a_au,
+        "q_au": a_au * (1 - e),
+        "e": e,
+        "inc_deg": number(60, 68),
+        "raan_deg": number(49, 57),
+        "aop_deg": number(38, 46),
+        "ma_deg": number(27, 35)
+    };
+    if (column(9, 13) !== "") {
+        record.H = number(9, 13);
+    }
+    if (column(15, 19) !== "") {
+        record.G = number(15, 19);
+    }
+    return validateElements(record, OSCULATING_ELEMENT_FIELDS, OPTIONAL_OSCULATING_ELEMENT_FIELDS);
+}
+
+/**
+ * Parses the contents of an MPCORB.DAT-style file into osculating element records. Any header (through the line of dashes) and blank lines are skipped.
+ *
+ * @param {String} text - File contents
+ * @returns {Array} - Array of osculating element records
+ * @throws {InvalidElementsError} - If any record is malformed
+ */
+export function getOsculatingElementsFromMpcorb(text) {
+    const lines = text.split(/\r?\n/);
+    const iDashes = lines.findIndex(line => /^-{20,}/.test(line));
+    return lines.slice(iDashes + 1)
+        .filter(line => line.trim() !== "")
+        .map(getOsculatingElementsFromMpcLine);
+}
+
+/**
+ * Converts a set of named SBDB fields (as strings or numbers, using the SBDB field names full_name, epoch, e, a, q, i, om, w, ma, tp, H, and G) into an osculating element record. Either a or q, and either ma or tp, must be given; epochs and times of perihelion are TDB julian dates.
+ *
+ * @param {Object} fields - Map of SBDB field names to values
+ * @returns {Object} - Osculating element record (see OSCULATING_ELEMENT_FIELDS)
+ * @throws {InvalidElementsError} - If required fields are missing or non-numeric
+ */
+export function getOsculatingElementsFromSbdbFields(fields) {
+    const number = k => fields[k] === undefined || fields[k] === null || fields[k] === "" ? undefined : Number(fields[k]);
+    const e = number("e");
+    const a_au = number("a");
+    const q_au = number("q");
+    const record = {
+        "name": String(fields.full_name || fields.fullname || fields.pdes || "").trim(),
+        "epoch_jd": number("epoch") === undefined && number("epoch_mjd") !== undefined ? number("epoch_mjd") + 2400000.5 : number("epoch"),
+        "q_au": q_au === undefined ? a_au * (1 - e) : q_au,
+        "e": e,
+        "inc_deg": number("i"),
+        "raan_deg": number("om"),
+        "aop_deg": number("w")
+    };
+    if (a_au !== undefined || e !== 1) {
+        record.a_au = a_au === undefined ? record.q_au / (1 - e) : a_au;
+    }
+    [["ma", "ma_deg"], ["tp", "tp_jd"], ["H", "H"], ["G", "G"]].forEach(([k, field]) => {
+        if (number(k) !== undefined) {
+            record[field] = number(k);
+        }
+    });
+    if (record.ma_deg === undefined && record.tp_jd === undefined) {
+        throw new InvalidElementsError("Element record must give either a mean anomaly (ma) or a time of perihelion (tp)", ["ma_deg", "tp_jd"]);
+    }
+    return validateElements(record, OSCULATING_ELEMENT_FIELDS, OPTIONAL_OSCULATING_ELEMENT_FIELDS);
+}
+
+/**
+ * Parses SBDB JSON into osculating element records. Both the single-object response of the SBDB API ({ object, orbit: { epoch, elements } }) and the tabular response of the SBDB query API ({ fields, data }) are accepted.
+ *
+ * @param {String|Object} json - JSON text, or the already-parsed object
+ * @returns {Array} - Array of osculating element records
+ * @throws {InvalidElementsError} - If the JSON has neither form, or any record is malformed
+ */
+export function getOsculatingElementsFromSbdbJson(json) {
+    const obj = typeof json === "string" ? JSON.parse(json) : json;
+    if (obj && Array.isArray(obj.fields) && Array.isArray(obj.data)) {
+        return obj.data.map(row => getOsculatingElementsFromSbdbFields(Object.fromEntries(obj.fields.map((k, i) => [k, row[i]]))));
+    } else if (obj && obj.orbit && Array.isArray(obj.orbit.elements)) {
+        const fields = { "full_name": obj.object ? obj.object.fullname : undefined, "epoch": obj.orbit.epoch };
+        obj.orbit.elements.forEach(element => {
+            fields[element.name] = element.value;
+        });
+        (obj.phys_par || []).forEach(par => {
+            if (par.name === "H" || par.name === "G") {
+                fields[par.name] = par.value;
+            }
+        });
+        return [getOsculatingElementsFromSbdbFields(fields)];
+    }
+    throw new InvalidElementsError("SBDB JSON must contain either { fields, data } or { orbit: { elements } }", ["fields", "orbit"]);
+}
+
+/**
+ * Splits CSV text into rows of fields, honoring double-quoted fields (with "" as an escaped quote).
+ *
+ * @param {String} text - CSV text
+ * @returns {Array} - Array of rows, each an array of strings; blank lines are skipped
+ */
+export function getRowsFromCsv(text) {
+    const rows = [];
+    let row = [];
+    let field = "";
+    let isQuoted = false;
+    for (let i = 0; i < text.length; i += 1) {
+        const c = text[i];
+        if (isQuoted) {
+            if (c === "\"" && text[i + 1] === "\"") {
+                field += c;
+                i += 1;
+            } else if (c === "\"") {
+                isQuoted = false;
+            } else {
+                field += c;
+            }
+        } else if (c === "\"") {
+            isQuoted = true;
+        } else if (c === ",") {
+            row.push(field);
+            field = "";
+        } else if (c === "\n" || c === "\r") {
+            if (c === "\r" && text[i + 1] === "\n") {
+                i += 1;
+            }
+            row.push(field);
+            rows.push(row);
+            row = [];
+            field = "";
+        } else {
+            field += c;
+        }
+    }
+    if (field !== "" || 0 < row.length) {
+        row.push(field);
+        rows.push(row);
+    }
+    return rows.filter(r => !(r.length === 1 && r[0].trim() === ""));
+}
+
+/**
+ * Parses SBDB-style CSV (a header row of SBDB field names, then one object per row) into osculating element records.
+ *
+ * @param {String} text - CSV text
+ * @returns {Array} - Array of osculating element records
+ * @throws {InvalidElementsError} - If any record is malformed
+ */
+export function getOsculatingElementsFromSbdbCsv(text) {
+    const [header, ...rows] = getRowsFromCsv(text);
+    const keys = header.map(k => k.trim());
+    return rows.map(row => getOsculatingElementsFromSbdbFields(Object.fromEntries(keys.map((k, i) => [k, row[i]]))));
+}
+
+/**
+ * Computes the heliocentric state of a minor body from an osculating element record by two-body motion about the sun, measured from the record's own epoch (or its time of perihelion, when given) rather than J2000. Elliptical, parabolic, and hyperbolic orbits are all supported.
+ *
+ * @param {Object} osculatingElements - Osculating element record (see OSCULATING_ELEMENT_FIELDS)
+ * @param {Date|Number|String|Object} dt - Datetime (or epoch) at which state will be evaluated
+ * @param {Object} options - Optional { timeScale, frame, catalog, model, validity, positionUnits, velocityUnits }
+ * @returns {Array} - Two-element array containing r [km] and v [km/s] (or the requested units; see getRvInUnits()) in the heliocentric ecliptic frame (or options.frame)
+ * @throws {InvalidElementsError} - If the record is malformed, or a parabolic record lacks tp_jd
+ * @throws {InvalidEccentricityError} - If the eccentricity is negative
+ * @throws {UnknownUnitError} - If the requested units are not recognized
+ */
+export function getRvFromOsculatingElementsDatetime(osculatingElements, dt, options = {}) {
+    validateElements(osculatingElements, OSCULATING_ELEMENT_FIELDS, OPTIONAL_OSCULATING_ELEMENT_FIELDS);
+    const JD = getTdbFromEpoch(dt, options.timeScale);
+    const d2r = UNITS.deg.scale;
+    const mu_km3ps2 = BODIES.sun.mu_km3ps2;
+    const e = osculatingElements.e;
+    const q_km = osculatingElements.q_au * AU_KM;
+    const h_km2ps = Math.sqrt(mu_km3ps2 * q_km * (1 + e));
+
+    // mean anomaly (elliptical, parabolic, or hyperbolic) from time since perihelion, or from the mean anomaly at epoch
+    let M_rad;
+    if (!(0 <= e)) {
+        throw new InvalidEccentricityError(`Eccentricity must be non-negative (got ${e})`, e);
+    } else if (e === 1) {
+        if (!Number.isFinite(osculatingElements.tp_jd)) {
+            throw new InvalidElementsError("Parabolic element record must give a time of perihelion", ["tp_jd"]);
+        }
+        M_rad = mu_km3ps2 * mu_km3ps2 / (h_km2ps * h_km2ps * h_km2ps) * (JD - osculatingElements.tp_jd) * 86400;
+    } else {
+        const a_km = q_km / (1 - e);
+        const n_radps = Math.sqrt(mu_km3ps2 / Math.abs(a_km * a_km * a_km));
+        M_rad = Number.isFinite(osculatingElements.tp_jd)
+            ? n_radps * (JD - osculatingElements.tp_jd) * 86400
+            : osculatingElements.ma_deg * d2r + n_radps * (JD - osculatingElements.epoch_jd) * 86400;
+        if (e < 1) {
+            M_rad = posmod(M_rad, 2 * Math.PI);
+        }
+    }
+    if (e !== 1 && !Number.isFinite(M_rad)) {
+        throw new InvalidElementsError("Element record must give either ma_deg or tp_jd", ["ma_deg", "tp_jd"]);
+    }
+
+    // perifocal states, rotated into the ecliptic
+    const tht_rad = getTaFromMaE(M_rad, e);
+    const Qpqw2eci = getQpqw2eci(osculatingElements.raan_deg * d2r, osculatingElements.inc_deg * d2r, osculatingElements.aop_deg * d2r);
+    const rHcec_km = getMatVec(Qpqw2eci, getRpqwFromHETht(h_km2ps, e, tht_rad, mu_km3ps2));
+    const vHcec_kmps = getMatVec(Qpqw2eci, getVpqwFromHETht(h_km2ps, e, tht_rad, mu_km3ps2));
+    const [r_km, v_kmps] = options.frame ? getRvInFrame(rHcec_km, vHcec_kmps, "HCEC", options.frame, dt, options.catalog, options) : [rHcec_km, vHcec_kmps];
+    return getRvInUnits(r_km, v_kmps, options);
+}
+
+/**
+ * Evaluates the IAU rotation model of a body (see ROTATION_MODELS) at the given datetime.
+ *
+ * @param {String} body - Name of the body (e.g., "mars")
+ * @param {Date|Number|String|Object} dt - Datetime (or epoch) at which the model will be evaluated
+ * @param {Object} options - Optional { timeScale }
+ * @returns {Object} - Pole right ascension and declination (J2000 equator) and prime meridian angle, as { ra_rad, dec_rad, w_rad }
+ * @throws {UnknownBodyError} - If the body has no rotation model
+ */
+export function getRotationFromBodyDatetime(body, dt, options = {}) {
+    if (!Object.prototype.hasOwnProperty.call(ROTATION_MODELS, body)) {
+        throw new UnknownBodyError(`No rotation model for body "${body}"`, body);
+    }
+    const model = ROTATION_MODELS[body];
+    const d2r = UNITS.deg.scale;
+    const d = getTdbFromEpoch(dt, options.timeScale) - 2451545.0;
+    const T0 = d / 36525;
+    const getArgument = name => (ROTATION_ARGUMENTS[name][0] + ROTATION_ARGUMENTS[name][1] * T0) * d2r;
+    const sumTerms = (terms, f) => (terms || []).reduce((sum, [A, name]) => sum + A * f(getArgument(name)), 0);
+    const ra_deg = model.ra_deg[0] + model.ra_deg[1] * T0 + sumTerms(model.raTerms, Math.sin);
+    const dec_deg = model.dec_deg[0] + model.dec_deg[1] * T0 + sumTerms(model.decTerms, Math.cos);
+    const w_deg = model.w_deg[0] + model.w_deg[1] * d + sumTerms(model.wTerms, Math.sin);
+    return {
+        "ra_rad": posmod(ra_deg * d2r, 2 * Math.PI),
+        "dec_rad": dec_deg * d2r,
+        "w_rad": posmod(w_deg * d2r, 2 * Math.PI)
+    };
+}
+
+/**
+ * Computes the frame transformation from a body-fixed frame (z along the north pole, x through the prime meridian) to an inertial orientation at the given datetime. The body's equator ascends the J2000 equator at a right ascension 90 degrees ahead of the pole, so the sequence matches that of an orbit with node ra + 90, inclination 90 - dec, and argument W.
+ *
+ * @param {String} body - Name of the body (e.g., "mars")
+ * @param {Date|Number|String|Object} dt - Datetime (or epoch) at which the transformation will be evaluated
+ * @param {Object} options - Optional { orientation ("ecliptic", the default, or "equatorial"), timeScale }
+ * @returns {Array} - Frame transformation as 3x3 matrix (e.g., array-of-arrays)
+ * @throws {UnknownBodyError} - If the body has no rotation model
+ */
+export function getQbodyfixed2inertial(body, dt, options = {}) {
+    const { ra_rad, dec_rad, w_rad } = getRotationFromBodyDatetime(body, dt, options);
+    const Qbodyfixed2eq = getQpqw2eci(ra_rad + 0.5 * Math.PI, 0.5 * Math.PI - dec_rad, w_rad);
+    if (options.orientation === "equatorial") {
+        return Qbodyfixed2eq;
+    }
+    return getMatMul(transpose(getQecliptic2equatorial()), Qbodyfixed2eq);
+}
+
+/**
+ * Computes the planetocentric latitude and east longitude at which a direction from a body's center pierces its surface--e.g., the sub-solar point, given the direction from a planet to the sun, or the sub-observer point, given the direction to the observer.
+ *
+ * @param {Array} r_km - Direction from the body's center, in the inertial orientation named by options.orientation [km]
+ * @param {String} body - Name of the body (e.g., "mars")
+ * @param {Date|Number|String|Object} dt - Datetime (or epoch) at which the body's orientation will be evaluated
+ * @param {Object} options - Optional { orientation ("ecliptic", the default, or "equatorial"), timeScale }
+ * @returns {Object} - Planetocentric coordinates, as { lat_rad, lon_rad }, with longitude in [0, 2pi)
+ * @throws {UnknownBodyError} - If the body has no rotation model
+ */
+export function getLatLonFromVectorBodyDatetime(r_km, body, dt, options = {}) {
+    const rBodyfixed_km = getMatVec(transpose(getQbodyfixed2inertial(body, dt, options)), r_km);
+    return {
+        "lat_rad": Math.asin(rBodyfixed_km[2] / getVecNorm(rBodyfixed_km)),
+        "lon_rad": posmod(Math.atan2(rBodyfixed_km[1], rBodyfixed_km[0]), 2 * Math.PI)
+    };
+}
+
+/**
+ * Finds the roots of a continuous function over an interval by sampling it at a fixed step and bisecting each sign change down to the given tolerance. Roots closer together than the step may be missed.
+ *
+ * @param {Function} f - Function of one numeric argument
+ * @param {Number} start - Start of the interval
+ * @param {Number} stop - End of the interval
+ * @param {Number} step - Sampling step
+ * @param {Number} tol - Width below which bisection stops
+ * @returns {Array} - Roots, as { x, isRising } objects in increasing order, where isRising is true if f crosses from negative to positive
+ */
+export function getRootsFromFunction(f, start, stop, step, tol) {
+    const roots = [];
+    let x0 = start;
+    let f0 = f(x0);
+    while (x0 < stop) {
+        const x1 = Math.min(x0 + step, stop);
+        const f1 = f(x1);
+        if ((f0 < 0) !== (f1 < 0)) {
+            let lo = x0;
+            let hi = x1;
+            while (tol < hi - lo) {
+                const mid = 0.5 * (lo + hi);
+                if ((f(mid) < 0) === (f0 < 0)) {
+                    lo = mid;
+                } else {
+                    hi = mid;
+                }
+            }
+            roots.push({ "x": 0.5 * (lo + hi), "isRising": f0 < 0 });
+        }
+        x0 = x1;
+        f0 = f1;
+    }
+    return roots;
+}
+
+/**
+ * Finds perihelion and aphelion passages of a body, as the roots of its radial velocity.
+ *
+ * @param {Object} planetaryOrbitalElements - Planetary orbital elements model
+ * @param {Date|Number|String|Object} start - Start of the search
+ * @param {Date|Number|String|Object} stop - End of the search
+ * @param {Object} options - Optional { step_d (default 1), tol_d (default one minute), model, validity, timeScale }
+ * @returns {Array} - Events, as { type ("perihelion" or "aphelion"), jd (TDB) }
+ */
+export function getApsisEventsFromElements(planetaryOrbitalElements, start, stop, options = {}) {
+    const evalOptions = { "model": options.model, "validity": options.validity, "timeScale": "TDB" };
+    const f = jd => {
+        const [r_km, v_kmps] = getRvFromElementsDatetime(planetaryOrbitalElements, jd, evalOptions);
+        return getDotProd(r_km, v_kmps);
+    };
+    return getRootsFromFunction(f, getTdbFromEpoch(start, options.timeScale), getTdbFromEpoch(stop, options.timeScale), options.step_d || 1, options.tol_d || 1 / 1440)
+        .map(root => ({ "type": root.isRising ? "perihelion" : "aphelion", "jd": root.x }));
+}
+
+/**
+ * Finds ascending and descending node crossings of a body through the ecliptic.
+ *
+ * @param {Object} planetaryOrbitalElements - Planetary orbital elements model
+ * @param {Date|Number|String|Object} start - Start of the search
+ * @param {Date|Number|String|Object} stop - End of the search
+ * @param {Object} options - Optional { step_d (default 1), tol_d (default one minute), model, validity, timeScale }
+ * @returns {Array} - Events, as { type ("ascendingNode" or "descendingNode"), jd (TDB) }
+ */
+export function getNodeEventsFromElements(planetaryOrbitalElements, start, stop, options = {}) {
+    const evalOptions = { "model": options.model, "validity": options.validity, "timeScale": "TDB" };
+    const f = jd => getRvFromElementsDatetime(planetaryOrbitalElements, jd, evalOptions)[0][2];
+    return getRootsFromFunction(f, getTdbFromEpoch(start, options.timeScale), getTdbFromEpoch(stop, options.timeScale), options.step_d || 1, options.tol_d || 1 / 1440)
+        .map(root => ({ "type": root.isRising ? "ascendingNode" : "descendingNode", "jd": root.x }));
+}
+
+/**
+ * Computes the geometric (not light-time corrected) geocentric positions of a planet and the sun at a TDB julian date.
+ *
+ * @param {Object} planetaryOrbitalElements - Planetary orbital elements model
+ * @param {Object} earthOrbitalElements - Earth orbital elements model
+ * @param {Number} jd - Julian date (TDB) [days]
+ * @param {Object} options - Optional { model, validity }
+ * @returns {Array} - Two-element array containing the geocentric ecliptic positions of the planet and the sun [km]
+ */
+export function getGeocentricPlanetSunFromElements(planetaryOrbitalElements, earthOrbitalElements, jd, options = {}) {
+    const evalOptions = { "model": options.model, "validity": options.validity, "timeScale": "TDB" };
+    const [rPlanet_km] = getRvFromElementsDatetime(planetaryOrbitalElements, jd, evalOptions);
+    const [rEarth_km] = getRvFromElementsDatetime(earthOrbitalElements, jd, evalOptions);
+    return [
+        rPlanet_km.map((ri, i) => ri - rEarth_km[i]),
+        rEarth_km.map(ri => -ri)
+    ];
+}
+
+/**
+ * Finds conjunctions and oppositions of a planet with the sun, as seen from Earth: the times at which their geocentric ecliptic longitudes are equal or differ by 180 degrees. A conjunction is inferior if the planet is nearer than the sun.
+ *
+ * @param {Object} planetaryOrbitalElements - Planetary orbital elements model
+ * @param {Object} earthOrbitalElements - Earth orbital elements model
+ * @param {Date|Number|String|Object} start - Start of the search
+ * @param {Date|Number|String|Object} stop - End of the search
+ * @param {Object} options - Optional { step_d (default 1), tol_d (default one minute), model, validity, timeScale }
+ * @returns {Array} - Events, as { type ("opposition", "superiorConjunction", or "inferiorConjunction"), jd (TDB) }
+ */
+export function getConjunctionEventsFromElements(planetaryOrbitalElements, earthOrbitalElements, start, stop, options = {}) {
+    const getGeometry = jd => {
+        const [rPlanet_km, rSun_km] = getGeocentricPlanetSunFromElements(planetaryOrbitalElements, earthOrbitalElements, jd, options);
+        const dLon_rad = Math.atan2(rPlanet_km[1], rPlanet_km[0]) - Math.atan2(rSun_km[1], rSun_km[0]);
+        return [dLon_rad, getVecNorm(rPlanet_km) < getVecNorm(rSun_km)];
+    };
+    return getRootsFromFunction(jd => Math.sin(getGeometry(jd)[0]), getTdbFromEpoch(start, options.timeScale), getTdbFromEpoch(stop, options.timeScale), options.step_d || 1, options.tol_d || 1 / 1440)
+        .map(root => {
+            const [dLon_rad, isNearer] = getGeometry(root.x);
+            const type = Math.cos(dLon_rad) < 0 ? "opposition" : isNearer ? "inferiorConjunction" : "superiorConjunction";
+            return { "type": type, "jd": root.x };
+        });
+}
+
+/**
+ * Finds greatest eastern and western elongations of a planet: local maxima of the sun-Earth-planet angle below 90 degrees, which only the inferior planets reach. The elongation is reported with each event.
+ *
+ * @param {Object} planetaryOrbitalElements - Planetary orbital elements model
+ * @param {Object} earthOrbitalElements - Earth orbital elements model
+ * @param {Date|Number|String|Object} start - Start of the search
+ * @param {Date|Number|String|Object} stop - End of the search
+ * @param {Object} options - Optional { step_d (default 1), tol_d (default one minute), model, validity, timeScale }
+ * @returns {Array} - Events, as { type ("greatestEasternElongation" or "greatestWesternElongation"), jd (TDB), elongation_rad }
+ */
+export function getElongationEventsFromElements(planetaryOrbitalElements, earthOrbitalElements, start, stop, options = {}) {
+    const tol_d = options.tol_d || 1 / 1440;
+    const getElongation = jd => {
+        const [rPlanet_km, rSun_km] = getGeocentricPlanetSunFromElements(planetaryOrbitalElements, earthOrbitalElements, jd, options);
+        const elongation_rad = Math.acos(Math.max(-1, Math.min(1, getDotProd(rPlanet_km, rSun_km) / (getVecNorm(rPlanet_km) * getVecNorm(rSun_km)))));
+        const isEast = 0 < Math.sin(Math.atan2(rPlanet_km[1], rPlanet_km[0]) - Math.atan2(rSun_km[1], rSun_km[0]));
+        return [elongation_rad, isEast];
+    };
+
+    // extrema are roots of the (central-difference) rate of elongation
+    const f = jd => getElongation(jd + 0.5 * tol_d)[0] - getElongation(jd - 0.5 * tol_d)[0];
+    return getRootsFromFunction(f, getTdbFromEpoch(start, options.timeScale), getTdbFromEpoch(stop, options.timeScale), options.step_d || 1, tol_d)
+        .filter(root => !root.isRising)
+        .map(root => {
+            const [elongation_rad, isEast] = getElongation(root.x);
+            return { "type": isEast ? "greatestEasternElongation" : "greatestWesternElongation", "jd": root.x, "elongation_rad": elongation_rad };
+        })
+        .filter(event => event.elongation_rad < 0.5 * Math.PI);
+}
+
+/**
+ * Finds all supported events of a planet within a date range--apsides, nodes, conjunctions and oppositions, and greatest elongations--sorted by time.
+ *
+ * @param {Object} planetaryOrbitalElements - Planetary orbital elements model
+ * @param {Object} earthOrbitalElements - Earth orbital elements model
+ * @param {Date|Number|String|Object} start - Start of the search
+ * @param {Date|Number|String|Object} stop - End of the search
+ * @param {Object} options - Optional { step_d (default 1), tol_d (default one minute), model, validity, timeScale }
+ * @returns {Array} - Events, as { type, jd (TDB) } objects (see the individual event functions)
+ */
+export function getEventsFromElements(planetaryOrbitalElements, earthOrbitalElements, start, stop, options = {}) {
+    return [].concat(
+        getApsisEventsFromElements(planetaryOrbitalElements, start, stop, options),
+        getNodeEventsFromElements(planetaryOrbitalElements, start, stop, options),
+        getConjunctionEventsFromElements(planetaryOrbitalElements, earthOrbitalElements, start, stop, options),
+        getElongationEventsFromElements(planetaryOrbitalElements, earthOrbitalElements, start, stop, options)
+    ).sort((lhs, rhs) => lhs.jd - rhs.jd);
+}
+
+/**
+ * Computes the illuminated fraction of a body's disk from its phase angle.
+ *
+ * @param {Number} phase_rad - Phase angle (sun-body-observer) [rad]
+ * @returns {Number} - Illuminated fraction, from 0 (new) to 1 (full)
+ */
+export function getIlluminatedFraction(phase_rad) {
+    return 0.5 * (1 + Math.cos(phase_rad));
+}
+
+/**
+ * Computes the apparent visual magnitude of a minor body from its absolute magnitude H and slope parameter G, using the IAU two-parameter (H, G) phase function.
+ *
+ * @param {Number} H - Absolute magnitude
+ * @param {Number} G - Slope parameter (0.15 is typical when unknown)
+ * @param {Number} r_au - Distance from the sun [AU]
+ * @param {Number} delta_au - Distance from the observer [AU]
+ * @param {Number} phase_rad - Phase angle [rad]
+ * @returns {Number} - Apparent visual magnitude
+ */
+export function getMagnitudeFromHG(H, G, r_au, delta_au, phase_rad) {
+    const t = Math.tan(0.5 * phase_rad);
+    const phi1 = Math.exp(-3.33 * Math.pow(t, 0.63));
+    const phi2 = Math.exp(-1.87 * Math.pow(t, 1.22));
+    return H + 5 * Math.log10(r_au * delta_au) - 2.5 * Math.log10((1 - G) * phi1 + G * phi2);
+}
+
+/**
+ * Computes the apparent visual magnitude of a planet from the phase curves of Mallama and Hilton (2018). Saturn includes its rings, for which the observer's latitude above the ring plane is needed (as it is, to a lesser degree, for Uranus); Pluto uses a linear phase coefficient.
+ *
+ * @param {String} body - Name of the planet (e.g., "mars")
+ * @param {Number} r_au - Distance from the sun [AU]
+ * @param {Number} delta_au - Distance from the observer [AU]
+ * @param {Number} phase_rad - Phase angle [rad]
+ * @param {Number} subLatitude_rad - Planetocentric latitude of the sub-observer point [rad]
+ * @returns {Number} - Apparent visual magnitude
+ * @throws {UnknownBodyError} - If there is no phase curve for the body
+ */
+export function getPlanetMagnitude(body, r_au, delta_au, phase_rad, subLatitude_rad = 0) {
+    const a = phase_rad / UNITS.deg.scale;
+    const distance = 5 * Math.log10(r_au * delta_au);
+    const sinB = Math.sin(Math.abs(subLatitude_rad));
+    const polynomial = (coefficients, x) => coefficients.reduceRight((sum, c) => sum * x + c, 0);
+    switch (body) {
+        case "mercury":
+            return distance + polynomial([-0.613, 6.3280e-02, -1.6336e-03, 3.3644e-05, -3.4265e-07, 1.6893e-09, -3.0334e-12], a);
+        case "venus":
+            return distance + (a <= 163.7
+                ? polynomial([-4.384, -1.044e-03, 3.687e-04, -2.814e-06, 8.938e-09], a)
+                : polynomial([236.05828, -2.81914, 8.39034e-03], a));
+        case "earth":
+            return distance + polynomial([-3.99, -1.060e-03, 2.054e-04], a);
+        case "mars":
+            return distance + (a <= 50
+                ? polynomial([-1.601, 2.267e-02, -1.302e-04], a)
+                : polynomial([-0.367, -0.02573, 3.445e-04], a));
+        case "jupiter":
+            if (a <= 12) {
+                return distance + polynomial([-9.395, -3.7e-04, 6.16e-04], a);
+            }
+            return distance - 9.428 - 2.5 * Math.log10(polynomial([1, -1.507, -0.363, -0.062, 2.809, -1.876], a / 180));
+        case "saturn":
+            if (a <= 6.5) {
+                return distance - 8.914 - 1.825 * sinB + 0.026 * a - 0.378 * sinB * Math.exp(-2.25 * a);
+            }
+            return distance + polynomial([-8.94, 2.446e-04, 2.672e-04, -1.505e-06, 4.767e-09], a);
+        case "uranus":
+            return distance + polynomial([-7.110, 6.587e-03, 1.045e-04], a) - 8.4e-04 * Math.abs(subLatitude_rad) / UNITS.deg.scale;
+        case "neptune":
+            return distance + polynomial([-7.00, 7.944e-03, 9.617e-05], a);
+        case "pluto":
+            return distance - 1.01 + 0.041 * a;
+        default:
+            throw new UnknownBodyError(`No phase curve for body "${body}"`, body);
+    }
+}
+
+/**
+ * Computes the solar geometry of a body as seen by an observer, from their heliocentric positions: the solar elongation (sun-observer-body), the phase angle (sun-body-observer), the illuminated fraction, and the distances from the sun and observer.
+ *
+ * @param {Array} rBody_km - Heliocentric position of the body [km]
+ * @param {Array} rObserver_km - Heliocentric position of the observer [km]
+ * @returns {Object} - Geometry, as { elongation_rad, phase_rad, illuminatedFraction, r_km, delta_km }
+ */
+export function getSolarGeometryFromVectors(rBody_km, rObserver_km) {
+    const rObserver2body_km = rBody_km.map((ri, i) => ri - rObserver_km[i]);
+    const getAngle = (lhs, rhs) => Math.acos(Math.max(-1, Math.min(1, getDotProd(lhs, rhs) / (getVecNorm(lhs) * getVecNorm(rhs)))));
+    const phase_rad = getAngle(rBody_km.map(ri => -ri), rObserver2body_km.map(ri => -ri));
+    return {
+        "elongation_rad": getAngle(rObserver_km.map(ri => -ri), rObserver2body_km),
+        "phase_rad": phase_rad,
+        "illuminatedFraction": getIlluminatedFraction(phase_rad),
+        "r_km": getVecNorm(rBody_km),
+        "delta_km": getVecNorm(rObserver2body_km)
+    };
+}
+
+/**
+ * Computes the observables of a catalog body at a date, as seen from another catalog body (Earth, by default): solar elongation, phase angle, illuminated fraction, angular diameter, and apparent visual magnitude. Positions are geometric (not light-time corrected). Planets use getPlanetMagnitude(); osculating element records (see getOsculatingElementsFromMpcorb()) are propagated with getRvFromOsculatingElementsDatetime() and use their H and G, if given.
+ *
+ * @param {Object} catalog - Catalog of element records, containing both the body and the observer
+ * @param {String} body - Name of the body within the catalog
+ * @param {Date|Number|String|Object} dt - Datetime (or epoch) at which observables will be evaluated
+ * @param {Object} options - Optional { observer (default "earth"), model, validity, timeScale }
+ * @returns {Object} - Observables, as { elongation_rad, phase_rad, illuminatedFraction, angularDiameter_rad, magnitude, r_km, delta_km }; angular diameter and magnitude are NaN when unknown
+ * @throws {UnknownBodyError} - If the body or observer is not found within the catalog
+ */
+export function getObservablesFromCatalogDatetime(catalog, body, dt, options = {}) {
+    const observer = options.observer || "earth";
+    [body, observer].forEach(name => {
+        if (!catalog || !Object.prototype.hasOwnProperty.call(catalog, name)) {
+            throw new UnknownBodyError(`Unknown body "${name}"`, name);
+        }
+    });
+    const evalOptions = { "model": options.model, "validity": options.validity, "timeScale": options.timeScale };
+    const getR = name => "epoch_jd" in catalog[name]
+        ? getRvFromOsculatingElementsDatetime(catalog[name], dt, evalOptions)[0]
+        : getRvFromElementsDatetime(catalog[name], dt, evalOptions)[0];
+    const rBody_km = getR(body);
+    const rObserver_km = getR(observer);
+    const geometry = getSolarGeometryFromVectors(rBody_km, rObserver_km);
+
+    // magnitude from the body's own phase curve, if it has one
+    const r_au = geometry.r_km / AU_KM;
+    const delta_au = geometry.delta_km / AU_KM;
+    let magnitude = NaN;
+    if ("epoch_jd" in catalog[body]) {
+        if (Number.isFinite(catalog[body].H)) {
+            magnitude = getMagnitudeFromHG(catalog[body].H, Number.isFinite(catalog[body].G) ? catalog[body].G : 0.15, r_au, delta_au, geometry.phase_rad);
+        }
+    } else if (Object.prototype.hasOwnProperty.call(ROTATION_MODELS, body) && Object.prototype.hasOwnProperty.call(SUN_MASS_RATIOS, body)) {
+        const { lat_rad } = getLatLonFromVectorBodyDatetime(rObserver_km.map((ri, i) => ri - rBody_km[i]), body, dt, evalOptions);
+        magnitude = getPlanetMagnitude(body, r_au, delta_au, geometry.phase_rad, lat_rad);
+    }
+    const radius_km = Object.prototype.hasOwnProperty.call(BODIES, body) ? BODIES[body].radius_km : NaN;
+    return {
+        ...geometry,
+        "angularDiameter_rad": 2 * Math.asin(Math.min(1, radius_km / geometry.delta_km)),
+        "magnitude": magnitude
+    };
+}
+
+/**
+ * Computes the geocentric apparent position of any body in a catalog (see getRaDecFromElementsDatetime()), including "sun" and "moon", which need not be in the catalog. Planetary element records are evaluated with getRvFromElementsDatetime(), osculating element records with getRvFromOsculatingElementsDatetime(), and the Moon with getMoonRvFromDatetime().
+ *
+ * @param {Object} catalog - Catalog of element records, containing "earth" and the body (unless the body is "sun" or "moon")
+ * @param {String} body - Name of the body
+ * @param {Date|Number|String|Object} dt - Datetime (or epoch) of observation
+ * @param {Object} options - Optional { aberration, model, validity, timeScale }
+ * @returns {Object} - Apparent position, as { ra_rad, dec_rad, range_km, rangeRate_kmps, lightTime_s }
+ * @throws {UnknownBodyError} - If the body or earth is not found within the catalog
+ */
+export function getRaDecFromCatalogDatetime(catalog, body, dt, options = {}) {
+    [body === "sun" || body === "moon" ? "earth" : body, "earth"].forEach(name => {
+        if (!catalog || !Object.prototype.hasOwnProperty.call(catalog, name)) {
+            throw new UnknownBodyError(`Unknown body "${name}"`, name);
+        }
+    });
+    const jdTdb = getTdbFromEpoch(dt, options.timeScale);
+    const evalOptions = { "model": options.model, "validity": options.validity, "timeScale": "TDB" };
+    const getEarthRv = jd => getRvFromElementsDatetime(catalog.earth, jd, evalOptions);
+    let getRv;
+    if (body === "sun") {
+        getRv = () => [[0, 0, 0], [0, 0, 0]];
+    } else if (body === "moon") {
+        getRv = jd => {
+            const [rEarth_km, vEarth_kmps] = getEarthRv(jd);
+            const [rMoon_km, vMoon_kmps] = getMoonRvFromDatetime(jd, evalOptions);
+            return [
+                rEarth_km.map((ri, i) => ri + rMoon_km[i]),
+                vEarth_kmps.map((vi, i) => vi + vMoon_kmps[i])
+            ];
+        };
+    } else if ("epoch_jd" in catalog[body]) {
+        getRv = jd => getRvFromOsculatingElementsDatetime(catalog[body], jd, evalOptions);
+    } else {
+        getRv = jd => getRvFromElementsDatetime(catalog[body], jd, evalOptions);
+    }
+    const [rEarth_km, vEarth_kmps] = getEarthRv(jdTdb);
+    return getRaDecFromRvFunction(getRv, rEarth_km, vEarth_kmps, jdTdb, options);
+}
+
+/**
+ * Computes Greenwich mean sidereal time (IAU 1982), taking UT1 to be UTC.
+ *
+ * @param {Date|Number|String|Object} dt - Datetime (or epoch)
+ * @param {Object} options - Optional { timeScale }
+ * @returns {Number} - Greenwich mean sidereal time within [0, 2pi) [rad]
+ */
+export function getGmstFromEpoch(dt, options = {}) {
+    const jdUt = getJdInTimeScale(getJdFromEpoch(dt), options.timeScale || "UTC", "UTC");
+    const T0 = getJulianCenturies(jdUt);
+    const gmst_deg = 280.46061837 + 360.98564736629 * (jdUt - 2451545.0) + 0.000387933 * T0 * T0 - T0 * T0 * T0 / 38710000;
+    return posmod(gmst_deg * UNITS.deg.scale, 2 * Math.PI);
+}
+
+/**
+ * Computes the earth-fixed (ITRF) position of a site from its geodetic coordinates on the WGS84 ellipsoid.
+ *
+ * @param {Number} lat_rad - Geodetic latitude [rad]
+ * @param {Number} lon_rad - East longitude [rad]
+ * @param {Number} height_km - Height above the ellipsoid [km]
+ * @returns {Array} - Earth-fixed position [km]
+ */
+export function getItrfFromGeodetic(lat_rad, lon_rad, height_km) {
+    const a_km = 6378.137;
+    const f = 1 / 298.257223563;
+    const e2 = f * (2 - f);
+    const N_km = a_km / Math.sqrt(1 - e2 * Math.sin(lat_rad) * Math.sin(lat_rad));
+    return [
+        (N_km + height_km) * Math.cos(lat_rad) * Math.cos(lon_rad),
+        (N_km + height_km) * Math.cos(lat_rad) * Math.sin(lon_rad),
+        (N_km * (1 - e2) + height_km) * Math.sin(lat_rad)
+    ];
+}
+
+/**
+ * Computes the precession matrix (IAU 1976) that maps vectors on the J2000 equator and equinox to the mean equator and equinox of date. Nutation is not modeled.
+ *
+ * @param {Number} T0 - Julian centuries (TDB) since J2000
+ * @returns {Array} - 3x3 matrix as array-of-arrays
+ */
+export function getPrecessionFromJ2000(T0) {
+    const s2r = UNITS.arcsec.scale;
+    const zeta_rad = (2306.2181 * T0 + 0.30188 * T0 * T0 + 0.017998 * T0 * T0 * T0) * s2r;
+    const z_rad = (2306.2181 * T0 + 1.09468 * T0 * T0 + 0.018203 * T0 * T0 * T0) * s2r;
+    const tht_rad = (2004.3109 * T0 - 0.42665 * T0 * T0 - 0.041833 * T0 * T0 * T0) * s2r;
+    const c = Math.cos(tht_rad);
+    const s = Math.sin(tht_rad);
+    const R2 = [
+        [c, 0, -s],
+        [0, 1, 0],
+        [s, 0, c]
+    ];
+    return getMatMul(R3(-z_rad), getMatMul(R2, R3(-zeta_rad)));
+}
+
+/**
+ * Computes atmospheric refraction from true altitude by Saemundsson's formula, for standard pressure and temperature. A body whose true altitude is zero appears about 29 arc-minutes high; one on the apparent horizon is about 34 arc-minutes below it.
+ *
+ * @param {Number} alt_rad - True (geometric) altitude [rad]
+ * @returns {Number} - Refraction, to be added to the true altitude [rad]
+ */
+export function getRefraction(alt_rad) {
+    const alt_deg = Math.max(alt_rad / UNITS.deg.scale, -1);
+    const R_arcmin = 1.02 / Math.tan((alt_deg + 10.3 / (alt_deg + 5.11)) * UNITS.deg.scale);
+    return Math.max(R_arcmin, 0) * UNITS.arcmin.scale;
+}
+
+/**
+ * Computes the dip of the sea horizon for an observer above it, neglecting refraction.
+ *
+ * @param {Number} height_km - Height of the eye above the horizon [km]
+ * @returns {Number} - Dip of the horizon below the astronomical horizon [rad]
+ */
+export function getHorizonDip(height_km) {
+    return Math.acos(BODIES.earth.radius_km / (BODIES.earth.radius_km + Math.max(height_km, 0)));
+}
+
+/**
+ * Computes the topocentric altitude and azimuth of a catalog body (or "sun" or "moon") for an observer on the earth. The geocentric apparent position (see getRaDecFromCatalogDatetime()) is precessed to the equator of date and offset by the observer's position, which accounts for diurnal parallax, then resolved against local sidereal time.
+ *
+ * @param {Object} catalog - Catalog of element records, containing "earth" and the body (unless the body is "sun" or "moon")
+ * @param {String} body - Name of the body
+ * @param {Object} observer - Observer site, as { lat_deg (geodetic), lon_deg (east), height_km }
+ * @param {Date|Number|String|Object} dt - Datetime (or epoch) of observation
+ * @param {Object} options - Optional { refraction (default false), aberration, model, validity, timeScale }
+ * @returns {Object} - Topocentric position, as { alt_rad, az_rad (from north through east), ha_rad, dec_rad (of date), range_km }
+ * @throws {UnknownBodyError} - If the body or earth is not found within the catalog
+ */
+export function getAltAzFromCatalogDatetime(catalog, body, observer, dt, options = {}) {
+    const d2r = UNITS.deg.scale;
+    const jdTdb = getTdbFromEpoch(dt, options.timeScale);
+    const { ra_rad, dec_rad, range_km } = getRaDecFromCatalogDatetime(catalog, body, jdTdb, { ...options, "timeScale": "TDB" });
+
+    // precess the geocentric position to the equator of date, then remove the observer's rotated position
+    const rJ2000_km = [Math.cos(dec_rad) * Math.cos(ra_rad), Math.cos(dec_rad) * Math.sin(ra_rad), Math.sin(dec_rad)].map(ui => range_km * ui);
+    const rOfDate_km = getMatVec(getPrecessionFromJ2000(getJulianCenturies(jdTdb)), rJ2000_km);
+    const lat_rad = observer.lat_deg * d2r;
+    const lon_rad = observer.lon_deg * d2r;
+    const gmst_rad = getGmstFromEpoch(jdTdb, { "timeScale": "TDB" });
+    const rObserver_km = getMatVec(r3(gmst_rad), getItrfFromGeodetic(lat_rad, lon_rad, observer.height_km || 0));
+    const rTopo_km = rOfDate_km.map((ri, i) => ri - rObserver_km[i]);
+    const rangeTopo_km = getVecNorm(rTopo_km);
+    const decTopo_rad = Math.asin(rTopo_km[2] / rangeTopo_km);
+    const ha_rad = posmod(gmst_rad + lon_rad - Math.atan2(rTopo_km[1], rTopo_km[0]), 2 * Math.PI);
+
+    // resolve hour angle and declination into the local horizon frame
+    let alt_rad = Math.asin(Math.sin(lat_rad) * Math.sin(decTopo_rad) + Math.cos(lat_rad) * Math.cos(decTopo_rad) * Math.cos(ha_rad));
+    const az_rad = posmod(Math.atan2(-Math.cos(decTopo_rad) * Math.sin(ha_rad), Math.cos(lat_rad) * Math.sin(decTopo_rad) - Math.sin(lat_rad) * Math.cos(decTopo_rad) * Math.cos(ha_rad)), 2 * Math.PI);
+    if (options.refraction) {
+        alt_rad += getRefraction(alt_rad);
+    }
+    return {
+        "alt_rad": alt_rad,
+        "az_rad": az_rad,
+        "ha_rad": ha_rad,
+        "dec_rad": decTopo_rad,
+        "range_km": rangeTopo_km
+    };
+}
+
+/**
+ * Finds rise, upper transit, and set times of a catalog body (or "sun" or "moon") for an observer on the earth. A body rises or sets when the upper limb of its (topocentric) disk crosses the horizon, lowered by standard refraction (34 arc-minutes, unless options.refraction is false) and by the dip of the horizon (if options.horizonDip is true, from the observer's height).
+ *
+ * @param {Object} catalog - Catalog of element records, containing "earth" and the body (unless the body is "sun" or "moon")
+ * @param {String} body - Name of the body
+ * @param {Object} observer - Observer site, as { lat_deg (geodetic), lon_deg (east), height_km }
+ * @param {Date|Number|String|Object} start - Start of the search
+ * @param {Date|Number|String|Object} stop - End of the search
+ * @param {Object} options - Optional { refraction (default true), horizonDip (default false), step_d (default ten minutes), tol_d (default one second), aberration, model, validity, timeScale }
+ * @returns {Array} - Events, as { type ("rise", "transit", or "set"), jd (TDB) }, sorted by time
+ */
+export function getRiseTransitSetFromCatalog(catalog, body, observer, start, stop, options = {}) {
+    const altAzOptions = { ...options, "refraction": false, "timeScale": "TDB" };
+    const radius_km = Object.prototype.hasOwnProperty.call(BODIES, body) ? BODIES[body].radius_km : 0;
+    const refraction_rad = options.refraction === false ? 0 : 34 * UNITS.arcmin.scale;
+    const dip_rad = options.horizonDip ? getHorizonDip(observer.height_km || 0) : 0;
+    const getAltitude = jd => {
+        const { alt_rad, range_km } = getAltAzFromCatalogDatetime(catalog, body, observer, jd, altAzOptions);
+        return alt_rad + Math.asin(Math.min(1, radius_km / range_km)) + refraction_rad + dip_rad;
+    };
+    const getHourAngle = jd => getAltAzFromCatalogDatetime(catalog, body, observer, jd, altAzOptions).ha_rad;
+    const jdStart = getTdbFromEpoch(start, options.timeScale);
+    const jdStop = getTdbFromEpoch(stop, options.timeScale);
+    const step_d = options.step_d || 1 / 144;
+    const tol_d = options.tol_d || 1 / 86400;
+    const risings = getRootsFromFunction(getAltitude, jdStart, jdStop, step_d, tol_d)
+        .map(root => ({ "type": root.isRising ? "rise" : "set", "jd": root.x }));
+    const transits = getRootsFromFunction(jd => Math.sin(getHourAngle(jd)), jdStart, jdStop, step_d, tol_d)
+        .filter(root => root.isRising && Math.cos(getHourAngle(root.x)) > 0)
+        .map(root => ({ "type": "transit", "jd": root.x }));
+    return risings.concat(transits).sort((lhs, rhs) => lhs.jd - rhs.jd);
+}
+
+/**
+ * Formats a julian date as an ISO 8601 calendar string without a zone designator, so that it may be labeled with any time scale (e.g., a TDB epoch in a CCSDS message).
+ *
+ * @param {Number} jd - Julian date [days]
+ * @returns {String} - Calendar date and time, as "YYYY-MM-DDThh:mm:ss.sss"
+ */
+export function getIsoFromJd(jd) {
+    return new Date(Math.round((jd - 2440587.5) * 86400000)).toISOString().slice(0, -1);
+}
+
+/**
+ * Evaluates a catalog body over a range of dates, in any frame, as the common input to the ephemeris writers. Planetary, osculating (see getOsculatingElementsFromMpcorb()), and satellite (see satellites_catalog.json) element records are all supported; frames centered elsewhere than the sun (and satellites) need their centers or parents within the same catalog.
+ *
+ * @param {Object} catalog - Catalog of element records
+ * @param {String} body - Name of the body within the catalog
+ * @param {Date|Number|String|Object} start - First epoch
+ * @param {Date|Number|String|Object} stop - Last epoch (inclusive, if on a step)
+ * @param {Number} step_d - Step between epochs [days]
+ * @param {Object} options - Optional { frame (default "HCEC"), model, validity, timeScale }
+ * @returns {Object} - Ephemeris, as { body, frame, center, orientation, jd (TDB), r_km, v_kmps }; states are interleaved [x0, y0, z0, x1, ...]
+ * @throws {UnknownBodyError} - If the body is not found within the catalog
+ */
+export function getEphemerisFromCatalog(catalog, body, start, stop, step_d, options = {}) {
+    if (!catalog || !Object.prototype.hasOwnProperty.call(catalog, body)) {
+        throw new UnknownBodyError(`Unknown body "${body}"`, body);
+    }
+    const frame = options.frame || "HCEC";
+    const { center, orientation } = getFrameSpec(frame);
+    const evalOptions = { "model": options.model, "validity": options.validity, "timeScale": "TDB" };
+    const jdStart = getTdbFromEpoch(start, options.timeScale);
+    const jd = getJdSeries({ "start": { "jd": jdStart }, "stop": { "jd": getTdbFromEpoch(stop, options.timeScale) }, "step_d": step_d });
+    const record = catalog[body];
+    let r_km, v_kmps;
+    if ("epoch_jd" in record || "parent" in record) {
+        r_km = new Float64Array(3 * jd.length);
+        v_kmps = new Float64Array(3 * jd.length);
+        jd.forEach((jdi, i) => {
+            const [ri_km, vi_kmps] = "epoch_jd" in record
+                ? getRvFromOsculatingElementsDatetime(record, jdi, evalOptions)
+                : getSatelliteRvFromElementsDatetime(record, jdi, { ...evalOptions, "frame": "HCEC", "catalog": catalog });
+            r_km.set(ri_km, 3 * i);
+            v_kmps.set(vi_kmps, 3 * i);
+        });
+    } else {
+        [r_km, v_kmps] = fillRvFromElements(record, jd, new Float64Array(3 * jd.length), new Float64Array(3 * jd.length), evalOptions);
+    }
+
+    // transform each sample out of the native heliocentric ecliptic frame, if needed
+    if (frame !== "HCEC") {
+        jd.forEach((jdi, i) => {
+            const [ri_km, vi_kmps] = getRvInFrame(Array.from(r_km.subarray(3 * i, 3 * i + 3)), Array.from(v_kmps.subarray(3 * i, 3 * i + 3)), "HCEC", frame, jdi, catalog, evalOptions);
+            r_km.set(ri_km, 3 * i);
+            v_kmps.set(vi_kmps, 3 * i);
+        });
+    }
+    return {
+        "body": body,
+        "frame": frame,
+        "center": center,
+        "orientation": orientation,
+        "jd": jd,
+        "r_km": r_km,
+        "v_kmps": v_kmps
+    };
+}
+
+/**
+ * Rotates an ephemeris onto the J2000 equator (see getQecliptic2equatorial()), keeping its center. Equatorial ephemerides are returned as-is.
+ *
+ * @param {Object} ephemeris - Ephemeris, as returned by getEphemerisFromCatalog()
+ * @returns {Object} - Ephemeris in the equatorial orientation
+ */
+export function getEquatorialEphemeris(ephemeris) {
+    if (ephemeris.orientation === "equatorial") {
+        return ephemeris;
+    }
+    const Q = getQecliptic2equatorial();
+    const r_km = new Float64Array(ephemeris.r_km.length);
+    const v_kmps = new Float64Array(ephemeris.v_kmps.length);
+    ephemeris.jd.forEach((_, i) => {
+        r_km.set(getMatVec(Q, Array.from(ephemeris.r_km.subarray(3 * i, 3 * i + 3))), 3 * i);
+        v_kmps.set(getMatVec(Q, Array.from(ephemeris.v_kmps.subarray(3 * i, 3 * i + 3))), 3 * i);
+    });
+    return {
+        ...ephemeris,
+        "frame": { "center": ephemeris.center, "orientation": "equatorial" },
+        "orientation": "equatorial",
+        "r_km": r_km,
+        "v_kmps": v_kmps
+    };
+}
+
+/**
+ * Computes the CCSDS metadata of an ephemeris: object, center, reference frame, time system, and span. The frame is always EME2000 (the J2000 equator), the only inertial frame in the SANA registry that the ephemeris orientations map onto, so the OEM writers first rotate ecliptic ephemerides onto the equator (see getEquatorialEphemeris()).
+ *
+ * @param {Object} ephemeris - Ephemeris, as returned by getEphemerisFromCatalog()
+ * @returns {Object} - Metadata, as { OBJECT_NAME, OBJECT_ID, CENTER_NAME, REF_FRAME, TIME_SYSTEM, START_TIME, STOP_TIME }
+ */
+export function getOemMetadata(ephemeris) {
+    const centerName = ephemeris.center === "ssb" ? "SOLAR SYSTEM BARYCENTER" : ephemeris.center.toUpperCase();
+    return {
+        "OBJECT_NAME": ephemeris.body.toUpperCase(),
+        "OBJECT_ID": Object.prototype.hasOwnProperty.call(NAIF_IDS, ephemeris.body) ? String(NAIF_IDS[ephemeris.body]) : ephemeris.body.toUpperCase(),
+        "CENTER_NAME": centerName,
+        "REF_FRAME": "EME2000",
+        "TIME_SYSTEM": "TDB",
+        "START_TIME": getIsoFromJd(ephemeris.jd[0]),
+        "STOP_TIME": getIsoFromJd(ephemeris.jd[ephemeris.jd.length - 1])
+    };
+}
+
+/**
+ * Describes, for the metadata comment of an OEM, any rotation of an ephemeris onto the J2000 equator.
+ *
+ * @param {Object} ephemeris - Ephemeris, as returned by getEphemerisFromCatalog()
+ * @returns {String} - Comment, or an empty string for equatorial ephemerides
+ */
+export function getOemComment(ephemeris) {
+    return ephemeris.orientation === "equatorial" ? "" : "States rotated from the J2000 ecliptic onto the J2000 equator (EME2000)";
+}
+
+/**
+ * Writes an ephemeris as a CCSDS Orbit Ephemeris Message (OEM 2.0) in keyword-value notation, with positions in [km] and velocities in [km/s]. Ecliptic ephemerides are rotated onto the J2000 equator (EME2000), as noted in a metadata comment.
+ *
+ * @param {Object} ephemeris - Ephemeris, as returned by getEphemerisFromCatalog()
+ * @param {Object} options - Optional { originator (default "solarplanets"), creationDate (default now) }
+ * @returns {String} - OEM text
+ */
+export function getOemKvnFromEphemeris(ephemeris, options = {}) {
+    const metadata = getOemMetadata(ephemeris);
+    const comment = getOemComment(ephemeris);
+    ephemeris = getEquatorialEphemeris(ephemeris);
+    const lines = [
+        "CCSDS_OEM_VERS = 2.0",
+        `CREATION_DATE = ${getIsoFromJd(getJdFromDate(options.creationDate || new Date()))}`,
+        `ORIGINATOR = ${options.originator || "solarplanets"}`,
+        "",
+        "META_START"
+    ];
+    if (comment) {
+        lines.push(`COMMENT ${comment}`);
+    }
+    Object.keys(metadata).forEach(key => {
+        lines.push(`${key} = ${metadata[key]}`);
+    });
+    lines.push("META_STOP", "");
+    ephemeris.jd.forEach((jd, i) => {
+        const state = Array.from(ephemeris.r_km.subarray(3 * i, 3 * i + 3)).concat(Array.from(ephemeris.v_kmps.subarray(3 * i, 3 * i + 3)));
+        lines.push([getIsoFromJd(jd)].concat(state.map(q => q.toExponential(12))).join(" "));
+    });
+    return lines.join("\n") + "\n";
+}
+
+/**
+ * Writes an ephemeris as a CCSDS Orbit Ephemeris Message (OEM 2.0) in XML, with positions in [km] and velocities in [km/s]. As in getOemKvnFromEphemeris(), ecliptic ephemerides are rotated onto the J2000 equator.
+ *
+ * @param {Object} ephemeris - Ephemeris, as returned by getEphemerisFromCatalog()
+ * @param {Object} options - Optional { originator (default "solarplanets"), creationDate (default now) }
+ * @returns {String} - OEM XML document
+ */
+export function getOemXmlFromEphemeris(ephemeris, options = {}) {
+    const metadata = getOemMetadata(ephemeris);
+    const comment = getOemComment(ephemeris);
+    ephemeris = getEquatorialEphemeris(ephemeris);
+    const escape = text => String(text).replace(/&/g, "&amp;").replace(/</g, "&lt;").replace(/>/g, "&gt;");
+    const lines = [
+        "<?xml version=\"1.0\" encoding=\"UTF-8\"?>",
+        "<oem xmlns:xsi=\"http://www.w3.org/2001/XMLSchema-instance\" xsi:noNamespaceSchemaLocation=\"http://sanaregistry.org/r/ndmxml/ndmxml-2.0.0-master-2.0.xsd\" id=\"CCSDS_OEM_VERS\" version=\"2.0\">",
+        "  <header>",
+        `    <CREATION_DATE>${getIsoFromJd(getJdFromDate(options.creationDate || new Date()))}</CREATION_DATE>`,
+        `    <ORIGINATOR>${escape(options.originator || "solarplanets")}</ORIGINATOR>`,
+        "  </header>",
+        "  <body>",
+        "    <segment>",
+        "      <metadata>"
+    ];
+    if (comment) {
+        lines.push(`        <COMMENT>${escape(comment)}</COMMENT>`);
+    }
+    Object.keys(metadata).forEach(key => {
+        lines.push(`        <${key}>${escape(metadata[key])}</${key}>`);
+    });
+    lines.push("      </metadata>", "      <data>");
+    ephemeris.jd.forEach((jd, i) => {
+        lines.push("        <stateVector>", `          <EPOCH>${getIsoFromJd(jd)}</EPOCH>`);
+        ["X", "Y", "Z"].forEach((axis, j) => {
+            lines.push(`          <${axis} units="km">${ephemeris.r_km[3 * i + j].toExponential(12)}</${axis}>`);
+        });
+        ["X_DOT", "Y_DOT", "Z_DOT"].forEach((axis, j) => {
+            lines.push(`          <${axis} units="km/s">${ephemeris.v_kmps[3 * i + j].toExponential(12)}</${axis}>`);
+        });
+        lines.push("        </stateVector>");
+    });
+    lines.push("      </data>", "    </segment>", "  </body>", "</oem>");
+    return lines.join("\n") + "\n";
+}
+
+/**
+ * Writes an ephemeris as a CZML document (a document packet and one position packet), with times in UTC and positions in [m]. Cesium's "INERTIAL" reference frame is centered on the earth, so the ephemeris should be in an earth-centered equatorial frame (e.g., { "center": "earth", "orientation": "equatorial" }); other frames are written as-is, but will not be placed correctly by Cesium.
+ *
+ * @param {Object} ephemeris - Ephemeris, as returned by getEphemerisFromCatalog()
+ * @param {Object} options - Optional { interpolationDegree (default 5) }
+ * @returns {Array} - CZML packets (serialize with JSON.stringify())
+ */
+export function getCzmlFromEphemeris(ephemeris, options = {}) {
+    const getUtcIso = jd => new Date(Math.round((getJdInTimeScale(jd, "TDB", "UTC") - 2440587.5) * 86400000)).toISOString();
+    const start = getUtcIso(ephemeris.jd[0]);
+    const stop = getUtcIso(ephemeris.jd[ephemeris.jd.length - 1]);
+    const cartesian = [];
+    ephemeris.jd.forEach((jd, i) => {
+        cartesian.push((jd - ephemeris.jd[0]) * 86400, 1e3 * ephemeris.r_km[3 * i], 1e3 * ephemeris.r_km[3 * i + 1], 1e3 * ephemeris.r_km[3 * i + 2]);
+    });
+    return [{
+        "id": "document",
+        "name": ephemeris.body,
+        "version": "1.0",
+        "clock": {
+            "interval": `${start}/${stop}`,
+            "currentTime": start
+        }
+    }, {
+        "id": ephemeris.body,
+        "name": ephemeris.body,
+        "availability": `${start}/${stop}`,
+        "position": {
+            "interpolationAlgorithm": "LAGRANGE",
+            "interpolationDegree": options.interpolationDegree || 5,
+            "referenceFrame": "INERTIAL",
+            "epoch": start,
+            "cartesian": cartesian
+        }
+    }];
+}
+
+/**
+ * Writes an ephemeris as CSV, preceded by "#" comment lines naming the body, frame, and time system. Units are configurable: positions in any length UNITS ("km" by default, "m", or "au"), and velocities in any velocity UNITS ("kmps" by default, "mps", "kmpd", or "aupd").
+ *
+ * @param {Object} ephemeris - Ephemeris, as returned by getEphemerisFromCatalog()
+ * @param {Object} options - Optional { positionUnits, velocityUnits, comments (default true) }
+ * @returns {String} - CSV text
+ * @throws {UnknownUnitError} - If either units option is not recognized, or is of the wrong dimension
+ */
+export function getCsvFromEphemeris(ephemeris, options = {}) {
+    const positionUnits = options.positionUnits || "km";
+    const velocityUnits = options.velocityUnits || "kmps";
+    const lines = options.comments === false ? [] : [
+        `# body: ${ephemeris.body}`,
+        `# frame: ${typeof ephemeris.frame === "string" ? ephemeris.frame : "custom"} (center ${ephemeris.center}, ${ephemeris.orientation} J2000)`,
+        "# time system: TDB"
+    ];
+    const p = positionUnits;
+    const v = velocityUnits;
+    lines.push(`jd_tdb,iso_tdb,x_${p},y_${p},z_${p},vx_${v},vy_${v},vz_${v}`);
+    ephemeris.jd.forEach((jd, i) => {
+        const [r, dr] = getRvInUnits(Array.from(ephemeris.r_km.subarray(3 * i, 3 * i + 3)), Array.from(ephemeris.v_kmps.subarray(3 * i, 3 * i + 3)), { "positionUnits": p, "velocityUnits": v });
+        lines.push([jd, getIsoFromJd(jd)].concat(r, dr).join(","));
+    });
+    return lines.join("\n") + "\n";
+}
+
+/**
+ * Writes an ephemeris as input to NAIF's mkspk utility: a setup file (in SPICE text kernel format) and a matching table of discrete states, from which mkspk builds a type 13 (Hermite) SPK kernel. Planets are identified by their system barycenters, as the mean elements describe the barycenters' motion.
+ *
+ * @param {Object} ephemeris - Ephemeris, as returned by getEphemerisFromCatalog()
+ * @param {Object} options - Optional { leapsecondsFile (default "naif0012.tls"), producer (default "solarplanets"), polynomialDegree (default 7) }
+ * @returns {Object} - Files, as { setup, data }
+ * @throws {UnknownBodyError} - If the body or center has no NAIF ID
+ */
+export function getMkspkFromEphemeris(ephemeris, options = {}) {
+    [ephemeris.body, ephemeris.center].forEach(name => {
+        if (!Object.prototype.hasOwnProperty.call(NAIF_IDS, name)) {
+            throw new UnknownBodyError(`No NAIF ID for "${name}"`, name);
+        }
+    });
+    const setup = [
+        "\\begindata",
+        "INPUT_DATA_TYPE = 'STATES'",
+        "OUTPUT_SPK_TYPE = 13",
+        `OBJECT_ID = ${NAIF_IDS[ephemeris.body]}`,
+        `CENTER_ID = ${NAIF_IDS[ephemeris.center]}`,
+        `REF_FRAME_NAME = '${ephemeris.orientation === "equatorial" ? "J2000" : "ECLIPJ2000"}'`,
+        `PRODUCER_ID = '${options.producer || "solarplanets"}'`,
+        "DATA_ORDER = 'EPOCH X Y Z VX VY VZ'",
+        "DATA_DELIMITER = ','",
+        "INPUT_DATA_UNITS = ('ANGLES=DEGREES' 'DISTANCES=km')",
+        "TIME_WRAPPER = '# TDB'",
+        "LINES_PER_RECORD = 1",
+        `POLYNOM_DEGREE = ${options.polynomialDegree || 7}`,
+        `SEGMENT_ID = '${ephemeris.body.toUpperCase()}'`,
+        `LEAPSECONDS_FILE = '${options.leapsecondsFile || "naif0012.tls"}'`,
+        "\\begintext"
+    ];
+    const data = [];
+    ephemeris.jd.forEach((jd, i) => {
+        const state = Array.from(ephemeris.r_km.subarray(3 * i, 3 * i + 3)).concat(Array.from(ephemeris.v_kmps.subarray(3 * i, 3 * i + 3)));
+        data.push([`JD ${jd.toFixed(9)}`].concat(state.map(q => q.toExponential(12))).join(","));
+    });
+    return {
+        "setup": setup.join("\n") + "\n",
+        "data": data.join("\n") + "\n"
+    };
+}
+
+/**
+ * Computes the heliocentric position of a reference record in the J2000 ecliptic frame. A record gives either a position vector (r_km, already in that frame), or spherical coordinates (lon_deg, lat_deg, r_au) referred to the ecliptic and equinox of J2000 or, if equinox is "date", of the record's own date; the latter are precessed to J2000.
+ *
+ * @param {Object} record - Reference record, as { body, jd (TDB), r_km } or { body, jd (TDB), lon_deg, lat_deg, r_au, equinox ("J2000" or "date") }
+ * @returns {Array} - Heliocentric ecliptic position [km]
+ * @throws {InvalidElementsError} - If the record has neither a position vector nor spherical coordinates
+ */
+export function getRFromReferenceRecord(record) {
+    const d2r = UNITS.deg.scale;
+    if (Array.isArray(record.r_km)) {
+        return record.r_km.slice(0, 3);
+    }
+    const missing = ["jd", "lon_deg", "lat_deg", "r_au"].filter(field => typeof record[field] !== "number" || !Number.isFinite(record[field]));
+    if (missing.length > 0) {
+        throw new InvalidElementsError(`Reference record for "${record.body}" has no valid position (missing ${missing.join(", ")})`, missing);
+    }
+    const r_km = [
+        Math.cos(record.lat_deg * d2r) * Math.cos(record.lon_deg * d2r),
+        Math.cos(record.lat_deg * d2r) * Math.sin(record.lon_deg * d2r),
+        Math.sin(record.lat_deg * d2r)
+    ].map(ui => ui * record.r_au * AU_KM);
+    if (record.equinox !== "date") {
+        return r_km;
+    }
+
+    // ecliptic of date, to equator of date, to J2000 equator, to J2000 ecliptic
+    const T0 = getJulianCenturies(record.jd);
+    const rEquatorDate_km = getMatVec(getQecliptic2equatorial(getMeanObliquity(T0)), r_km);
+    const rEquatorJ2000_km = getMatVec(transpose(getPrecessionFromJ2000(T0)), rEquatorDate_km);
+    return getMatVec(transpose(getQecliptic2equatorial()), rEquatorJ2000_km);
+}
+
+/**
+ * Parses a JPL Horizons vector table (EPHEM_TYPE = VECTORS, centered on the sun) into reference records, for use with getAccuracyFromCatalogs(). Both the default and the CSV table layouts are read, in km or AU; positions on the J2000 equator (reference plane "FRAME") are rotated to the ecliptic.
+ *
+ * @param {String} text - Horizons output, including its header and the $$SOE / $$EOE markers
+ * @param {String} body - Name of the body the table describes (e.g., "mars")
+ * @returns {Array} - Reference records, as { body, jd (TDB), r_km, source } objects
+ * @throws {InvalidElementsError} - If the text contains no vector table
+ */
+export function getReferenceRecordsFromHorizons(text, body) {
+    const soe = text.indexOf("$$SOE");
+    const eoe = text.indexOf("$$EOE");
+    if (soe < 0 || eoe < soe) {
+        throw new InvalidElementsError("Horizons output has no $$SOE / $$EOE table", ["$$SOE", "$$EOE"]);
+    }
+    const header = text.slice(0, soe);
+    const units = /Output units\s*:\s*AU/i.test(header) ? AU_KM : 1;
+    const isEquatorial = /Reference plane\s*:\s*(FRAME|Earth mean equator)/i.test(header);
+    const Qeq2ecl = transpose(getQecliptic2equatorial());
+    const records = [];
+    let jd = NaN;
+    text.slice(soe + 5, eoe).split(/\r?\n/).forEach(line => {
+        if (line.trim().length === 0) {
+            return;
+        }
+        let xyz = null;
+        if (line.includes(",")) {
+            // CSV layout: JDTDB, Calendar Date (TDB), X, Y, Z, VX, VY, VZ,
+            const fields = line.split(",").map(field => field.trim());
+            jd = Number(fields[0]);
+            xyz = fields.slice(2, 5).map(Number);
+        } else if (/^\s*\d+\.\d+\s*=/.test(line)) {
+            jd = Number(line.split("=")[0]);
+        } else if (/^\s*X\s*=/.test(line)) {
+            const match = line.match(/X\s*=\s*(\S+)\s*Y\s*=\s*(\S+)\s*Z\s*=\s*(\S+)/);
+            xyz = match ? match.slice(1, 4).map(Number) : null;
+        }
+        if (xyz && Number.isFinite(jd) && xyz.every(Number.isFinite)) {
+            const r_km = xyz.map(xi => xi * units);
+            records.push({
+                "body": body,
+                "jd": jd,
+                "r_km": isEquatorial ? getMatVec(Qeq2ecl, r_km) : r_km,
+                "source": "JPL Horizons"
+            });
+        }
+    });
+    return records;
+}
+
+/**
+ * Summarizes a list of errors as their mean, root-mean-square, and largest magnitude.
+ *
+ * @param {Array} errors - Signed errors
+ * @returns {Object} - Statistics, as { mean, rms, max }
+ */
+export function getErrorStatistics(errors) {
+    const n = errors.length;
+    return {
+        "mean": errors.reduce((sum, ei) => sum + ei, 0) / n,
+        "rms": Math.sqrt(errors.reduce((sum, ei) => sum + ei * ei, 0) / n),
+        "max": errors.reduce((max, ei) => Math.max(max, Math.abs(ei)), 0)
+    };
+}
+
+/**
+ * Compares each element model against a reference ephemeris, reporting per-body statistics of the errors in position, heliocentric ecliptic longitude and latitude, and distance from the sun (model minus reference). Records outside a registered model's validity span are counted as excluded rather than compared. Note that the catalogs' "earth" is the Earth-Moon barycenter, which is up to about 4,700 km from the geocenter.
+ *
+ * @param {Object} catalogs - Parsed catalogs, keyed by model name (e.g., { "standish": ..., "jpl3000": ... })
+ * @param {Object|Array} reference - Reference records (see getRFromReferenceRecord()), or an object with a "records" array, as in reference_ephemeris.json
+ * @returns {Object} - Report keyed by model and then body, with { n, excluded, startJd, stopJd, position_km, lon_arcsec, lat_arcsec, distance_km }; each error entry is { mean, rms, max } (see getErrorStatistics())
+ */
+export function getAccuracyFromCatalogs(catalogs, reference) {
+    const r2s = 1 / UNITS.arcsec.scale;
+    const records = Array.isArray(reference) ? reference : reference.records;
+    const report = {};
+    Object.keys(catalogs).forEach(modelName => {
+        const catalog = catalogs[modelName];
+        const errors = {};
+        records.forEach(record => {
+            if (!Object.prototype.hasOwnProperty.call(catalog, record.body)) {
+                return;
+            }
+            if (!errors[record.body]) {
+                errors[record.body] = { "jd": [], "excluded": 0, "position_km": [], "lon_arcsec": [], "lat_arcsec": [], "distance_km": [] };
+            }
+            const bodyErrors = errors[record.body];
+            if (Object.prototype.hasOwnProperty.call(EPHEMERIS_MODELS, modelName) && !isDatetimeWithinModel(modelName, record.jd)) {
+                bodyErrors.excluded += 1;
+                return;
+            }
+            const [rModel_km] = getRvFromElementsDatetime(catalog[record.body], record.jd, { "validity": "off", "timeScale": "TDB" });
+            const rReference_km = getRFromReferenceRecord(record);
+            const dLon_rad = Math.atan2(rModel_km[1], rModel_km[0]) - Math.atan2(rReference_km[1], rReference_km[0]);
+            bodyErrors.jd.push(record.jd);
+            bodyErrors.position_km.push(getVecNorm(rModel_km.map((ri, i) => ri - rReference_km[i])));
+            bodyErrors.lon_arcsec.push(Math.atan2(Math.sin(dLon_rad), Math.cos(dLon_rad)) * r2s);
+            bodyErrors.lat_arcsec.push((Math.asin(rModel_km[2] / getVecNorm(rModel_km)) - Math.asin(rReference_km[2] / getVecNorm(rReference_km))) * r2s);
+            bodyErrors.distance_km.push(getVecNorm(rModel_km) - getVecNorm(rReference_km));
+        });
+        report[modelName] = {};
+        Object.keys(errors).forEach(body => {
+            const bodyErrors = errors[body];
+            const n = bodyErrors.jd.length;
+            report[modelName][body] = {
+                "n": n,
+                "excluded": bodyErrors.excluded,
+                "startJd": n > 0 ? Math.min(...bodyErrors.jd) : NaN,
+                "stopJd": n > 0 ? Math.max(...bodyErrors.jd) : NaN,
+                "position_km": getErrorStatistics(bodyErrors.position_km),
+                "lon_arcsec": getErrorStatistics(bodyErrors.lon_arcsec),
+                "lat_arcsec": getErrorStatistics(bodyErrors.lat_arcsec),
+                "distance_km": getErrorStatistics(bodyErrors.distance_km)
+            };
+        });
+    });
+    return report;
+}
+
+/**
+ * Formats an accuracy report as a fixed-width text table, one row per model and body, listing the number of compared (and excluded) records and the RMS and largest errors.
+ *
+ * @param {Object} report - Report, as returned by getAccuracyFromCatalogs()
+ * @returns {String} - Text table
+ */
+export function getAccuracyTable(report) {
+    const columns = ["model", "body", "n", "excluded", "rms lon [\"]", "max lon [\"]", "rms lat [\"]", "max lat [\"]", "rms dist [km]", "max dist [km]", "max pos [km]"];
+    const rows = [columns];
+    Object.keys(report).forEach(modelName => {
+        Object.keys(report[modelName]).forEach(body => {
+            const stats = report[modelName][body];
+            rows.push([
+                modelName,
+                body,
+                String(stats.n),
+                String(stats.excluded),
+                stats.lon_arcsec.rms.toFixed(1),
+                stats.lon_arcsec.max.toFixed(1),
+                stats.lat_arcsec.rms.toFixed(1),
+                stats.lat_arcsec.max.toFixed(1),
+                stats.distance_km.rms.toFixed(0),
+                stats.distance_km.max.toFixed(0),
+                stats.position_km.max.toFixed(0)
+            ]);
+        });
+    });
+    const widths = columns.map((_, j) => Math.max(...rows.map(row => row[j].length)));
+    return rows.map(row => row.map((cell, j) => j < 2 ? cell.padEnd(widths[j]) : cell.padStart(widths[j])).join("  ")).join("\n") + "\n";
+}
+
+/**
+ * Integrates a system of first-order ordinary differential equations, dy/dt = f(t, y), with the adaptive Dormand-Prince 5(4) Runge-Kutta method. Each step is accepted when its embedded error estimate, scaled per component by atol + rtol * |y|, has an RMS norm below one. The continuous extension of Hairer, Norsett, and Wanner (4th order) provides dense output between steps. The integration may run forward or backward in t.
+ *
+ * @param {Function} f - Derivative function, (t, y) => dy/dt, where y is an array
+ * @param {Number} t0 - Initial value of the independent variable
+ * @param {Array} y0 - Initial state
+ * @param {Number} t1 - Final value of the independent variable
+ * @param {Object} options - Optional { rtol (default 1e-10), atol (number or per-component array; default 1e-10), step (initial step size), maxSteps (default 100000) }
+ * @returns {Object} - Solution, as { t, y, nSteps, nRejected, nEvaluations, interpolate }, where t and y list the accepted steps (including the initial state) and interpolate(t) returns the state anywhere within [t0, t1]
+ * @throws {ConvergenceError} - If the integration needs more than maxSteps steps, or the step size underflows
+ */
+export function integrateDormandPrince(f, t0, y0, t1, options = {}) {
+    const rtol = options.rtol || 1e-10;
+    const atol = Array.isArray(options.atol) ? options.atol : y0.map(() => options.atol || 1e-10);
+    const maxSteps = options.maxSteps || 100000;
+    const n = y0.length;
+    const direction = t1 < t0 ? -1 : 1;
+    const c = [0, 1 / 5, 3 / 10, 4 / 5, 8 / 9, 1, 1];
+    const a = [
+        [],
+        [1 / 5],
+        [3 / 40, 9 / 40],
+        [44 / 45, -56 / 15, 32 / 9],
+        [19372 / 6561, -25360 / 2187, 64448 / 6561, -212 / 729],
+        [9017 / 3168, -355 / 33, 46732 / 5247, 49 / 176, -5103 / 18656],
+        [35 / 384, 0, 500 / 1113, 125 / 192, -2187 / 6784, 11 / 84]
+    ];
+    const e = [71 / 57600, 0, -71 / 16695, 71 / 1920, -17253 / 339200, 22 / 525, -1 / 40];
+    const d = [-12715105075 / 11282082432, 0, 87487479700 / 32700410799, -10690763975 / 1880347072, 701980252875 / 199316789632, -1453857185 / 822651844, 69997945 / 29380423];
+    const getNorm = (v, yPrev, yNext) => Math.sqrt(v.reduce((sum, vi, i) => {
+        const sc = atol[i] + rtol * Math.max(Math.abs(yPrev[i]), Math.abs(yNext[i]));
+        return sum + (vi / sc) * (vi / sc);
+    }, 0) / n);
+
+    // initial step from the scale of the state and its rate, after hairer's starting step heuristic
+    let nEvaluations = 1;
+    let k1 = f(t0, y0);
+    let h = options.step;
+    if (!h) {
+        const d0 = getNorm(y0, y0, y0);
+        const d1 = getNorm(k1, y0, y0);
+        h = d0 < 1e-5 || d1 < 1e-5 ? 1e-6 : 0.01 * d0 / d1;
+    }
+    h = direction * Math.min(Math.abs(h), Math.abs(t1 - t0));
+
+    const ts = [t0];
+    const ys = [y0.slice()];
+    const segments = [];
+    let t = t0;
+    let y = y0.slice();
+    let nSteps = 0;
+    let nRejected = 0;
+    while (direction * (t1 - t) > 0) {
+        if (maxSteps <= nSteps + nRejected) {
+            throw new ConvergenceError(`Integration did not reach ${t1} within ${maxSteps} steps`, maxSteps);
+        }
+        if (Math.abs(h) <= 1e-14 * Math.max(1, Math.abs(t))) {
+            throw new ConvergenceError(`Step size underflow at ${t}`, nSteps);
+        }
+        if (direction * (t + h - t1) > 0) {
+            h = t1 - t;
+        }
+
+        // stages; the last is evaluated at the new state, and is reused as the first of the next step
+        const k = [k1];
+        let yNext = y;
+        for (let s = 1; s < 7; s += 1) {
+            yNext = y.map((yi, i) => yi + h * a[s].reduce((sum, asj, j) => sum + asj * k[j][i], 0));
+            k.push(f(t + c[s] * h, yNext));
+        }
+        nEvaluations += 6;
+        const error = y.map((_, i) => h * e.reduce((sum, ej, j) => sum + ej * k[j][i], 0));
+        const err = getNorm(error, y, yNext);
+        const factor = Math.min(10, Math.max(0.2, 0.9 * Math.pow(Math.max(err, 1e-16), -0.2)));
+        if (err <= 1) {
+            // coefficients of the continuous extension over this step
+            const ydiff = yNext.map((yi, i) => yi - y[i]);
+            const bspl = ydiff.map((dyi, i) => h * k[0][i] - dyi);
+            segments.push({
+                "t": t,
+                "h": h,
+                "r0": y,
+                "r1": ydiff,
+                "r2": bspl,
+                "r3": ydiff.map((dyi, i) => dyi - h * k[6][i] - bspl[i]),
+                "r4": y.map((_, i) => h * d.reduce((sum, dj, j) => sum + dj * k[j][i], 0))
+            });
+            t = t + h;
+            y = yNext;
+            k1 = k[6];
+            ts.push(t);
+            ys.push(y.slice());
+            nSteps += 1;
+            h = h * factor;
+        } else {
+            nRejected += 1;
+            h = h * Math.min(1, factor);
+        }
+    }
+
+    const interpolate = tq => {
+        if (direction * (tq - t0) < 0 || direction * (tq - t1) > 0) {
+            throw new InvalidEpochError(`Cannot interpolate at ${tq}, outside of [${Math.min(t0, t1)}, ${Math.max(t0, t1)}]`, tq);
+        }
+        if (segments.length === 0) {
+            return y0.slice();
+        }
+        let lo = 0;
+        let hi = segments.length - 1;
+        while (lo < hi) {
+            const mid = (lo + hi + 1) >> 1;
+            if (direction * (tq - segments[mid].t) >= 0) {
+                lo = mid;
+            } else {
+                hi = mid - 1;
+            }
+        }
+        const segment = segments[lo];
+        const theta = (tq - segment.t) / segment.h;
+        const theta1 = 1 - theta;
+        return segment.r0.map((r0i, i) => r0i + theta * (segment.r1[i] + theta1 * (segment.r2[i] + theta * (segment.r3[i] + theta1 * segment.r4[i]))));
+    };
+    return {
+        "t": ts,
+        "y": ys,
+        "nSteps": nSteps,
+        "nRejected": nRejected,
+        "nEvaluations": nEvaluations,
+        "interpolate": interpolate
+    };
+}
+
+/**
+ * Computes the heliocentric acceleration of a massless body under the sun and a set of catalog planets. Each planet contributes its direct pull and the indirect term from its pull on the sun, since the heliocentric frame is not inertial. Planets are evaluated from their element records, and act with the masses of their systems (planet and satellites), consistent with the barycentric orbits the elements describe.
+ *
+ * @param {Array} r_km - Heliocentric ecliptic position of the body [km]
+ * @param {Number} jd - Julian date (TDB) [days]
+ * @param {Object} catalog - Parsed element catalog containing the perturbers
+ * @param {Array} perturbers - Names of the perturbing planets within the catalog
+ * @param {Object} options - Optional { model } passed to getRvFromElementsDatetime()
+ * @returns {Array} - Acceleration [km/s^2]
+ * @throws {UnknownBodyError} - If a perturber is not a planet within the catalog
+ */
+export function getNbodyAcceleration(r_km, jd, catalog, perturbers, options = {}) {
+    const r = getVecNorm(r_km);
+    const a_kmps2 = r_km.map(ri => -GM_SUN_KM3PS2 * ri / (r * r * r));
+    perturbers.forEach(body => {
+        if (!Object.prototype.hasOwnProperty.call(SUN_MASS_RATIOS, body) || !catalog || !Object.prototype.hasOwnProperty.call(catalog, body)) {
+            throw new UnknownBodyError(`Unknown perturbing planet "${body}"`, body);
+        }
+        const mu_km3ps2 = GM_SUN_KM3PS2 / SUN_MASS_RATIOS[body];
+        const [rBody_km] = getRvFromElementsDatetime(catalog[body], jd, { "model": options.model, "validity": "off", "timeScale": "TDB" });
+        const dr_km = rBody_km.map((ri, i) => ri - r_km[i]);
+        const dr = getVecNorm(dr_km);
+        const rBody = getVecNorm(rBody_km);
+        for (let i = 0; i < 3; i += 1) {
+            a_kmps2[i] += mu_km3ps2 * (dr_km[i] / (dr * dr * dr) - rBody_km[i] / (rBody * rBody * rBody));
+        }
+    });
+    return a_kmps2;
+}
+
+/**
+ * Propagates a heliocentric ecliptic state between two epochs under the gravity of the sun and the chosen catalog planets (see getNbodyAcceleration()), using integrateDormandPrince(). The validity span of the catalog's model (options.model, or else the model its records name) is checked at both ends of the propagation.
+ *
+ * @param {Array} r0_km - Initial heliocentric ecliptic position [km]
+ * @param {Array} v0_kmps - Initial heliocentric ecliptic velocity [km/s]
+ * @param {Date|Number|String|Object} start - Epoch of the initial state
+ * @param {Date|Number|String|Object} stop - Epoch to propagate to (may precede the start)
+ * @param {Object} catalog - Parsed element catalog containing the perturbers
+ * @param {Object} options - Optional { perturbers (default all catalog planets), rtol (default 1e-10), atol_km (default 1e-3), atol_kmps (default 1e-9), step_s, maxSteps, model, validity, timeScale }
+ * @returns {Object} - Trajectory, as { jd (TDB), r_km, v_kmps, nSteps, nRejected, nEvaluations, getRv }, listing the state at each accepted step; getRv(dt) interpolates the state at any epoch within the propagation (in options.timeScale)
+ * @throws {UnknownBodyError} - If a perturber is not a planet within the catalog
+ * @throws {ConvergenceError} - If the integration does not converge
+ */
+export function getTrajectoryFromRvEpoch(r0_km, v0_kmps, start, stop, catalog, options = {}) {
+    const jd0 = getTdbFromEpoch(start, options.timeScale);
+    const jd1 = getTdbFromEpoch(stop, options.timeScale);
+    const modelName = getModelFromElements(Object.values(catalog || {}).find(record => record.model), options.model);
+    checkModelValidity(modelName, { "jd": jd0 }, options.validity);
+    checkModelValidity(modelName, { "jd": jd1 }, options.validity);
+    const perturbers = options.perturbers || Object.keys(catalog || {}).filter(body => Object.prototype.hasOwnProperty.call(SUN_MASS_RATIOS, body));
+    const atol_km = options.atol_km || 1e-3;
+    const atol_kmps = options.atol_kmps || 1e-9;
+
+    // integrate in seconds from the initial epoch, over the state [r, v]
+    const f = (t_s, y) => y.slice(3, 6).concat(getNbodyAcceleration(y.slice(0, 3), jd0 + t_s / 86400, catalog, perturbers, options));
+    const solution = integrateDormandPrince(f, 0, r0_km.concat(v0_kmps), (jd1 - jd0) * 86400, {
+        "rtol": options.rtol || 1e-10,
+        "atol": [atol_km, atol_km, atol_km, atol_kmps, atol_kmps, atol_kmps],
+        "step": options.step_s,
+        "maxSteps": options.maxSteps
+    });
+    return {
+        "jd": solution.t.map(t_s => jd0 + t_s / 86400),
+        "r_km": solution.y.map(y => y.slice(0, 3)),
+        "v_kmps": solution.y.map(y => y.slice(3, 6)),
+        "nSteps": solution.nSteps,
+        "nRejected": solution.nRejected,
+        "nEvaluations": solution.nEvaluations,
+        "getRv": dt => {
+            const y = solution.interpolate((getTdbFromEpoch(dt, options.timeScale) - jd0) * 86400);
+            return [y.slice(0, 3), y.slice(3, 6)];
+        }
+    };
+}
+
+/**
+ * Computes the radius of a body's sphere of influence (Laplace's approximation), within which patched-conic trajectories are referred to the body rather than its parent: r = a * (mu / muParent)^(2/5).
+ *
+ * @param {String} body - Name of the body within BODIES (e.g., "mars")
+ * @param {Number} a_km - Semi-major axis (or current distance) of the body's orbit about its parent [km]
+ * @returns {Number} - Sphere of influence radius [km]
+ * @throws {UnknownBodyError} - If the body (or its parent) is not found within BODIES
+ * @throws {InvalidArgumentError} - If the body has no parent (i.e., is the sun), and so no sphere of influence
+ */
+export function getSoiRadius(body, a_km) {
+    const spec = getBodySpec(body);
+    if (!spec.parent) {
+        throw new InvalidArgumentError(`Body "${body}" has no parent, and so no sphere of influence`, "body", body);
+    }
+    return a_km * Math.pow(spec.mu_km3ps2 / getBodySpec(spec.parent).mu_km3ps2, 0.4);
+}
+
+/**
+ * Computes the hyperbolic excess velocity (v-infinity) of a spacecraft with respect to a catalog planet, from its heliocentric velocity at the planet's position, along with the planet's state.
+ *
+ * @param {Object} catalog - Parsed element catalog containing the planet
+ * @param {String} body - Name of the planet within the catalog
+ * @param {Array} vHelio_kmps - Heliocentric ecliptic velocity of the spacecraft [km/s]
+ * @param {Date|Number|String|Object} dt - Datetime (or epoch) of the encounter
+ * @param {Object} options - Optional { model, validity, timeScale }
+ * @returns {Object} - Excess velocity, as { vInf_kmps (vector), c3_km2ps2, rPlanet_km, vPlanet_kmps }
+ * @throws {UnknownBodyError} - If the body is not found within the catalog
+ */
+export function getVinfFromCatalogDatetime(catalog, body, vHelio_kmps, dt, options = {}) {
+    if (!catalog || !Object.prototype.hasOwnProperty.call(catalog, body)) {
+        throw new UnknownBodyError(`Unknown body "${body}"`, body);
+    }
+    const evalOptions = { "model": options.model, "validity": options.validity, "timeScale": options.timeScale };
+    const [rPlanet_km, vPlanet_kmps] = getRvFromElementsDatetime(catalog[body], dt, evalOptions);
+    const vInf_kmps = vHelio_kmps.map((vi, i) => vi - vPlanet_kmps[i]);
+    return {
+        "vInf_kmps": vInf_kmps,
+        "c3_km2ps2": getDotProd(vInf_kmps, vInf_kmps),
+        "rPlanet_km": rPlanet_km,
+        "vPlanet_kmps": vPlanet_kmps
+    };
+}
+
+/**
+ * Computes the B-plane frame of an approach asymptote: S along the incoming excess velocity, T in the reference plane (normal to the given pole), and R = S x T, completing the right-handed set.
+ *
+ * @param {Array} vInf_kmps - Incoming excess velocity [km/s]
+ * @param {Array} pole - Normal of the reference plane; defaults to the ecliptic pole
+ * @returns {Object} - Unit vectors, as { S, T, R }
+ */
+export function getBplaneFrame(vInf_kmps, pole = [0, 0, 1]) {
+    const unit = v => v.map(vi => vi / getVecNorm(v));
+    const S = unit(vInf_kmps);
+    const T = unit(getCrossProd(S, pole));
+    return { "S": S, "T": T, "R": getCrossProd(S, T) };
+}
+
+/**
+ * Models a planetary flyby as a planet-centered hyperbola with the given periapsis, optionally with an impulsive burn along the velocity at periapsis (a powered flyby). The aim point lies in the B-plane (see getBplaneFrame()) at the angle bPlaneAngle_rad from T toward R, and the trajectory turns away from it: the outgoing asymptote is rotated from the incoming one, by the turn angle, toward -B.
+ *
+ * @param {String} body - Name of the planet within BODIES
+ * @param {Array} vInf_kmps - Incoming excess velocity [km/s]
+ * @param {Object} options - Optional { rp_km, or altitude_km (above the equatorial radius; default 0), bPlaneAngle_rad (default 0), dv_kmps (default 0), pole }
+ * @returns {Object} - Flyby, as { rp_km, altitude_km, eIn, eOut, turnAngle_rad, b_km, bDotT_km, bDotR_km, vpIn_kmps, vpOut_kmps, dv_kmps, vInfOut_kmps (vector), isAboveSurface }
+ * @throws {UnknownBodyError} - If the body is not found within BODIES
+ * @throws {NoSolutionError} - If a braking burn leaves the spacecraft captured
+ */
+export function getFlybyFromVinf(body, vInf_kmps, options = {}) {
+    const { mu_km3ps2, radius_km } = getBodySpec(body);
+    const rp_km = Number.isFinite(options.rp_km) ? options.rp_km : radius_km + (options.altitude_km || 0);
+    const dv_kmps = options.dv_kmps || 0;
+    const bPlaneAngle_rad = options.bPlaneAngle_rad || 0;
+
+    // incoming and outgoing hyperbolas share the periapsis, where any burn is applied
+    const vInfIn = getVecNorm(vInf_kmps);
+    const vpIn_kmps = Math.sqrt(vInfIn * vInfIn + 2 * mu_km3ps2 / rp_km);
+    const vpOut_kmps = vpIn_kmps + dv_kmps;
+    const vInfOut2 = vpOut_kmps * vpOut_kmps - 2 * mu_km3ps2 / rp_km;
+    if (!(0 < vInfOut2)) {
+        throw new NoSolutionError(`A burn of ${dv_kmps} km/s at periapsis leaves the spacecraft bound to ${body}`);
+    }
+    const vInfOut = Math.sqrt(vInfOut2);
+    const eIn = 1 + rp_km * vInfIn * vInfIn / mu_km3ps2;
+    const eOut = 1 + rp_km * vInfOut * vInfOut / mu_km3ps2;
+    const turnAngle_rad = Math.asin(1 / eIn) + Math.asin(1 / eOut);
+
+    // aim point within the b-plane, and the outgoing asymptote
+    const { S, T, R } = getBplaneFrame(vInf_kmps, options.pole);
+    const b_km = mu_km3ps2 / (vInfIn * vInfIn) * Math.sqrt(eIn * eIn - 1);
+    const Bhat = T.map((ti, i) => Math.cos(bPlaneAngle_rad) * ti + Math.sin(bPlaneAngle_rad) * R[i]);
+    const vInfOut_kmps = S.map((si, i) => vInfOut * (Math.cos(turnAngle_rad) * si - Math.sin(turnAngle_rad) * Bhat[i]));
+    return {
+        "rp_km": rp_km,
+        "altitude_km": rp_km - radius_km,
+        "eIn": eIn,
+        "eOut": eOut,
+        "turnAngle_rad": turnAngle_rad,
+        "b_km": b_km,
+        "bDotT_km": b_km * Math.cos(bPlaneAngle_rad),
+        "bDotR_km": b_km * Math.sin(bPlaneAngle_rad),
+        "vpIn_kmps": vpIn_kmps,
+        "vpOut_kmps": vpOut_kmps,
+        "dv_kmps": dv_kmps,
+        "vInfOut_kmps": vInfOut_kmps,
+        "isAboveSurface": radius_km <= rp_km
+    };
+}
+
+/**
+ * Models a flyby of a catalog planet from the spacecraft's heliocentric arrival velocity (see getFlybyFromVinf()), and returns its heliocentric departure velocity as well.
+ *
+ * @param {Object} catalog - Parsed element catalog containing the planet
+ * @param {String} body - Name of the planet within the catalog (and BODIES)
+ * @param {Array} vArrive_kmps - Heliocentric ecliptic velocity on arrival [km/s]
+ * @param {Date|Number|String|Object} dt - Datetime (or epoch) of the flyby
+ * @param {Object} options - Optional { rp_km, altitude_km, bPlaneAngle_rad, dv_kmps, model, validity, timeScale }
+ * @returns {Object} - Flyby, as returned by getFlybyFromVinf(), with { vInfIn_kmps, vPlanet_kmps, vDepart_kmps }
+ * @throws {UnknownBodyError} - If the body is not found within the catalog or BODIES
+ * @throws {NoSolutionError} - If a braking burn leaves the spacecraft captured
+ */
+export function getFlybyFromCatalog(catalog, body, vArrive_kmps, dt, options = {}) {
+    const { vInf_kmps, vPlanet_kmps } = getVinfFromCatalogDatetime(catalog, body, vArrive_kmps, dt, options);
+    const flyby = getFlybyFromVinf(body, vInf_kmps, options);
+    return {
+        ...flyby,
+        "vInfIn_kmps": vInf_kmps,
+        "vPlanet_kmps": vPlanet_kmps,
+        "vDepart_kmps": vPlanet_kmps.map((vi, i) => vi + flyby.vInfOut_kmps[i])
+    };
+}
+
+/**
+ * Finds the powered flyby that joins given incoming and outgoing excess velocities, as when chaining the legs of a multiple gravity-assist trajectory: the periapsis at which the two hyperbolas turn the asymptote through the angle between the velocities, the burn at periapsis that makes up the difference in their speeds, and the aim point in the B-plane. A flyby whose periapsis would be below the surface is reported as such, not rejected.
+ *
+ * @param {String} body - Name of the planet within BODIES
+ * @param {Array} vInfIn_kmps - Incoming excess velocity [km/s]
+ * @param {Array} vInfOut_kmps - Outgoing excess velocity [km/s]
+ * @param {Object} options - Optional { tol_km (default 1e-6), pole }
+ * @returns {Object} - Flyby, as { rp_km, altitude_km, turnAngle_rad, eIn, eOut, b_km, bDotT_km, bDotR_km, bPlaneAngle_rad, vpIn_kmps, vpOut_kmps, dv_kmps, isAboveSurface }; passing rp_km, bPlaneAngle_rad, and dv_kmps to getFlybyFromVinf() reproduces vInfOut_kmps
+ * @throws {UnknownBodyError} - If the body is not found within BODIES
+ * @throws {NoSolutionError} - If no periapsis can turn the asymptote that far
+ */
+export function getPoweredFlybyFromVinfs(body, vInfIn_kmps, vInfOut_kmps, options = {}) {
+    const { mu_km3ps2, radius_km } = getBodySpec(body);
+    const tol_km = options.tol_km || 1e-6;
+    const vIn = getVecNorm(vInfIn_kmps);
+    const vOut = getVecNorm(vInfOut_kmps);
+    const turnAngle_rad = Math.acos(Math.max(-1, Math.min(1, getDotProd(vInfIn_kmps, vInfOut_kmps) / (vIn * vOut))));
+    const getTurnAngle = rp_km => Math.asin(1 / (1 + rp_km * vIn * vIn / mu_km3ps2)) + Math.asin(1 / (1 + rp_km * vOut * vOut / mu_km3ps2));
+    if (!(0 < turnAngle_rad && turnAngle_rad < Math.PI)) {
+        throw new NoSolutionError(`No finite periapsis turns the asymptote about ${body} by ${turnAngle_rad} rad`);
+    }
+
+    // the turn angle falls monotonically from pi (at the center) with periapsis radius; bracket it, then bisect
+    let lo = 0;
+    let hi = radius_km;
+    while (getTurnAngle(hi) > turnAngle_rad) {
+        lo = hi;
+        hi *= 2;
+    }
+    while (tol_km < hi - lo) {
+        const mid = 0.5 * (lo + hi);
+        if (getTurnAngle(mid) > turnAngle_rad) {
+            lo = mid;
+        } else {
+            hi = mid;
+        }
+    }
+    const rp_km = 0.5 * (lo + hi);
+    const vpIn_kmps = Math.sqrt(vIn * vIn + 2 * mu_km3ps2 / rp_km);
+    const vpOut_kmps = Math.sqrt(vOut * vOut + 2 * mu_km3ps2 / rp_km);
+    const eIn = 1 + rp_km * vIn * vIn / mu_km3ps2;
+
+    // the aim point lies opposite the part of the outgoing asymptote normal to the incoming one
+    const { S, T, R } = getBplaneFrame(vInfIn_kmps, options.pole);
+    const sOut = getDotProd(vInfOut_kmps, S);
+    const minusB = vInfOut_kmps.map((vi, i) => vi - sOut * S[i]);
+    const bPlaneAngle_rad = Math.atan2(-getDotProd(minusB, R), -getDotProd(minusB, T));
+    const b_km = mu_km3ps2 / (vIn * vIn) * Math.sqrt(eIn * eIn - 1);
+    return {
+        "rp_km": rp_km,
+        "altitude_km": rp_km - radius_km,
+        "turnAngle_rad": turnAngle_rad,
+        "eIn": eIn,
+        "eOut": 1 + rp_km * vOut * vOut / mu_km3ps2,
+        "b_km": b_km,
+        "bDotT_km": b_km * Math.cos(bPlaneAngle_rad),
+        "bDotR_km": b_km * Math.sin(bPlaneAngle_rad),
+        "bPlaneAngle_rad": bPlaneAngle_rad,
+        "vpIn_kmps": vpIn_kmps,
+        "vpOut_kmps": vpOut_kmps,
+        "dv_kmps": vpOut_kmps - vpIn_kmps,
+        "isAboveSurface": radius_km <= rp_km
+    };
+}
+
+/**
+ * Samples the osculating conic through a heliocentric state as a polyline, ready for line geometry (e.g., a Three.js BufferGeometry or an SVG path). Vertices are spaced in true anomaly (options.anomaly = "true") or in eccentric (or hyperbolic) anomaly ("eccentric", the default, which spreads vertices more evenly along eccentric orbits), and each step is bisected until the midpoint of its chord lies within options.tol_km of the conic (by default, a thousandth of the periapsis distance) and the step is no larger than options.maxStep_rad.
+ * 
+ * Closed orbits start and end at periapsis, with the last vertex repeating the first. Open orbits are sampled out to options.maxRadius_km (by default, ten times the periapsis distance) on either side of periapsis, or further if needed to reach the body.
+ * 
+ * Periapsis, apoapsis (of closed orbits), the ascending and descending nodes on the reference plane (of inclined orbits, where they fall within the sampled arc), and the body itself are always vertices, and are listed as markers with their vertex indices.
+ * 
+ * @param {Array} r_km - Position, relative to the central body [km]
+ * @param {Array} v_kmps - Velocity, relative to the central body [km/s]
+ * @param {Object} options - Optional { anomaly ("eccentric" or "true"), tol_km, maxStep_rad (default 10 degrees), maxRadius_km, maxPoints (default 10000), mu_km3ps2 (default GM_SUN_KM3PS2), positionUnits (default "km") }
+ * @returns {Object} - Path, as { positions, ta_rad, isClosed, markers, positionUnits }; positions are interleaved [x0, y0, z0, x1, ...] in the requested units, ta_rad holds the true anomaly of each vertex, and markers are { type ("periapsis", "apoapsis", "ascendingNode", "descendingNode", or "body"), index, ta_rad, r }
+ * @throws {UnknownUnitError} - If the position units are not recognized
+ */
+export function getOrbitPathFromRv(r_km, v_kmps, options = {}) {
+    const mu_km3ps2 = options.mu_km3ps2 || GM_SUN_KM3PS2;
+    const scale = getValueInUnits(1, "km", options.positionUnits || "km");
+
+    // perifocal basis, placing periapsis at the body for (nearly) circular orbits
+    const hVec_km2ps = getCrossProd(r_km, v_kmps);
+    const h_km2ps = getVecNorm(hVec_km2ps);
+    const r = getVecNorm(r_km);
+    const rv = getDotProd(r_km, v_kmps);
+    const c = getDotProd(v_kmps, v_kmps) - mu_km3ps2 / r;
+    const eVec = r_km.map((ri, i) => (c * ri - rv * v_kmps[i]) / mu_km3ps2);
+    const e = getVecNorm(eVec);
+    const W = hVec_km2ps.map(hi => hi / h_km2ps);
+    const P = e < 1e-10 ? r_km.map(ri => ri / r) : eVec.map(ei => ei / e);
+    const Q = getCrossProd(W, P);
+    const p_km = h_km2ps * h_km2ps / mu_km3ps2;
+    const isClosed = e < 1;
+
+    // map between the sampling parameter and true anomaly
+    const isEccentric = (options.anomaly || "eccentric") === "eccentric" && e !== 1;
+    const getTa = u => !isEccentric ? u : isClosed ? getTaFromEaE(u, e) : getTaFromHaE(u, e);
+    const getU = tht_rad => !isEccentric ? tht_rad : isClosed ? getEaFromTaE(tht_rad, e) : getHaFromTaE(tht_rad, e);
+    const getR = u => {
+        const tht_rad = getTa(u);
+        const rt_km = p_km / (1 + e * Math.cos(tht_rad));
+        return P.map((pi, i) => rt_km * (Math.cos(tht_rad) * pi + Math.sin(tht_rad) * Q[i]));
+    };
+
+    // the sampled arc, and the parameters of the markers along it
+    const tht_rad = getSignedAngle(P, r_km, W);
+    const nVec = getCrossProd([0, 0, 1], W);
+    const thtNode_rad = getVecNorm(nVec) < 1e-10 ? NaN : getSignedAngle(P, nVec, W);
+    const q_km = p_km / (1 + e);
+    let uStop = 2 * Math.PI;
+    let candidates = [
+        ["periapsis", 0],
+        ["apoapsis", Math.PI],
+        ["ascendingNode", thtNode_rad],
+        ["descendingNode", thtNode_rad + Math.PI],
+        ["body", tht_rad]
+    ].filter(([, thti_rad]) => Number.isFinite(thti_rad));
+    if (isClosed) {
+        candidates = candidates.map(([type, thti_rad]) => [type, posmod(getU(posmod(thti_rad, 2 * Math.PI)), 2 * Math.PI)]);
+    } else {
+        // unwrap true anomalies into (-pi, pi], within the asymptotes
+        const wrap = thti_rad => posmod(thti_rad + Math.PI, 2 * Math.PI) - Math.PI;
+        const maxRadius_km = options.maxRadius_km || 10 * q_km;
+        const thtMax_rad = Math.max(Math.acos(Math.max(-1, Math.min(1, (p_km / maxRadius_km - 1) / e))), Math.abs(wrap(tht_rad)));
+        uStop = getU(thtMax_rad);
+        candidates = candidates
+            .filter(([type, thti_rad]) => type !== "apoapsis" && Math.abs(wrap(thti_rad)) <= thtMax_rad)
+            .map(([type, thti_rad]) => [type, getU(wrap(thti_rad))]);
+    }
+    const uStart = isClosed ? 0 : -uStop;
+
+    // adaptive sampling between the (sorted) marker parameters
+    const tol_km = options.tol_km || 1e-3 * q_km;
+    const maxStep_rad = options.maxStep_rad || Math.PI / 18;
+    const maxPoints = options.maxPoints || 10000;
+    const us = [];
+    const getDeviation = (r0, r1, rm) => {
+        const chord = r1.map((ri, i) => ri - r0[i]);
+        const offset = rm.map((ri, i) => ri - r0[i]);
+        const length = getVecNorm(chord);
+        return length === 0 ? getVecNorm(offset) : getVecNorm(getCrossProd(offset, chord)) / length;
+    };
+    const refine = (u0, r0, u1, r1, depth) => {
+        const um = 0.5 * (u0 + u1);
+        const rm = getR(um);
+        if (depth < 30 && us.length < maxPoints && (maxStep_rad < u1 - u0 || tol_km < getDeviation(r0, r1, rm))) {
+            refine(u0, r0, um, rm, depth + 1);
+            us.push(um);
+            refine(um, rm, u1, r1, depth + 1);
+        }
+    };
+    const knots = [uStart, uStop].concat(candidates.map(([, ui]) => ui)).sort((lhs, rhs) => lhs - rhs)
+        .filter((ui, i, sorted) => i === 0 || sorted[i - 1] < ui);
+    knots.forEach((ui, i) => {
+        us.push(ui);
+        if (i + 1 < knots.length) {
+            refine(ui, getR(ui), knots[i + 1], getR(knots[i + 1]), 0);
+        }
+    });
+
+    // assemble vertices and markers
+    const positions = new Float64Array(3 * us.length);
+    const ta_rad = new Float64Array(us.length);
+    us.forEach((ui, i) => {
+        positions.set(getR(ui).map(ri => ri * scale), 3 * i);
+        ta_rad[i] = isClosed ? posmod(getTa(ui), 2 * Math.PI) : getTa(ui);
+    });
+    const markers = candidates.map(([type, ui]) => {
+        const index = us.indexOf(ui);
+        return { "type": type, "index": index, "ta_rad": ta_rad[index], "r": Array.from(positions.subarray(3 * index, 3 * index + 3)) };
+    });
+    return {
+        "positions": positions,
+        "ta_rad": ta_rad,
+        "isClosed": isClosed,
+        "markers": markers,
+        "positionUnits": options.positionUnits || "km"
+    };
+}
+
+/**
+ * Samples the complete osculating orbit of a planetary element record at the given datetime as a polyline (see getOrbitPathFromRv()), in the heliocentric ecliptic frame or options.frame; frames centered anywhere other than the sun also require options.catalog, and place the orbit about the sun's position in that frame at the datetime.
+ * 
+ * @param {Object} planetaryOrbitalElements - Planetary orbital elements model
+ * @param {Date|Number|String|Object} dt - Datetime (or epoch) at which the orbit will be evaluated
+ * @param {Object} options - Optional { anomaly, tol_km, maxStep_rad, maxRadius_km, maxPoints, positionUnits, frame, catalog, model, validity, timeScale }
+ * @returns {Object} - Path, as { positions, ta_rad, isClosed, markers, positionUnits }
+ * @throws {InvalidElementsError} - If the element record does not match the catalog schema
+ * @throws {OutOfValidityError} - In "strict" mode, if the datetime is outside the model's validity span
+ * @throws {UnknownUnitError} - If the position units are not recognized
+ */
+export function getOrbitPathFromElementsDatetime(planetaryOrbitalElements, dt, options = {}) {
+    const evalOptions = { "model": options.model, "validity": options.validity, "timeScale": options.timeScale };
+    const [r_km, v_kmps] = getRvFromElementsDatetime(planetaryOrbitalElements, dt, evalOptions);
+    const path = getOrbitPathFromRv(r_km, v_kmps, {
+        "anomaly": options.anomaly,
+        "tol_km": options.tol_km,
+        "maxStep_rad": options.maxStep_rad,
+        "maxRadius_km": options.maxRadius_km,
+        "maxPoints": options.maxPoints,
+        "positionUnits": options.positionUnits
+    });
+    if (options.frame && options.frame !== "HCEC") {
+        const { Q, dr_km } = getFrameTransform("HCEC", options.frame, dt, options.catalog, evalOptions);
+        const dr = getValueInUnits(dr_km, "km", path.positionUnits);
+        for (let i = 0; i < path.positions.length; i += 3) {
+            path.positions.set(getMatVec(Q, Array.from(path.positions.subarray(i, i + 3))).map((ri, j) => ri + dr[j]), i);
+        }
+        path.markers.forEach(marker => {
+            marker.r = Array.from(path.positions.subarray(3 * marker.index, 3 * marker.index + 3));
+        });
+    }
+    return path;
+}
+
+/**
+ * Fits Chebyshev coefficients to a function sampled at the N = degree + 1 Chebyshev-Gauss nodes of [-1, 1], x_k = cos(pi (k + 1/2) / N), by the discrete cosine transform; the fit interpolates the function at the nodes.
+ * 
+ * @param {Array|Float64Array} values - Function values at the nodes, in node order (decreasing x)
+ * @returns {Float64Array} - Coefficients of T_0 through T_degree
+ */
+export function getChebyshevCoefficients(values) {
+    const N = values.length;
+    const coefficients = new Float64Array(N);
+    for (let j = 0; j < N; j += 1) {
+        let sum = 0;
+        for (let k = 0; k < N; k += 1) {
+            sum += values[k] * Math.cos(Math.PI * j * (k + 0.5) / N);
+        }
+        coefficients[j] = (j === 0 ? 1 : 2) * sum / N;
+    }
+    return coefficients;
+}
+
+/**
+ * Evaluates a Chebyshev series and its derivative, from the recurrences T_j = 2x T_(j-1) - T_(j-2) and T'_j = 2 T_(j-1) + 2x T'_(j-1) - T'_(j-2).
+ * 
+ * @param {Array|Float64Array} coefficients - Coefficients of T_0 through T_degree
+ * @param {Number} x - Argument, within [-1, 1]
+ * @param {Number} offset - Index of the first coefficient within the array (default 0)
+ * @param {Number} n - Number of coefficients (default all, after the offset)
+ * @returns {Array} - Two-element array containing the value and derivative (with respect to x) of the series
+ */
+export function getChebyshevValue(coefficients, x, offset = 0, n = coefficients.length - offset) {
+    let [T0, T1, dT0, dT1] = [1, x, 0, 1];
+    let value = coefficients[offset] + (1 < n ? coefficients[offset + 1] * x : 0);
+    let derivative = 1 < n ? coefficients[offset + 1] : 0;
+    for (let j = 2; j < n; j += 1) {
+        const T2 = 2 * x * T1 - T0;
+        const dT2 = 2 * T1 + 2 * x * dT1 - dT0;
+        value += coefficients[offset + j] * T2;
+        derivative += coefficients[offset + j] * dT2;
+        [T0, T1, dT0, dT1] = [T1, T2, dT1, dT2];
+    }
+    return [value, derivative];
+}
+
+/**
+ * Fits a state function piecewise with Chebyshev polynomials, in the manner of SPK segments: each segment of options.segment_d days fits the three position components with polynomials of options.degree. As in SPK type 2 (options.type = 2, the default), velocities are recovered from the derivatives of the position polynomials; as in type 3, the velocity components are fitted as well, at twice the size. Segments are laid end to end from the start, the last one reaching the stop or beyond. Each segment is then checked against the state function at options.checks evenly spaced epochs, and its largest position and velocity errors are reported.
+ * 
+ * The element models hold their elements fixed when computing velocities, which therefore differ slightly from the rates of change of their positions; type 2 velocity errors mostly measure that difference.
+ * 
+ * @param {Function} getRv - Function of a julian date (TDB) returning the two-element array [r_km, v_kmps]
+ * @param {Number} startJd - Start of the fit (TDB) [days]
+ * @param {Number} stopJd - End of the fit (TDB) [days]
+ * @param {Object} options - Optional { segment_d (default 8), degree (default 12), type (2 or 3), checks (default 4 per coefficient) }
+ * @returns {Object} - Chebyshev ephemeris, as { type, startJd, stopJd, segment_d, degree, coefficients, maxError_km, maxError_kmps }; coefficients hold, for each segment in turn, the degree + 1 coefficients of x, then of y, then of z [km] (then of vx, vy, and vz [km/s], for type 3)
+ * @throws {InvalidEpochError} - If the fit does not start before it stops
+ * @throws {InvalidEphemerisError} - If the segment length is not positive, the degree is not a positive integer, or the type is neither 2 nor 3
+ */
+export function getChebyshevEphemerisFromFunction(getRv, startJd, stopJd, options = {}) {
+    const segment_d = options.segment_d === undefined ? 8 : options.segment_d;
+    const degree = options.degree === undefined ? 12 : options.degree;
+    const type = options.type === undefined ? 2 : options.type;
+    if (!(startJd < stopJd)) {
+        throw new InvalidEpochError(`Chebyshev fit must start before it stops, not span JD ${startJd} to ${stopJd}`, startJd);
+    }
+    validateChebyshevLayout(segment_d, degree, type);
+    const N = degree + 1;
+    const nComponents = type === 3 ? 6 : 3;
+    const checks = options.checks || 4 * N;
+    const nSegments = Math.max(1, Math.ceil((stopJd - startJd) / segment_d - 1e-9));
+    const coefficients = new Float64Array(nComponents * N * nSegments);
+    const maxError_km = new Float64Array(nSegments);
+    const maxError_kmps = new Float64Array(nSegments);
+    const ephemeris = {
+        "type": type,
+        "startJd": startJd,
+        "stopJd": stopJd,
+        "segment_d": segment_d,
+        "degree": degree,
+        "coefficients": coefficients,
+        "maxError_km": maxError_km,
+        "maxError_kmps": maxError_kmps
+    };
+    for (let s = 0; s < nSegments; s += 1) {
+        const jd0 = startJd + s * segment_d;
+        const states = Array.from({ "length": N }, (_, k) => getRv(jd0 + 0.5 * segment_d * (1 + Math.cos(Math.PI * (k + 0.5) / N))));
+        for (let i = 0; i < nComponents; i += 1) {
+            coefficients.set(getChebyshevCoefficients(states.map(([r_km, v_kmps]) => i < 3 ? r_km[i] : v_kmps[i - 3])), (nComponents * s + i) * N);
+        }
+        for (let k = 0; k <= checks; k += 1) {
+            const jd = jd0 + k * segment_d / checks;
+            const [r_km, v_kmps] = getRv(jd);
+            const [rFit_km, vFit_kmps] = getRvFromChebyshevEphemeris(ephemeris, jd, { "timeScale": "TDB", "segment": s });
+            maxError_km[s] = Math.max(maxError_km[s], Math.hypot(...r_km.map((ri, i) => ri - rFit_km[i])));
+            maxError_kmps[s] = Math.max(maxError_kmps[s], Math.hypot(...v_kmps.map((vi, i) => vi - vFit_kmps[i])));
+        }
+    }
+    return ephemeris;
+}
+
+/**
+ * Fits a catalog body's states over a date range with piecewise Chebyshev polynomials (see getChebyshevEphemerisFromFunction()), in the heliocentric ecliptic frame or options.frame. Planetary, osculating, and satellite element records are all supported, as in getEphemerisFromCatalog(). The fit can then be serialized (getChebyshevJson() or getChebyshevBinary()) and evaluated (getRvFromChebyshevEphemeris()) without the element model.
+ * 
+ * @param {Object} catalog - Catalog of element records
+ * @param {String} body - Name of the body within the catalog
+ * @param {Date|Number|String|Object} start - Start of the fit
+ * @param {Date|Number|String|Object} stop - End of the fit
+ * @param {Object} options - Optional { segment_d, degree, type, checks, frame (default "HCEC"), model, validity, timeScale }
+ * @returns {Object} - Chebyshev ephemeris, as { body, frame, center, orientation, type, startJd, stopJd, segment_d, degree, coefficients, maxError_km, maxError_kmps }
+ * @throws {UnknownBodyError} - If the body is not found within the catalog
+ */
+export function getChebyshevEphemerisFromCatalog(catalog, body, start, stop, options = {}) {
+    if (!catalog || !Object.prototype.hasOwnProperty.call(catalog, body)) {
+        throw new UnknownBodyError(`Unknown body "${body}"`, body);
+    }
+    const frame = options.frame || "HCEC";
+    const { center, orientation } = getFrameSpec(frame);
+    const evalOptions = { "model": options.model, "validity": options.validity, "timeScale": "TDB" };
+    const record = catalog[body];
+    const getRv = jd => {
+        const [r_km, v_kmps] = "epoch_jd" in record
+            ? getRvFromOsculatingElementsDatetime(record, jd, evalOptions)
+            : "parent" in record
+                ? getSatelliteRvFromElementsDatetime(record, jd, { ...evalOptions, "frame": "HCEC", "catalog": catalog })
+                : getRvFromElementsDatetime(record, jd, evalOptions);
+        return frame === "HCEC" ? [r_km, v_kmps] : getRvInFrame(r_km, v_kmps, "HCEC", frame, jd, catalog, evalOptions);
+    };
+    const fit = getChebyshevEphemerisFromFunction(getRv, getTdbFromEpoch(start, options.timeScale), getTdbFromEpoch(stop, options.timeScale), options);
+    return {
+        "body": body,
+        "frame": frame,
+        "center": center,
+        "orientation": orientation,
+        ...fit
+    };
+}
+
+/**
+ * Evaluates a Chebyshev ephemeris (see getChebyshevEphemerisFromCatalog()) at the given datetime, from the segment that contains it.
+ * 
+ * @param {Object} ephemeris - Chebyshev ephemeris
+ * @param {Date|Number|String|Object} dt - Datetime (or epoch) at which state will be evaluated
+ * @param {Object} options - Optional { timeScale (default "UTC"), positionUnits, velocityUnits, segment (index of the segment to evaluate, extrapolating if needed) }
+ * @returns {Array} - Two-element array containing r [km] and v [km/s] (or the requested units)
+ * @throws {InvalidEpochError} - If the datetime is outside the span of the ephemeris
+ */
+export function getRvFromChebyshevEphemeris(ephemeris, dt, options = {}) {
+    const jd = getTdbFromEpoch(dt, options.timeScale);
+    const { startJd, stopJd, segment_d, coefficients } = ephemeris;
+    const N = ephemeris.degree + 1;
+    const nComponents = ephemeris.type === 3 ? 6 : 3;
+    let s = options.segment;
+    if (s === undefined) {
+        if (!(startJd <= jd && jd <= stopJd)) {
+            throw new InvalidEpochError(`Cannot evaluate at JD ${jd}, outside of [${startJd}, ${stopJd}]`, dt);
+        }
+        s = Math.min(Math.floor((jd - startJd) / segment_d), coefficients.length / (nComponents * N) - 1);
+    }
+    const x = 2 * (jd - startJd - s * segment_d) / segment_d - 1;
+    const r_km = [0, 0, 0];
+    const v_kmps = [0, 0, 0];
+    for (let i = 0; i < 3; i += 1) {
+        const [value, derivative] = getChebyshevValue(coefficients, x, (nComponents * s + i) * N, N);
+        r_km[i] = value;
+        v_kmps[i] = nComponents === 6 ? getChebyshevValue(coefficients, x, (nComponents * s + i + 3) * N, N)[0] : derivative * 2 / (segment_d * 86400);
+    }
+    return getRvInUnits(r_km, v_kmps, options);
+}
+
+/**
+ * Parses the JSON text of a Chebyshev ephemeris or of its binary header.
+ * 
+ * @param {String} text - JSON text
+ * @returns {Object} - Parsed object
+ * @throws {InvalidEphemerisError} - If the text is not a JSON object
+ */
+export function getObjectFromChebyshevJson(text) {
+    let parsed;
+    try {
+        parsed = JSON.parse(text);
+    } catch (error) {
+        throw new InvalidEphemerisError(`Chebyshev ephemeris is not valid JSON: ${error.message}`, ["json"]);
+    }
+    if (parsed === null || typeof parsed !== "object") {
+        throw new InvalidEphemerisError("Chebyshev ephemeris is not a JSON object", ["json"]);
+    }
+    return parsed;
+}
+
+/**
+ * Serializes a Chebyshev ephemeris as JSON, with arrays in place of typed arrays.
+ * 
+ * @param {Object} ephemeris - Chebyshev ephemeris, as returned by getChebyshevEphemerisFromCatalog()
+ * @returns {String} - JSON text
+ */
+export function getChebyshevJson(ephemeris) {
+    return JSON.stringify({
+        ...ephemeris,
+        "coefficients": Array.from(ephemeris.coefficients),
+        "maxError_km": Array.from(ephemeris.maxError_km),
+        "maxError_kmps": Array.from(ephemeris.maxError_kmps)
+    });
+}
+
+/**
+ * Parses a Chebyshev ephemeris from the JSON written by getChebyshevJson().
+ * 
+ * @param {String|Object} json - JSON text, or the parsed object
+ * @returns {Object} - Chebyshev ephemeris
+ * @throws {InvalidEphemerisError} - If the text is not JSON, or the coefficients do not match the span, segment length, and degree
+ */
+export function getChebyshevEphemerisFromJson(json) {
+    const parsed = typeof json === "string" ? getObjectFromChebyshevJson(json) : json;
+    return validateChebyshevEphemeris({
+        ...parsed,
+        "coefficients": Float64Array.from(parsed.coefficients || []),
+        "maxError_km": Float64Array.from(parsed.maxError_km || []),
+        "maxError_kmps": Float64Array.from(parsed.maxError_kmps || [])
+    });
+}
+
+/**
+ * Checks the segment length, degree, and type of a Chebyshev ephemeris.
+ * 
+ * @param {Number} segment_d - Segment length [days]
+ * @param {Number} degree - Degree of the polynomials
+ * @param {Number} type - 2 (positions only) or 3 (positions and velocities)
+ * @throws {InvalidEphemerisError} - If the segment length is not positive, the degree is not a positive integer, or the type is neither 2 nor 3
+ */
+export function validateChebyshevLayout(segment_d, degree, type) {
+    if (!(0 < segment_d && Number.isFinite(segment_d))) {
+        throw new InvalidEphemerisError(`Chebyshev segment length must be positive, not ${segment_d} days`, ["segment_d"]);
+    }
+    if (!(Number.isInteger(degree) && 1 <= degree)) {
+        throw new InvalidEphemerisError(`Chebyshev degree must be a positive integer, not ${degree}`, ["degree"]);
+    }
+    if (type !== 2 && type !== 3) {
+        throw new InvalidEphemerisError(`Chebyshev ephemeris type must be 2 or 3, not ${type}`, ["type"]);
+    }
+}
+
+/**
+ * Checks that the coefficients of a Chebyshev ephemeris cover its span at its segment length and degree.
+ * 
+ * @param {Object} ephemeris - Chebyshev ephemeris to check
+ * @returns {Object} - The same ephemeris, for chaining
+ * @throws {InvalidEphemerisError} - If any field is missing or inconsistent
+ */
+export function validateChebyshevEphemeris(ephemeris) {
+    const fields = ["startJd", "stopJd", "segment_d", "degree"];
+    const bad = fields.filter(k => !Number.isFinite(ephemeris[k]));
+    if (0 < bad.length) {
+        throw new InvalidEphemerisError(`Chebyshev ephemeris has missing or non-numeric fields: ${bad.join(", ")}`, bad);
+    }
+    if (!(ephemeris.startJd < ephemeris.stopJd)) {
+        throw new InvalidEphemerisError(`Chebyshev ephemeris must start before it stops, not span JD ${ephemeris.startJd} to ${ephemeris.stopJd}`, ["startJd", "stopJd"]);
+    }
+    validateChebyshevLayout(ephemeris.segment_d, ephemeris.degree, ephemeris.type);
+    const nSegments = Math.max(1, Math.ceil((ephemeris.stopJd - ephemeris.startJd) / ephemeris.segment_d - 1e-9));
+    const n = (ephemeris.type === 3 ? 6 : 3) * (ephemeris.degree + 1) * nSegments;
+    if (ephemeris.coefficients.length !== n) {
+        throw new InvalidEphemerisError(`Chebyshev ephemeris needs ${n} coefficients, not ${ephemeris.coefficients.length}`, ["coefficients"]);
+    }
+    return ephemeris;
+}
+
+/**
+ * Serializes a Chebyshev ephemeris as a compact binary blob: the four bytes "SPCH", a little-endian 32-bit length, that many bytes of JSON metadata (every field except the coefficients and errors), padding to an eight-byte boundary, and then little-endian 64-bit floats--the coefficients, followed by the position and velocity errors of each segment.
+ * 
+ * @param {Object} ephemeris - Chebyshev ephemeris, as returned by getChebyshevEphemerisFromCatalog()
+ * @returns {Uint8Array} - Binary blob
+ */
+export function getChebyshevBinary(ephemeris) {
+    const { coefficients, maxError_km, maxError_kmps, ...metadata } = ephemeris;
+    const header = new TextEncoder().encode(JSON.stringify(metadata));
+    const offset = Math.ceil((8 + header.length) / 8) * 8;
+    const floats = [coefficients, maxError_km, maxError_kmps];
+    const bytes = new Uint8Array(offset + 8 * floats.reduce((n, array) => n + array.length, 0));
+    const view = new DataView(bytes.buffer);
+    bytes.set(new TextEncoder().encode("SPCH"), 0);
+    view.setUint32(4, header.length, true);
+    bytes.set(header, 8);
+    let k = offset;
+    floats.forEach(array => array.forEach(value => {
+        view.setFloat64(k, value, true);
+        k += 8;
+    }));
+    return bytes;
+}
+
+/**
+ * Parses a Chebyshev ephemeris from the binary blob written by getChebyshevBinary().
+ * 
+ * @param {Uint8Array|ArrayBuffer} blob - Binary blob (e.g., the contents of a file, or a fetch() response's arrayBuffer())
+ * @returns {Object} - Chebyshev ephemeris
+ * @throws {InvalidEphemerisError} - If the blob is not a Chebyshev ephemeris, or its coefficients are inconsistent
+ */
+export function getChebyshevEphemerisFromBinary(blob) {
+    const bytes = blob instanceof Uint8Array ? blob : new Uint8Array(blob);
+    const view = new DataView(bytes.buffer, bytes.byteOffset, bytes.byteLength);
+    if (bytes.length < 8 || new TextDecoder().decode(bytes.subarray(0, 4)) !== "SPCH") {
+        throw new InvalidEphemerisError("Binary blob is not a Chebyshev ephemeris", ["magic"]);
+    }
+    const length = view.getUint32(4, true);
+    const metadata = getObjectFromChebyshevJson(new TextDecoder().decode(bytes.subarray(8, 8 + length)));
+    const nSegments = Math.max(1, Math.ceil((metadata.stopJd - metadata.startJd) / metadata.segment_d - 1e-9));
+    const counts = [(metadata.type === 3 ? 6 : 3) * (metadata.degree + 1) * nSegments, nSegments, nSegments];
+    let k = Math.ceil((8 + length) / 8) * 8;
+    if (bytes.length !== k + 8 * counts.reduce((lhs, rhs) => lhs + rhs, 0)) {
+        throw new InvalidEphemerisError(`Binary blob of ${bytes.length} bytes does not match its metadata`, ["coefficients"]);
+    }
+    const [coefficients, maxError_km, maxError_kmps] = counts.map(count => Float64Array.from({ "length": count }, () => {
+        const value = view.getFloat64(k, true);
+        k += 8;
+        return value;
+    }));
+    return validateChebyshevEphemeris({
+        ...metadata,
+        "coefficients": coefficients,
+        "maxError_km": maxError_km,
+        "maxError_kmps": maxError_kmps
+    });
 }
@@ -0,0 +1,138 @@
+/**
+ * launchwindows.mjs
+ *
+ * Quick launch-window estimates between two catalog bodies, for use before a
+ * full Lambert sweep (see getPorkchopFromElements()): synodic periods, Hohmann
+ * transfers between the bodies' current semi-major axes, and the dates at
+ * which their phase angle matches the one a Hohmann transfer requires.
+ *
+ * This is a separate entry point, imported alongside index.mjs (e.g., from
+ * "solarplanets/launchwindows.mjs"). It builds on index.mjs, which does not
+ * import it back, so index.mjs remains a self-contained single file.
+ */
+
+import { AU_KM, GM_SUN_KM3PS2, getCurrentElements, getJulianCenturies, getRootsFromFunction, getRvFromElementsDatetime, getTdbFromEpoch, posmod, validateElements } from "./index.mjs";
+
+/**
+ * Interpolates the semi-major axis of an element record at the given datetime.
+ *
+ * @param {Object} planetaryOrbitalElements - Planetary orbital elements model
+ * @param {Date|Number|String|Object} dt - Datetime (or epoch) at which the semi-major axis will be evaluated
+ * @param {Object} options - Optional { timeScale }
+ * @returns {Number} - Semi-major axis [km]
+ * @throws {InvalidElementsError} - If the element record does not match the catalog schema
+ */
+export function getSemiMajorAxisFromElementsDatetime(planetaryOrbitalElements, dt, options = {}) {
+    validateElements(planetaryOrbitalElements);
+    const T0 = getJulianCenturies(getTdbFromEpoch(dt, options.timeScale));
+    return getCurrentElements(planetaryOrbitalElements.a_au * AU_KM, planetaryOrbitalElements.da_au * AU_KM, T0);
+}
+
+/**
+ * Computes the synodic period of two bodies--the interval between successive returns to the same phase angle--from the mean motions of circular orbits at their semi-major axes.
+ *
+ * @param {Number} a1_km - Semi-major axis of the first body [km]
+ * @param {Number} a2_km - Semi-major axis of the second body [km]
+ * @param {Number} mu_km3ps2 - Gravitational parameter of the central body [km^3/s^2]
+ * @returns {Number} - Synodic period (infinite for equal semi-major axes) [s]
+ */
+export function getSynodicPeriod(a1_km, a2_km, mu_km3ps2 = GM_SUN_KM3PS2) {
+    const n1_radps = Math.sqrt(mu_km3ps2 / (a1_km * a1_km * a1_km));
+    const n2_radps = Math.sqrt(mu_km3ps2 / (a2_km * a2_km * a2_km));
+    return 2 * Math.PI / Math.abs(n1_radps - n2_radps);
+}
+
+/**
+ * Computes a Hohmann transfer between circular, coplanar orbits (Sec. 6.2): the time of flight (half the period of the transfer ellipse), the two impulses, and the phase angle--the angle from the departure body to the arrival body, measured in the direction of motion within [0, 2pi)--at which the transfer must start for the arrival body to meet it.
+ *
+ * @param {Number} a1_km - Radius of the departure orbit [km]
+ * @param {Number} a2_km - Radius of the arrival orbit [km]
+ * @param {Number} mu_km3ps2 - Gravitational parameter of the central body [km^3/s^2]
+ * @returns {Object} - Transfer, as { a_km, tof_s, dv1_kmps, dv2_kmps, dv_kmps, phase_rad, synodicPeriod_s }; impulses are magnitudes, which for heliocentric transfers are the hyperbolic excess speeds at departure and arrival
+ */
+export function getHohmannTransfer(a1_km, a2_km, mu_km3ps2 = GM_SUN_KM3PS2) {
+    const a_km = 0.5 * (a1_km + a2_km);
+    const tof_s = Math.PI * Math.sqrt(a_km * a_km * a_km / mu_km3ps2);
+    const dv1_kmps = Math.abs(Math.sqrt(mu_km3ps2 * (2 / a1_km - 1 / a_km)) - Math.sqrt(mu_km3ps2 / a1_km));
+    const dv2_kmps = Math.abs(Math.sqrt(mu_km3ps2 / a2_km) - Math.sqrt(mu_km3ps2 * (2 / a2_km - 1 / a_km)));
+    const n2_radps = Math.sqrt(mu_km3ps2 / (a2_km * a2_km * a2_km));
+    return {
+        "a_km": a_km,
+        "tof_s": tof_s,
+        "dv1_kmps": dv1_kmps,
+        "dv2_kmps": dv2_kmps,
+        "dv_kmps": dv1_kmps + dv2_kmps,
+        "phase_rad": posmod(Math.PI - n2_radps * tof_s, 2 * Math.PI),
+        "synodicPeriod_s": getSynodicPeriod(a1_km, a2_km, mu_km3ps2)
+    };
+}
+
+/**
+ * Computes the Hohmann transfer between two catalog bodies (see getHohmannTransfer()), taking their semi-major axes at the given datetime as the radii of circular orbits.
+ *
+ * @param {Object} departureElements - Orbital elements of the departure body
+ * @param {Object} arrivalElements - Orbital elements of the arrival body
+ * @param {Date|Number|String|Object} dt - Datetime (or epoch) at which the semi-major axes will be evaluated
+ * @param {Object} options - Optional { timeScale }
+ * @returns {Object} - Transfer, as { a1_km, a2_km, a_km, tof_s, dv1_kmps, dv2_kmps, dv_kmps, phase_rad, synodicPeriod_s }
+ * @throws {InvalidElementsError} - If either element record does not match the catalog schema
+ */
+export function getHohmannFromElementsDatetime(departureElements, arrivalElements, dt, options = {}) {
+    const a1_km = getSemiMajorAxisFromElementsDatetime(departureElements, dt, options);
+    const a2_km = getSemiMajorAxisFromElementsDatetime(arrivalElements, dt, options);
+    return {
+        "a1_km": a1_km,
+        "a2_km": a2_km,
+        ...getHohmannTransfer(a1_km, a2_km)
+    };
+}
+
+/**
+ * Computes the phase angle of two catalog bodies at the given datetime: the difference in their heliocentric ecliptic longitudes, from the departure body to the arrival body, within [0, 2pi).
+ *
+ * @param {Object} departureElements - Orbital elements of the departure body
+ * @param {Object} arrivalElements - Orbital elements of the arrival body
+ * @param {Date|Number|String|Object} dt - Datetime (or epoch) at which the phase angle will be evaluated
+ * @param {Object} options - Optional { model, validity, timeScale }
+ * @returns {Number} - Phase angle [rad]
+ */
+export function getPhaseAngleFromElementsDatetime(departureElements, arrivalElements, dt, options = {}) {
+    const evalOptions = { "model": options.model, "validity": options.validity, "timeScale": options.timeScale };
+    const [rDepart_km] = getRvFromElementsDatetime(departureElements, dt, evalOptions);
+    const [rArrive_km] = getRvFromElementsDatetime(arrivalElements, dt, evalOptions);
+    return posmod(Math.atan2(rArrive_km[1], rArrive_km[0]) - Math.atan2(rDepart_km[1], rDepart_km[0]), 2 * Math.PI);
+}
+
+/**
+ * Finds the next launch windows between two catalog bodies within a date range: the dates at which their actual phase angle (see getPhaseAngleFromElementsDatetime()) equals the phase angle required by the Hohmann transfer between their current semi-major axes. Each window reports that transfer, departing at the window.
+ *
+ * @param {Object} departureElements - Orbital elements of the departure body
+ * @param {Object} arrivalElements - Orbital elements of the arrival body
+ * @param {Date|Number|String|Object} start - Start of the search
+ * @param {Date|Number|String|Object} stop - End of the search
+ * @param {Object} options - Optional { count (the number of windows to return; default all), step_d (default 1), tol_d (default one minute), model, validity, timeScale }
+ * @returns {Array} - Windows, as { jd (TDB), arrivalJd (TDB), phase_rad, tof_s, dv1_kmps, dv2_kmps, dv_kmps } in increasing order
+ */
+export function getLaunchWindowsFromElements(departureElements, arrivalElements, start, stop, options = {}) {
+    const evalOptions = { "model": options.model, "validity": options.validity, "timeScale": "TDB" };
+    const getMismatch = jd => {
+        const { phase_rad } = getHohmannFromElementsDatetime(departureElements, arrivalElements, jd, evalOptions);
+        return getPhaseAngleFromElementsDatetime(departureElements, arrivalElements, jd, evalOptions) - phase_rad;
+    };
+
+    // roots of the sine of the mismatch also include the dates at which it is pi
+    const roots = getRootsFromFunction(jd => Math.sin(getMismatch(jd)), getTdbFromEpoch(start, options.timeScale), getTdbFromEpoch(stop, options.timeScale), options.step_d || 1, options.tol_d || 1 / 1440)
+        .filter(root => 0 < Math.cos(getMismatch(root.x)));
+    return roots.slice(0, options.count === undefined ? roots.length : options.count).map(root => {
+        const transfer = getHohmannFromElementsDatetime(departureElements, arrivalElements, root.x, evalOptions);
+        return {
+            "jd": root.x,
+            "arrivalJd": root.x + transfer.tof_s / 86400,
+            "phase_rad": transfer.phase_rad,
+            "tof_s": transfer.tof_s,
+            "dv1_kmps": transfer.dv1_kmps,
+            "dv2_kmps": transfer.dv2_kmps,
+            "dv_kmps": transfer.dv_kmps
+        };
+    });
+}
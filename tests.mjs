@@ -2,7 +2,25 @@
  * tests.mjs
  */
 
+import { execFileSync } from "child_process";
+import fs from "fs";
+import { fileURLToPath } from "url";
 import * as solarplanets from "./index.mjs";
+import * as launchwindows from "./launchwindows.mjs";
+
+function getRvFromRecoveredElements(elements, mu_km3ps2) {
+    // re-applies the perifocal sequence from getRvFromElementsDatetime() without the catalog time dependency
+    const d2r = Math.PI / 180;
+    const a_km = elements.a_au * solarplanets.AU_KM;
+    const h_km2ps = solarplanets.getAngularMomentum(a_km, elements.e, mu_km3ps2);
+    const rPqw_km = solarplanets.getRpqwFromHETht(h_km2ps, elements.e, elements.ta_deg * d2r, mu_km3ps2);
+    const vPqw_kmps = solarplanets.getVpqwFromHETht(h_km2ps, elements.e, elements.ta_deg * d2r, mu_km3ps2);
+    const Q = solarplanets.getQpqw2eci(elements.raan_deg * d2r, elements.inc_deg * d2r, elements.aop_deg * d2r);
+    return [
+        solarplanets.getMatVec(Q, rPqw_km),
+        solarplanets.getMatVec(Q, vPqw_kmps)
+    ];
+}
 
 export default {
     "can be tested": () => {
@@ -320,5 +338,1920 @@ export default {
             expect(dr_rel).toBeLessThan(1e-3);
             expect(dv_rel).toBeLessThan(1e-3);
         }
+    },
+
+    "can compute a cross product": () => {
+        const actual = solarplanets.getCrossProd([1, 0, 0], [0, 1, 0]);
+        const expected = [0, 0, 1];
+        for (let i = 0; i < 3; i += 1) {
+            expect(actual[i]).toBeCloseTo(expected[i], 12);
+        }
+        expect(solarplanets.getVecNorm([3, 4, 12])).toBeCloseTo(13);
+    },
+
+    "can compute a signed angle about an axis": () => {
+        expect(solarplanets.getSignedAngle([1, 0, 0], [0, 1, 0], [0, 0, 1])).toBeCloseTo(0.5 * Math.PI);
+        expect(solarplanets.getSignedAngle([1, 0, 0], [0, 1, 0], [0, 0, -1])).toBeCloseTo(1.5 * Math.PI);
+    },
+
+    "can invert true anomaly and kepler's equation from example 3.2": () => {
+        const d2r = Math.PI / 180;
+        expect(solarplanets.getEaFromTaE(193.2 * d2r, 0.37255)).toBeCloseTo(3.4794, 2);
+        expect(solarplanets.getMaFromEaE(3.4794, 0.37255)).toBeCloseTo(3.6029, 4);
+    },
+
+    "can recover elements from example 4.3 state": () => {
+        const r2d = 180 / Math.PI;
+        const actual = solarplanets.getElementsFromRv([-6045, -3490, 2500], [-3.457, 6.618, 2.533], 398600);
+        expect(actual.a_au * 1.49597871e8).toBeCloseTo(8788, -1);
+        expect(actual.e).toBeCloseTo(0.1712, 3);
+        expect(actual.inc_deg).toBeCloseTo(153.2, 1);
+        expect(actual.raan_deg).toBeCloseTo(255.3, 1);
+        expect(actual.aop_deg).toBeCloseTo(20.07, 1);
+        expect(actual.ta_deg).toBeCloseTo(28.45, 1);
+        expect(actual.lop_deg).toBeCloseTo(solarplanets.posmod(255.3 + 20.07, 360), 1);
+        expect(actual.ma_deg / r2d).toBeCloseTo(solarplanets.getMaFromEaE(actual.ea_deg / r2d, actual.e), 6);
+    },
+
+    "can round-trip elements for mars": () => {
+        const mars = {
+            "a_au": 1.52366231,
+            "da_au": 0,
+            "e": 0.09341233,
+            "de": 0,
+            "inc_deg": 1.85061,
+            "dinc_sec": 0,
+            "raan_deg": 49.57854,
+            "draan_sec": 0,
+            "lop_deg": 336.04084,
+            "dlop_sec": 0,
+            "ml_deg": 355.45332,
+            "dml_sec": 0
+        };
+        const dt = new Date(Date.UTC(2000, 0, 1, 12, 0, 0));
+        const [r_km, v_kmps] = solarplanets.getRvFromElementsDatetime(mars, dt);
+        const actual = solarplanets.getElementsFromRv(r_km, v_kmps);
+        ["a_au", "e", "inc_deg", "raan_deg", "lop_deg", "ml_deg"].forEach(k => {
+            expect(actual[k]).toBeCloseTo(mars[k], 6);
+        });
+    },
+
+    "can round-trip the near-equatorial earth state": () => {
+        const earth = {
+            "a_au": 1.00000011,
+            "da_au": -0.00000005,
+            "e": 0.01671022,
+            "de": -0.00003804,
+            "inc_deg": -0.00005,
+            "dinc_sec": 46.94,
+            "raan_deg": -11.26064,
+            "draan_sec": -18228.25,
+            "lop_deg": 102.94719,
+            "dlop_sec": 1198.28,
+            "ml_deg": 100.46435,
+            "dml_sec": 129597740.63
+        };
+        const dt = new Date(Date.UTC(2003, 8 - 1, 27, 12, 0, 0));
+        const [r_km, v_kmps] = solarplanets.getRvFromElementsDatetime(earth, dt);
+        const elements = solarplanets.getElementsFromRv(r_km, v_kmps);
+        const [rActual_km, vActual_kmps] = getRvFromRecoveredElements(elements, solarplanets.GM_SUN_KM3PS2);
+        for (let i = 0; i < 3; i += 1) {
+            expect(Math.abs(rActual_km[i] - r_km[i])).toBeLessThan(1e-3);
+            expect(Math.abs(vActual_kmps[i] - v_kmps[i])).toBeLessThan(1e-9);
+        }
+    },
+
+    "can round-trip circular and equatorial states": () => {
+        const mu_km3ps2 = 398600;
+        const inc_rad = 30 * Math.PI / 180;
+        const vCircular_kmps = Math.sqrt(mu_km3ps2 / 7000);
+        const cases = [
+            [[7000, 0, 0], [0, vCircular_kmps * Math.cos(inc_rad), vCircular_kmps * Math.sin(inc_rad)]], // circular, inclined
+            [[7000, 0, 0], [0, 8.5, 0]], // elliptical, equatorial
+            [[0, 7000, 0], [-Math.sqrt(mu_km3ps2 / 7000), 0, 0]], // circular, equatorial
+            [[0, 7000, 0], [8.5, 0, 0]] // elliptical, equatorial, retrograde
+        ];
+        cases.forEach(([r_km, v_kmps]) => {
+            const elements = solarplanets.getElementsFromRv(r_km, v_kmps, mu_km3ps2);
+            const [rActual_km, vActual_kmps] = getRvFromRecoveredElements(elements, mu_km3ps2);
+            for (let i = 0; i < 3; i += 1) {
+                expect(rActual_km[i]).toBeCloseTo(r_km[i], 3);
+                expect(vActual_kmps[i]).toBeCloseTo(v_kmps[i], 6);
+            }
+        });
+        const circular = solarplanets.getElementsFromRv(...cases[0], mu_km3ps2);
+        expect(circular.e).toBeCloseTo(0, 9);
+        expect(circular.inc_deg).toBeCloseTo(30, 9);
+    },
+
+    "can solve kepler's equation for the hyperbola from example 3.5": () => {
+        const d2r = Math.PI / 180;
+        const F_rad = solarplanets.getHaFromMaE(40.690, 2.7696);
+        expect(F_rad).toBeCloseTo(3.4631, 3);
+        expect(solarplanets.getTaFromHaE(F_rad, 2.7696)).toBeCloseTo(107.78 * d2r, 3);
+        expect(solarplanets.getHaFromTaE(107.78 * d2r, 2.7696)).toBeCloseTo(3.4631, 3);
+        expect(solarplanets.getMaFromHaE(3.4631, 2.7696)).toBeCloseTo(40.690, 1);
+    },
+
+    "can solve barker's equation for a parabola": () => {
+        const Mp_rad = solarplanets.getMpFromTaBarker(2.5);
+        expect(solarplanets.getTaFromMpBarker(Mp_rad)).toBeCloseTo(2.5, 8);
+        expect(solarplanets.getTaFromMpBarker(-Mp_rad)).toBeCloseTo(-2.5, 8);
+        expect(solarplanets.getTaFromMaE(Mp_rad, 1)).toBeCloseTo(2.5, 8);
+    },
+
+    "can solve kepler's equation for near-parabolic ellipses": () => {
+        [1e-3, 0.5, 3.0, 6.28].forEach(M_rad => {
+            const E_rad = solarplanets.getEaFromMaE(M_rad, 0.9999);
+            expect(E_rad - 0.9999 * Math.sin(E_rad)).toBeCloseTo(M_rad, 8);
+        });
+    },
+
+    "can evaluate stumpff functions across z = 0": () => {
+        expect(solarplanets.getStumpffC(0)).toBeCloseTo(1 / 2, 12);
+        expect(solarplanets.getStumpffS(0)).toBeCloseTo(1 / 6, 12);
+        expect(solarplanets.getStumpffC(1e-3 + 1e-12)).toBeCloseTo(solarplanets.getStumpffC(1e-3 - 1e-12), 12);
+        expect(solarplanets.getStumpffS(-1e-3 - 1e-12)).toBeCloseTo(solarplanets.getStumpffS(-1e-3 + 1e-12), 12);
+        expect(solarplanets.getStumpffC(Math.PI * Math.PI)).toBeCloseTo(2 / (Math.PI * Math.PI), 12);
+    },
+
+    "can reproduce example 3.7 universal anomaly": () => {
+        const chi = solarplanets.getUniversalAnomaly([7000, -12124, 0], [2.6679, 4.6210, 0], 3600, 398600);
+        expect(chi).toBeCloseTo(253.53, 1);
+    },
+
+    "can reproduce example 3.7 state propagation": () => {
+        const [r_km, v_kmps] = solarplanets.getRvFromRvDt([7000, -12124, 0], [2.6679, 4.6210, 0], 3600, 398600);
+        const rExpected_km = [-3297.8, 7413.4, 0];
+        const vExpected_kmps = [-8.2977, -0.96309, 0];
+        for (let i = 0; i < 3; i += 1) {
+            expect(r_km[i]).toBeCloseTo(rExpected_km[i], 0);
+            expect(v_kmps[i]).toBeCloseTo(vExpected_kmps[i], 2);
+        }
+    },
+
+    "can propagate near-parabolic and hyperbolic states forward and back": () => {
+        const mu_km3ps2 = 398600;
+        const vEsc_kmps = Math.sqrt(2 * mu_km3ps2 / 7000);
+        [0.999999, 1, 1.000001, 1.5].forEach(k => {
+            const r0_km = [7000, 0, 1000];
+            const v0_kmps = [0, vEsc_kmps * Math.sqrt(k), 0];
+            const [r_km, v_kmps] = solarplanets.getRvFromRvDt(r0_km, v0_kmps, 86400, mu_km3ps2);
+            const [rBack_km, vBack_kmps] = solarplanets.getRvFromRvDt(r_km, v_kmps, -86400, mu_km3ps2);
+            for (let i = 0; i < 3; i += 1) {
+                expect(Math.abs(rBack_km[i] - r0_km[i])).toBeLessThan(1e-3);
+                expect(Math.abs(vBack_kmps[i] - v0_kmps[i])).toBeLessThan(1e-6);
+            }
+        });
+    },
+
+    "can evaluate a hyperbolic element record": () => {
+        // recover elements from a hyperbolic heliocentric state, then re-evaluate them at the epoch
+        const r0_km = [1.2e8, -0.4e8, 0.3e8];
+        const v0_kmps = [-10, 45, 8];
+        const elements = solarplanets.getElementsFromRv(r0_km, v0_kmps);
+        expect(elements.e).toBeGreaterThan(1);
+        expect(elements.a_au).toBeLessThan(0);
+        const record = {
+            "a_au": elements.a_au,
+            "da_au": 0,
+            "e": elements.e,
+            "de": 0,
+            "inc_deg": elements.inc_deg,
+            "dinc_sec": 0,
+            "raan_deg": elements.raan_deg,
+            "draan_sec": 0,
+            "lop_deg": elements.lop_deg,
+            "dlop_sec": 0,
+            "ml_deg": elements.ml_deg,
+            "dml_sec": 0
+        };
+        const dt = new Date(Date.UTC(2000, 0, 1, 12, 0, 0));
+        const [r_km, v_kmps] = solarplanets.getRvFromElementsDatetime(record, dt);
+        for (let i = 0; i < 3; i += 1) {
+            expect(Math.abs(r_km[i] - r0_km[i])).toBeLessThan(1);
+            expect(Math.abs(v_kmps[i] - v0_kmps[i])).toBeLessThan(1e-6);
+        }
+    },
+
+    "can evaluate a parabolic element record": () => {
+        // a parabola at perihelion (1 au) at J2000, whose size is given by its semi-latus rectum
+        const parabolic = {
+            "p_au": 2,
+            "da_au": 0,
+            "e": 1,
+            "de": 0,
+            "inc_deg": 10,
+            "dinc_sec": 0,
+            "raan_deg": 20,
+            "draan_sec": 0,
+            "lop_deg": 50,
+            "dlop_sec": 0,
+            "ml_deg": 50,
+            "dml_sec": 0
+        };
+        const dt0 = new Date(Date.UTC(2000, 0, 1, 12, 0, 0));
+        const [rp_km, vp_kmps] = solarplanets.getRvFromElementsDatetime(parabolic, dt0);
+        const q_km = Math.hypot(...rp_km);
+        const vp_kmps2 = vp_kmps.reduce((sum, vi) => sum + vi * vi, 0);
+        expect(q_km / 1.49597871e8).toBeCloseTo(1, 6);
+        expect(rp_km.reduce((sum, ri, i) => sum + ri * vp_kmps[i], 0)).toBeCloseTo(0, 3);
+
+        // the mean longitude advances at the parabolic mean motion, mu^2 / h^3, with mu = q v^2 / 2 at perihelion
+        const mu_km3ps2 = 0.5 * q_km * vp_kmps2;
+        const h_km2ps = q_km * Math.sqrt(vp_kmps2);
+        const record = { ...parabolic, "dml_sec": mu_km3ps2 * mu_km3ps2 / (h_km2ps * h_km2ps * h_km2ps) * 86400 * 36525 * 180 / Math.PI * 3600 };
+        const dt1 = new Date(dt0.getTime() + 100 * 86400 * 1000);
+        const [r0_km, v0_kmps] = solarplanets.getRvFromElementsDatetime(record, dt0);
+        const [r_km, v_kmps] = solarplanets.getRvFromElementsDatetime(record, dt1);
+        const [rExpected_km, vExpected_kmps] = solarplanets.getRvFromRvDt(r0_km, v0_kmps, 100 * 86400);
+        for (let i = 0; i < 3; i += 1) {
+            expect(Math.abs(r_km[i] - rExpected_km[i])).toBeLessThan(1);
+            expect(Math.abs(v_kmps[i] - vExpected_kmps[i])).toBeLessThan(1e-6);
+        }
+
+        // without its semi-latus rectum, a parabolic record has no size
+        const { p_au: _, ...unsized } = record;
+        expect(() => solarplanets.getRvFromElementsDatetime(unsized, dt0)).toThrowError(solarplanets.InvalidElementsError, /a_au/);
+        expect(() => solarplanets.getRvFromElementsDatetime({ ...unsized, "a_au": 1 }, dt0)).toThrowError(solarplanets.InvalidEccentricityError);
+    },
+
+    "can compute julian dates outside of 1901-2099": () => {
+        expect(solarplanets.getJdFromDate(new Date(Date.UTC(2003, 8 - 1, 27, 0, 0, 0)))).toEqual(2452878.5);
+        expect(solarplanets.getJdFromDate(new Date(Date.UTC(1600, 0, 1, 0, 0, 0)))).toEqual(2305447.5);
+    },
+
+    "can compute outer-planet mean anomaly corrections": () => {
+        const d2r = Math.PI / 180;
+        const jupiter = {
+            "b_deg": -0.00012452,
+            "c_deg": 0.06064060,
+            "s_deg": -0.35635438,
+            "f_deg": 38.35125000
+        };
+        expect(solarplanets.getMeanAnomalyCorrection(jupiter, 0)).toBeCloseTo(0.06064060 * d2r, 12);
+        const T0 = 1.5;
+        const expected = -0.00012452 * T0 * T0 + 0.06064060 * Math.cos(38.35125 * T0 * d2r) - 0.35635438 * Math.sin(38.35125 * T0 * d2r);
+        expect(solarplanets.getMeanAnomalyCorrection(jupiter, T0)).toBeCloseTo(expected * d2r, 12);
+        expect(solarplanets.getMeanAnomalyCorrection({ "b_deg": -0.01262724 }, 0)).toEqual(0);
+        expect(solarplanets.getMeanAnomalyCorrection({}, T0)).toEqual(0);
+    },
+
+    "can select element models by validity span": () => {
+        expect(solarplanets.getModelForDatetime(new Date(Date.UTC(2020, 0, 1)))).toEqual("standish");
+        expect(solarplanets.getModelForDatetime(new Date(Date.UTC(2500, 0, 1)))).toEqual("jpl3000");
+        expect(solarplanets.getModelForDatetime(new Date(Date.UTC(5000, 0, 1)))).toEqual("jpl3000");
+        expect(solarplanets.getModelForDatetime(new Date(Date.UTC(2500, 0, 1)), ["standish"])).toEqual("standish");
+        expect(solarplanets.isDatetimeWithinModel("standish", new Date(Date.UTC(1799, 11, 31)))).toBe(false);
+        expect(solarplanets.isDatetimeWithinModel("jpl3000", new Date(Date.UTC(1799, 11, 31)))).toBe(true);
+    },
+
+    "can evaluate saturn at j2000 from the long-span model": () => {
+        // elements copied from jpl_catalog.json; expected state is approximately that of DE-series ephemerides
+        const saturn = {
+            "a_au": 9.54149883,
+            "da_au": -0.00003065,
+            "e": 0.05550825,
+            "de": -0.00032044,
+            "inc_deg": 2.49424102,
+            "dinc_sec": 16.270884,
+            "raan_deg": 113.63998702,
+            "draan_sec": -900.540072,
+            "lop_deg": 92.86136063,
+            "dlop_sec": 1950.461208,
+            "ml_deg": 50.07571329,
+            "dml_sec": 4399613.810064,
+            "b_deg": 0.00025899,
+            "c_deg": -0.13434469,
+            "s_deg": 0.87320147,
+            "f_deg": 38.35125000
+        };
+        const dt = new Date(Date.UTC(2000, 0, 1, 12, 0, 0));
+        const catalogs = { "jpl3000": { "saturn": saturn } };
+        const [rHcec_km] = solarplanets.getRvFromModelDatetime(catalogs, "saturn", dt);
+        const rExpected_au = [6.406, 6.570, -0.369];
+        for (let i = 0; i < 3; i += 1) {
+            expect(Math.abs(rHcec_km[i] / 1.49597871e8 - rExpected_au[i])).toBeLessThan(0.05);
+        }
+    },
+
+    "can validate element records": () => {
+        const mars = {
+            "a_au": 1.52366231,
+            "da_au": -0.00007221,
+            "e": 0.09341233,
+            "de": 0.00011902,
+            "inc_deg": 1.85061,
+            "dinc_sec": -25.47,
+            "raan_deg": 49.57854,
+            "draan_sec": -1020.19,
+            "lop_deg": 336.04084,
+            "dlop_sec": 1560.78,
+            "ml_deg": 355.45332,
+            "dml_sec": 68905103.78
+        };
+        expect(solarplanets.validateElements(mars)).toBe(mars);
+        const { dml_sec, ...incomplete } = mars;
+        expect(() => solarplanets.validateElements(incomplete)).toThrowError(solarplanets.InvalidElementsError, /dml_sec/);
+        expect(() => solarplanets.validateElements({ ...mars, "c_deg": "0.06" })).toThrowError(solarplanets.InvalidElementsError, /c_deg/);
+        expect(() => solarplanets.getRvFromElementsDatetime(incomplete, new Date())).toThrowError(solarplanets.InvalidElementsError);
+        expect(() => solarplanets.validateElements({ ...incomplete, "e": NaN })).toThrowMatching(error => {
+            return error instanceof solarplanets.SolarPlanetsError && error.name === "InvalidElementsError" && error.fields.join() === "e,dml_sec";
+        });
+    },
+
+    "can check model validity spans": () => {
+        const dt = new Date(Date.UTC(2000, 0, 1, 12, 0, 0));
+        dt.setUTCFullYear(40000);
+        spyOn(console, "warn");
+        expect(solarplanets.checkModelValidity("standish", dt, "off")).toBe(true);
+        expect(console.warn).not.toHaveBeenCalled();
+        expect(solarplanets.checkModelValidity("standish", dt, "warn")).toBe(false);
+        expect(console.warn).toHaveBeenCalledTimes(1);
+
+        // "once" warns for the first out-of-span datetime of each model, until the warnings are reset
+        solarplanets.resetModelWarnings();
+        [1, 2, 3].forEach(() => expect(solarplanets.checkModelValidity("jpl3000", dt)).toBe(false));
+        expect(console.warn).toHaveBeenCalledTimes(2);
+        solarplanets.resetModelWarnings();
+        expect(solarplanets.checkModelValidity("jpl3000", dt, "once")).toBe(false);
+        expect(console.warn).toHaveBeenCalledTimes(3);
+        expect(() => solarplanets.checkModelValidity("standish", dt, "strcit")).toThrowError(solarplanets.InvalidArgumentError);
+        expect(solarplanets.checkModelValidity(undefined, dt, "strict")).toBe(true);
+        expect(() => solarplanets.checkModelValidity("standish", dt, "strict")).toThrowError(solarplanets.OutOfValidityError);
+        expect(() => solarplanets.checkModelValidity("ptolemy", dt, "strict")).toThrowError(solarplanets.UnknownModelError);
+        expect(solarplanets.checkModelValidity("standish", new Date(Date.UTC(2020, 0, 1)), "strict")).toBe(true);
+    },
+
+    "can enforce validity spans when evaluating states": () => {
+        const earth = {
+            "a_au": 1.00000011,
+            "da_au": -0.00000005,
+            "e": 0.01671022,
+            "de": -0.00003804,
+            "inc_deg": -0.00005,
+            "dinc_sec": 46.94,
+            "raan_deg": -11.26064,
+            "draan_sec": -18228.25,
+            "lop_deg": 102.94719,
+            "dlop_sec": 1198.28,
+            "ml_deg": 100.46435,
+            "dml_sec": 129597740.63
+        };
+        const dt = new Date(Date.UTC(2500, 0, 1));
+        expect(() => solarplanets.getRvFromElementsDatetime({ ...earth, "model": "standish" }, dt, { "validity": "strict" })).toThrowError(solarplanets.OutOfValidityError);
+        expect(() => solarplanets.getRvFromElementsDatetime(earth, dt, { "model": "standish", "validity": "strict" })).toThrowError(solarplanets.OutOfValidityError);
+        expect(() => solarplanets.getRvFromElementsDatetime({ ...earth, "model": "standish" }, dt, { "model": "jpl3000", "validity": "strict" })).not.toThrow();
+        expect(() => solarplanets.getRvFromElementsDatetime(earth, dt, { "validity": "strict" })).not.toThrow();
+        expect(solarplanets.getModelFromElements({ ...earth, "model": "jpl3000" })).toEqual("jpl3000");
+        const catalogs = { "standish": { "earth": earth } };
+        expect(() => solarplanets.getRvFromModelDatetime(catalogs, "vulcan", new Date())).toThrowError(solarplanets.UnknownBodyError);
+        expect(() => solarplanets.getRvFromModelDatetime(catalogs, "earth", new Date(), "jpl3000")).toThrowError(solarplanets.UnknownModelError);
+    },
+
+    "can signal invalid eccentricities and non-convergence": () => {
+        expect(() => solarplanets.getEaFromMaE(1.0, 1.2)).toThrowError(solarplanets.InvalidEccentricityError);
+        expect(() => solarplanets.getHaFromMaE(1.0, 0.5)).toThrowError(solarplanets.InvalidEccentricityError);
+        expect(() => solarplanets.getTaFromMaE(1.0, -0.1)).toThrowError(solarplanets.InvalidEccentricityError);
+        expect(() => solarplanets.getEaFromMaE(NaN, 0.5)).toThrowError(solarplanets.ConvergenceError);
+        expect(() => solarplanets.getHaFromMaE(NaN, 1.5)).toThrowMatching(error => {
+            return error instanceof solarplanets.ConvergenceError && 1000 < error.iterations;
+        });
+    },
+
+    "can compute the j2000 obliquity of the ecliptic": () => {
+        const d2r = Math.PI / 180;
+        expect(solarplanets.getMeanObliquity(0)).toBeCloseTo(23.4392911 * d2r, 9);
+        expect(solarplanets.getMeanObliquity(1)).toBeLessThan(solarplanets.getMeanObliquity(0));
+    },
+
+    "can reproduce the 2003 close approach of mars": () => {
+        // the closest approach of 27 august 2003 (~9:51 UTC) was reported at 55.76 million km, at roughly 22h38.9m, -15d49m
+        const earth = {
+            "a_au": 1.00000011,
+            "da_au": -0.00000005,
+            "e": 0.01671022,
+            "de": -0.00003804,
+            "inc_deg": -0.00005,
+            "dinc_sec": 46.94,
+            "raan_deg": -11.26064,
+            "draan_sec": -18228.25,
+            "lop_deg": 102.94719,
+            "dlop_sec": 1198.28,
+            "ml_deg": 100.46435,
+            "dml_sec": 129597740.63
+        };
+        const mars = {
+            "a_au": 1.52366231,
+            "da_au": -0.00007221,
+            "e": 0.09341233,
+            "de": 0.00011902,
+            "inc_deg": 1.85061,
+            "dinc_sec": -25.47,
+            "raan_deg": 49.57854,
+            "draan_sec": -1020.19,
+            "lop_deg": 336.04084,
+            "dlop_sec": 1560.78,
+            "ml_deg": 355.45332,
+            "dml_sec": 68905103.78
+        };
+        const d2r = Math.PI / 180;
+        const dt = new Date(Date.UTC(2003, 8 - 1, 27, 9, 51, 0));
+        const actual = solarplanets.getRaDecFromElementsDatetime(mars, earth, dt);
+        expect(Math.abs(actual.range_km - 55.76e6) / 55.76e6).toBeLessThan(1e-3);
+        expect(Math.abs(actual.rangeRate_kmps)).toBeLessThan(0.05);
+        expect(actual.lightTime_s).toBeCloseTo(actual.range_km / 299792.458, 6);
+        expect(Math.abs(actual.ra_rad - (22 + 38.9 / 60) * 15 * d2r)).toBeLessThan(0.1 * d2r);
+        expect(Math.abs(actual.dec_rad - (-15 - 49 / 60) * d2r)).toBeLessThan(0.2 * d2r);
+        const aberrated = solarplanets.getRaDecFromElementsDatetime(mars, earth, dt, { "aberration": true });
+        const shift_rad = Math.hypot((aberrated.ra_rad - actual.ra_rad) * Math.cos(actual.dec_rad), aberrated.dec_rad - actual.dec_rad);
+        expect(shift_rad).toBeLessThan(20.5 / 3600 * d2r * 1.01);
+        expect(shift_rad).toBeGreaterThan(0);
+    },
+
+    "can rotate the ecliptic pole into the equatorial frame": () => {
+        const eps_rad = solarplanets.getMeanObliquity(0);
+        const actual = solarplanets.getMatVec(solarplanets.getQecliptic2equatorial(), [0, 0, 1]);
+        const expected = [0, -Math.sin(eps_rad), Math.cos(eps_rad)];
+        for (let i = 0; i < 3; i += 1) {
+            expect(actual[i]).toBeCloseTo(expected[i], 12);
+        }
+    },
+
+    "can resolve named and specified frames": () => {
+        expect(solarplanets.getFrameSpec("HCEQ").orientation).toEqual("equatorial");
+        expect(solarplanets.getFrameSpec({ "center": "mars", "orientation": "ecliptic" }).center).toEqual("mars");
+        expect(() => solarplanets.getFrameSpec("GCRF")).toThrowError(solarplanets.UnknownFrameError);
+        expect(() => solarplanets.getFrameSpec({ "center": "mars", "orientation": "galactic" })).toThrowError(solarplanets.UnknownFrameError);
+    },
+
+    "can transform states between frames and back": () => {
+        const catalog = {
+            "mars": {
+                "a_au": 1.52366231,
+                "da_au": -0.00007221,
+                "e": 0.09341233,
+                "de": 0.00011902,
+                "inc_deg": 1.85061,
+                "dinc_sec": -25.47,
+                "raan_deg": 49.57854,
+                "draan_sec": -1020.19,
+                "lop_deg": 336.04084,
+                "dlop_sec": 1560.78,
+                "ml_deg": 355.45332,
+                "dml_sec": 68905103.78
+            }
+        };
+        const dt = new Date(Date.UTC(2003, 8 - 1, 27, 12, 0, 0));
+        const r_km = [1.3559e8, -6.6803e7, 0];
+        const v_kmps = [12.680, 26.61, 0];
+        const marsEq = { "center": "mars", "orientation": "equatorial" };
+        const [rMars_km, vMars_kmps] = solarplanets.getRvInFrame(r_km, v_kmps, "HCEC", marsEq, dt, catalog);
+        const [rBack_km, vBack_kmps] = solarplanets.getRvInFrame(rMars_km, vMars_kmps, marsEq, "HCEC", dt, catalog);
+        for (let i = 0; i < 3; i += 1) {
+            expect(Math.abs(rBack_km[i] - r_km[i])).toBeLessThan(1e-3);
+            expect(Math.abs(vBack_kmps[i] - v_kmps[i])).toBeLessThan(1e-9);
+        }
+        const [rSelf_km, vSelf_kmps] = solarplanets.getRvFromElementsDatetime(catalog.mars, dt, { "frame": marsEq, "catalog": catalog });
+        expect(solarplanets.getVecNorm(rSelf_km)).toBeLessThan(1e-6);
+        expect(solarplanets.getVecNorm(vSelf_kmps)).toBeLessThan(1e-9);
+        expect(() => solarplanets.getRvInFrame(r_km, v_kmps, "HCEC", { "center": "vulcan", "orientation": "ecliptic" }, dt, catalog)).toThrowError(solarplanets.UnknownBodyError);
+    },
+
+    "can approximate the solar system barycenter": () => {
+        // a lone jupiter displaces the barycenter by about 1/1048 of its heliocentric distance
+        const catalog = {
+            "jupiter": {
+                "a_au": 5.20336301,
+                "da_au": 0.00060737,
+                "e": 0.04839266,
+                "de": -0.00012880,
+                "inc_deg": 1.30530,
+                "dinc_sec": -4.15,
+                "raan_deg": 100.55615,
+                "draan_sec": 1217.17,
+                "lop_deg": 14.75385,
+                "dlop_sec": 839.93,
+                "ml_deg": 34.40438,
+                "dml_sec": 10925078.35
+            }
+        };
+        const dt = new Date(Date.UTC(2000, 0, 1, 12, 0, 0));
+        const [rJupiter_km] = solarplanets.getRvFromElementsDatetime(catalog.jupiter, dt);
+        const [rSsb_km] = solarplanets.getCenterRvFromCatalogDatetime("ssb", catalog, dt);
+        for (let i = 0; i < 3; i += 1) {
+            expect(rSsb_km[i]).toBeCloseTo(rJupiter_km[i] / (1047.3486 + 1), 0);
+        }
+        const [rSun_km] = solarplanets.getRvInFrame([0, 0, 0], [0, 0, 0], "HCEC", "SSBEC", dt, catalog);
+        expect(solarplanets.getVecNorm(rSun_km)).toBeCloseTo(solarplanets.getVecNorm(rSsb_km), 3);
+
+        // the barycenter cannot be approximated without a catalog
+        expect(() => solarplanets.getCenterRvFromCatalogDatetime("ssb", undefined, dt)).toThrowError(solarplanets.UnknownBodyError);
+        expect(() => solarplanets.getRvFromElementsDatetime(catalog.jupiter, dt, { "frame": "SSBEC" })).toThrowError(solarplanets.UnknownBodyError);
+    },
+
+    "can look up leap seconds": () => {
+        expect(solarplanets.getTaiMinusUtc(solarplanets.getJdFromDate(new Date(Date.UTC(1960, 0, 1))))).toEqual(10);
+        expect(solarplanets.getTaiMinusUtc(solarplanets.getJdFromDate(new Date(Date.UTC(1990, 5, 1))))).toEqual(25);
+        expect(solarplanets.getTaiMinusUtc(solarplanets.getJdFromDate(new Date(Date.UTC(2016, 11, 31, 23, 59, 59))))).toEqual(36);
+        expect(solarplanets.getTaiMinusUtc(solarplanets.getJdFromDate(new Date(Date.UTC(2017, 0, 1))))).toEqual(37);
+    },
+
+    "can convert j2000 between time scales": () => {
+        // J2000 is 2000-01-01 12:00:00 TT, or 11:58:55.816 UTC
+        const jdUtc = solarplanets.getJdInTimeScale(2451545.0, "TT", "UTC");
+        expect((2451545.0 - jdUtc) * 86400).toBeCloseTo(64.184, 4);
+        expect(solarplanets.getJdInTimeScale(2451545.0, "TT", "TAI")).toBeCloseTo(2451545.0 - 32.184 / 86400, 9);
+        expect(Math.abs(solarplanets.getTdbMinusTt(2451545.0))).toBeLessThan(1.7e-3);
+        solarplanets.TIME_SCALES.forEach(scale => {
+            const jd = solarplanets.getJdInTimeScale(jdUtc, "UTC", scale);
+            expect(solarplanets.getJdInTimeScale(jd, scale, "UTC")).toBeCloseTo(jdUtc, 9);
+        });
+        expect(() => solarplanets.getJdInTimeScale(2451545.0, "TT", "GPS")).toThrowError(solarplanets.InvalidEpochError);
+    },
+
+    "can interpret epochs in several forms": () => {
+        expect(solarplanets.getJdFromEpoch("2004-05-12T14:45:30Z")).toBeCloseTo(2453138.115, 3);
+        expect(solarplanets.getJdFromEpoch("2004-05-12T16:45:30+02:00")).toBeCloseTo(solarplanets.getJdFromEpoch("2004-05-12T14:45:30Z"), 9);
+        expect(solarplanets.getJdFromEpoch("2004-05-12")).toEqual(2453137.5);
+        expect(solarplanets.getJdFromEpoch({ "mjd": 51544.5 })).toEqual(2451545.0);
+        expect(solarplanets.getJdFromEpoch({ "jd": 2451545.0 })).toEqual(2451545.0);
+        const dt_s = (solarplanets.getJdFromEpoch("2000-01-01T12:00:00.0005Z") - solarplanets.getJdFromEpoch("2000-01-01T12:00:00Z")) * 86400;
+        expect(dt_s).toBeCloseTo(0.0005, 4);
+        expect(() => solarplanets.getJdFromEpoch("next tuesday")).toThrowError(solarplanets.InvalidEpochError);
+    },
+
+    "can evaluate states from any epoch and time scale": () => {
+        const earth = {
+            "a_au": 1.00000011,
+            "da_au": -0.00000005,
+            "e": 0.01671022,
+            "de": -0.00003804,
+            "inc_deg": -0.00005,
+            "dinc_sec": 46.94,
+            "raan_deg": -11.26064,
+            "draan_sec": -18228.25,
+            "lop_deg": 102.94719,
+            "dlop_sec": 1198.28,
+            "ml_deg": 100.46435,
+            "dml_sec": 129597740.63
+        };
+        const [rDate_km] = solarplanets.getRvFromElementsDatetime(earth, new Date(Date.UTC(2003, 8 - 1, 27, 12, 0, 0)));
+        const [rIso_km] = solarplanets.getRvFromElementsDatetime(earth, "2003-08-27T12:00:00Z");
+        const [rMjd_km] = solarplanets.getRvFromElementsDatetime(earth, { "mjd": 52878.5 });
+        const [rTdb_km, vTdb_kmps] = solarplanets.getRvFromElementsDatetime(earth, 2452879.0, { "timeScale": "TDB" });
+        for (let i = 0; i < 3; i += 1) {
+            expect(rIso_km[i]).toBeCloseTo(rDate_km[i], 3);
+            expect(rMjd_km[i]).toBeCloseTo(rDate_km[i], 3);
+        }
+        // 12:00 UTC is 64.184 seconds later (in TDB) than 12:00 TDB
+        const dtScale_s = 32 + 32.184;
+        for (let i = 0; i < 2; i += 1) {
+            expect(Math.abs(rDate_km[i] - (rTdb_km[i] + vTdb_kmps[i] * dtScale_s))).toBeLessThan(1);
+        }
+    },
+
+    "can reproduce example 5.2 lambert solution": () => {
+        const [v1_kmps, v2_kmps] = solarplanets.solveLambert([5000, 10000, 2100], [-14600, 2500, 7000], 3600, 398600);
+        const v1Expected_kmps = [-5.9925, 1.9254, 3.2456];
+        const v2Expected_kmps = [-3.3125, -4.1966, -0.38529];
+        for (let i = 0; i < 3; i += 1) {
+            expect(v1_kmps[i]).toBeCloseTo(v1Expected_kmps[i], 3);
+            expect(v2_kmps[i]).toBeCloseTo(v2Expected_kmps[i], 3);
+        }
+    },
+
+    "can solve retrograde and multi-revolution lambert problems": () => {
+        const mu_km3ps2 = 398600;
+        const r1_km = [7000, 0, 0];
+        const r2_km = [0, 8000, 100];
+        const [v1Retro_kmps] = solarplanets.solveLambert(r1_km, r2_km, 3000, mu_km3ps2, { "prograde": false });
+        expect(solarplanets.getCrossProd(r1_km, v1Retro_kmps)[2]).toBeLessThan(0);
+        ["left", "right"].forEach(branch => {
+            const [v1_kmps, v2_kmps] = solarplanets.solveLambert(r1_km, r2_km, 30000, mu_km3ps2, { "multiRev": 1, "branch": branch });
+            const [r_km, v_kmps] = solarplanets.getRvFromRvDt(r1_km, v1_kmps, 30000, mu_km3ps2);
+            for (let i = 0; i < 3; i += 1) {
+                expect(Math.abs(r_km[i] - r2_km[i])).toBeLessThan(1e-3);
+                expect(Math.abs(v_kmps[i] - v2_kmps[i])).toBeLessThan(1e-6);
+            }
+        });
+        expect(() => solarplanets.solveLambert(r1_km, r2_km, 3000, mu_km3ps2, { "multiRev": 1 })).toThrowError(solarplanets.NoSolutionError);
+    },
+
+    "can reject degenerate lambert problems": () => {
+        const r1_km = [1.5e8, 0, 0];
+        expect(() => solarplanets.solveLambert(r1_km, [-2.2e8, 0, 0], 2e7)).toThrowError(solarplanets.NoSolutionError);
+        expect(() => solarplanets.solveLambert(r1_km, [2.2e8, 0, 0], 2e7)).toThrowError(solarplanets.NoSolutionError);
+        expect(() => solarplanets.solveLambert(r1_km, [0, 2.2e8, 0], -2e7)).toThrowError(solarplanets.InvalidArgumentError);
+        expect(() => solarplanets.solveLambert(r1_km, [0, 2.2e8, 0], 0)).toThrowError(solarplanets.InvalidArgumentError);
+        expect(() => solarplanets.solveLambert(r1_km, [0, 2.2e8, 0], NaN)).toThrowError(solarplanets.InvalidArgumentError);
+    },
+
+    "can reproduce example 8.8 earth-to-mars transfer": () => {
+        const earth = {
+            "a_au": 1.00000011,
+            "da_au": -0.00000005,
+            "e": 0.01671022,
+            "de": -0.00003804,
+            "inc_deg": -0.00005,
+            "dinc_sec": 46.94,
+            "raan_deg": -11.26064,
+            "draan_sec": -18228.25,
+            "lop_deg": 102.94719,
+            "dlop_sec": 1198.28,
+            "ml_deg": 100.46435,
+            "dml_sec": 129597740.63
+        };
+        const mars = {
+            "a_au": 1.52366231,
+            "da_au": -0.00007221,
+            "e": 0.09341233,
+            "de": 0.00011902,
+            "inc_deg": 1.85061,
+            "dinc_sec": -25.47,
+            "raan_deg": 49.57854,
+            "draan_sec": -1020.19,
+            "lop_deg": 336.04084,
+            "dlop_sec": 1560.78,
+            "ml_deg": 355.45332,
+            "dml_sec": 68905103.78
+        };
+        const dtDepart = new Date(Date.UTC(1996, 11 - 1, 7, 0, 0, 0));
+        const dtArrive = new Date(Date.UTC(1997, 9 - 1, 12, 0, 0, 0));
+        const transfer = solarplanets.getTransferFromElementsDatetimes(earth, mars, dtDepart, dtArrive);
+        expect(transfer.tof_s / 86400).toBeCloseTo(309, 4);
+        expect(solarplanets.getVecNorm(transfer.vInfDepart_kmps)).toBeCloseTo(3.1651, 2);
+        expect(solarplanets.getVecNorm(transfer.vInfArrive_kmps)).toBeCloseTo(2.8852, 2);
+        expect(transfer.c3_km2ps2).toBeCloseTo(3.1651 * 3.1651, 1);
+        expect(() => solarplanets.getTransferFromElementsDatetimes(earth, mars, dtArrive, dtDepart)).toThrowError(solarplanets.InvalidArgumentError);
+    },
+
+    "can generate julian date ranges": () => {
+        const jds = solarplanets.getJdRange(2451545.0, 2451548.0, 1);
+        expect(jds).toEqual([2451545.0, 2451546.0, 2451547.0, 2451548.0]);
+        expect(solarplanets.getJdRange("2000-01-01", "2000-01-02T12:00:00Z", 1).length).toEqual(2);
+        [0, -1, NaN, Infinity, undefined].forEach(step_d => expect(() => solarplanets.getJdRange(2451545.0, 2451548.0, step_d)).toThrowError(solarplanets.InvalidArgumentError));
+    },
+
+    "can sweep a porkchop grid": () => {
+        const earth = {
+            "a_au": 1.00000011,
+            "da_au": -0.00000005,
+            "e": 0.01671022,
+            "de": -0.00003804,
+            "inc_deg": -0.00005,
+            "dinc_sec": 46.94,
+            "raan_deg": -11.26064,
+            "draan_sec": -18228.25,
+            "lop_deg": 102.94719,
+            "dlop_sec": 1198.28,
+            "ml_deg": 100.46435,
+            "dml_sec": 129597740.63
+        };
+        const mars = {
+            "a_au": 1.52366231,
+            "da_au": -0.00007221,
+            "e": 0.09341233,
+            "de": 0.00011902,
+            "inc_deg": 1.85061,
+            "dinc_sec": -25.47,
+            "raan_deg": 49.57854,
+            "draan_sec": -1020.19,
+            "lop_deg": 336.04084,
+            "dlop_sec": 1560.78,
+            "ml_deg": 355.45332,
+            "dml_sec": 68905103.78
+        };
+        const departures = solarplanets.getJdRange("1996-11-05T00:00:00Z", "1996-11-09T00:00:00Z", 1);
+        const arrivals = ["1996-11-07T00:00:00Z", "1997-09-12T00:00:00Z"];
+        const porkchop = solarplanets.getPorkchopFromElements(earth, mars, departures, arrivals);
+        expect(porkchop.c3_km2ps2.length).toEqual(5);
+        expect(porkchop.c3_km2ps2[0].length).toEqual(2);
+        expect(porkchop.tof_d[2][1]).toBeCloseTo(309, 4);
+        expect(Number.isNaN(porkchop.c3_km2ps2[4][0])).toBe(true);
+        const transfer = solarplanets.getTransferFromElementsDatetimes(earth, mars, "1996-11-07T00:00:00Z", "1997-09-12T00:00:00Z");
+        expect(porkchop.c3_km2ps2[2][1]).toBeCloseTo(transfer.c3_km2ps2, 9);
+        expect(porkchop.vInfArrive_kmps[2][1]).toBeCloseTo(solarplanets.getVecNorm(transfer.vInfArrive_kmps), 9);
+
+        // serialized forms
+        const json = JSON.parse(solarplanets.getPorkchopJson(porkchop));
+        expect(json.c3_km2ps2[4][0]).toBeNull();
+        const rows = solarplanets.getPorkchopCsv(porkchop).trim().split("\n");
+        expect(rows.length).toEqual(1 + 5 * 2);
+        expect(rows[0]).toEqual("departure_jd_tdb,arrival_jd_tdb,tof_d,c3_km2ps2,vinf_arrive_kmps");
+        expect(rows[1 + 4 * 2].split(",")[3]).toEqual("");
+    },
+
+    "can evaluate states in batch": () => {
+        const catalog = {
+            "mercury": {
+                "a_au": 0.38709893,
+                "da_au": 0.00000066,
+                "e": 0.20563069,
+                "de": 0.00002527,
+                "inc_deg": 7.00487,
+                "dinc_sec": -23.51,
+                "raan_deg": 48.33167,
+                "draan_sec": -446.30,
+                "lop_deg": 77.4545,
+                "dlop_sec": 573.57,
+                "ml_deg": 252.25084,
+                "dml_sec": 538101628.29
+            },
+            "jupiter": {
+                "a_au": 5.20248019,
+                "da_au": -0.00002864,
+                "e": 0.04853590,
+                "de": 0.00018026,
+                "inc_deg": 1.29861416,
+                "dinc_sec": -11.617164,
+                "raan_deg": 100.29282654,
+                "draan_sec": 468.886284,
+                "lop_deg": 14.27495244,
+                "dlop_sec": 655.171056,
+                "ml_deg": 34.33479152,
+                "dml_sec": 10925653.383252,
+                "b_deg": -0.00012452,
+                "c_deg": 0.06064060,
+                "s_deg": -0.35635438,
+                "f_deg": 38.35125000
+            }
+        };
+        const series = solarplanets.getRvBatchFromCatalog(catalog, { "start": "2020-01-01", "stop": "2020-12-31", "step_d": 7 });
+        expect(series.jd.length).toEqual(53);
+        Object.keys(catalog).forEach(body => {
+            expect(series.bodies[body].r_km.length).toEqual(3 * 53);
+            for (let k = 0; k < series.jd.length; k += 13) {
+                const [r_km, v_kmps] = solarplanets.getRvFromElementsDatetime(catalog[body], series.jd[k]);
+                for (let i = 0; i < 3; i += 1) {
+                    expect(series.bodies[body].r_km[3 * k + i]).toBeCloseTo(r_km[i], 3);
+                    expect(series.bodies[body].v_kmps[3 * k + i]).toBeCloseTo(v_kmps[i], 9);
+                }
+            }
+        });
+    },
+
+    "can fill preallocated state arrays": () => {
+        const hyperbolic = {
+            "a_au": -2.0,
+            "da_au": 0,
+            "e": 1.5,
+            "de": 0,
+            "inc_deg": 10,
+            "dinc_sec": 0,
+            "raan_deg": 20,
+            "draan_sec": 0,
+            "lop_deg": 50,
+            "dlop_sec": 0,
+            "ml_deg": 60,
+            "dml_sec": 0
+        };
+        const jds = new Float64Array([2451545.0, 2451645.0]);
+        const rOut_km = new Float64Array(6);
+        const vOut_kmps = new Float64Array(6);
+        const [r_km] = solarplanets.fillRvFromElements(hyperbolic, jds, rOut_km, vOut_kmps);
+        expect(r_km).toBe(rOut_km);
+        const [rExpected_km] = solarplanets.getRvFromElementsDatetime(hyperbolic, jds[1]);
+        for (let i = 0; i < 3; i += 1) {
+            expect(rOut_km[3 + i]).toBeCloseTo(rExpected_km[i], 3);
+        }
+        const { a_au: _, ...parabolic } = { ...hyperbolic, "p_au": 2, "e": 1 };
+        solarplanets.fillRvFromElements(parabolic, jds, rOut_km, vOut_kmps);
+        const [rParabolic_km] = solarplanets.getRvFromElementsDatetime(parabolic, jds[1]);
+        for (let i = 0; i < 3; i += 1) {
+            expect(rOut_km[3 + i]).toBeCloseTo(rParabolic_km[i], 3);
+        }
+        expect(() => solarplanets.fillRvFromElements({}, jds, rOut_km, vOut_kmps)).toThrowError(solarplanets.InvalidElementsError);
+    },
+
+    "can reproduce meeus example 47.a for the moon": () => {
+        // 1992 April 12, 0h TD; apparent longitude of date 133.162655 deg, latitude -3.229126 deg, distance 368409.7 km
+        const r2d = 180 / Math.PI;
+        const [r_km, v_kmps] = solarplanets.getMoonRvFromDatetime(2448724.5, { "timeScale": "TDB" });
+        const r = solarplanets.getVecNorm(r_km);
+        const T0 = solarplanets.getJulianCenturies(2448724.5);
+        expect(Math.atan2(r_km[1], r_km[0]) * r2d + 5029.0966 / 3600 * T0).toBeCloseTo(133.162655, 0);
+        expect(Math.asin(r_km[2] / r) * r2d).toBeCloseTo(-3.229126, 0);
+        expect(Math.abs(r - 368409.7)).toBeLessThan(1e3);
+
+        // velocity should match a finite difference of the series
+        const [r1_km] = solarplanets.getMoonRvFromDatetime(2448724.5 + 1 / 86400, { "timeScale": "TDB" });
+        for (let i = 0; i < 3; i += 1) {
+            expect(r1_km[i] - r_km[i]).toBeCloseTo(v_kmps[i], 4);
+        }
+    },
+
+    "can evaluate satellites from mean elements": () => {
+        const io = {
+            "parent": "jupiter",
+            "frame": "laplace",
+            "a_km": 421800,
+            "e": 0.004,
+            "inc_deg": 0.0,
+            "raan_deg": 0.0,
+            "aop_deg": 49.1,
+            "ma_deg": 330.9,
+            "n_degpd": 203.4889538,
+            "paop_yr": 0,
+            "praan_yr": 7.42,
+            "poleRa_deg": 268.057,
+            "poleDec_deg": 64.495
+        };
+        const [r_km, v_kmps] = solarplanets.getSatelliteRvFromElementsDatetime(io, "2026-10-19T00:00:00Z");
+        const r = solarplanets.getVecNorm(r_km);
+        expect(r).toBeGreaterThan(421800 * (1 - 0.004) - 1);
+        expect(r).toBeLessThan(421800 * (1 + 0.004) + 1);
+
+        // an orbit in the laplace plane should have its angular momentum along the laplace pole
+        const d2r = Math.PI / 180;
+        const hEq = solarplanets.getMatVec(solarplanets.getQecliptic2equatorial(), solarplanets.getCrossProd(r_km, v_kmps));
+        const h = solarplanets.getVecNorm(hEq);
+        expect(hEq[0] / h).toBeCloseTo(Math.cos(64.495 * d2r) * Math.cos(268.057 * d2r), 9);
+        expect(hEq[1] / h).toBeCloseTo(Math.cos(64.495 * d2r) * Math.sin(268.057 * d2r), 9);
+        expect(hEq[2] / h).toBeCloseTo(Math.sin(64.495 * d2r), 9);
+
+        // vis-viva with jupiter's gravitational parameter
+        const mu_km3ps2 = solarplanets.BODIES.jupiter.mu_km3ps2;
+        const v = solarplanets.getVecNorm(v_kmps);
+        expect(v * v / 2 - mu_km3ps2 / r).toBeCloseTo(-mu_km3ps2 / (2 * 421800), 6);
+
+        expect(() => solarplanets.getSatelliteRvFromElementsDatetime({ ...io, "parent": "vulcan" }, 2451545.0)).toThrowError(solarplanets.UnknownBodyError);
+        expect(() => solarplanets.getSatelliteRvFromElementsDatetime({ ...io, "frame": "galactic" }, 2451545.0)).toThrowError(solarplanets.UnknownFrameError);
+        expect(() => solarplanets.getSatelliteRvFromElementsDatetime({ ...io, "a_km": undefined }, 2451545.0)).toThrowError(solarplanets.InvalidElementsError, /a_km/);
+    },
+
+    "can compose satellite states into heliocentric coordinates": () => {
+        const catalog = {
+            "earth": {
+                "a_au": 1.00000011,
+                "da_au": -0.00000005,
+                "e": 0.01671022,
+                "de": -0.00003804,
+                "inc_deg": 0.00005,
+                "dinc_sec": -46.94,
+                "raan_deg": -11.26064,
+                "draan_sec": -18228.25,
+                "lop_deg": 102.94719,
+                "dlop_sec": 1198.28,
+                "ml_deg": 100.46435,
+                "dml_sec": 129597740.63
+            }
+        };
+        const dt = new Date(Date.UTC(2026, 9, 19));
+        const [rEarth_km, vEarth_kmps] = solarplanets.getRvFromElementsDatetime(catalog.earth, dt);
+        const [rMoon_km, vMoon_kmps] = solarplanets.getMoonRvFromDatetime(dt);
+        const [rHcec_km, vHcec_kmps] = solarplanets.getMoonRvFromDatetime(dt, { "frame": "HCEC", "catalog": catalog });
+        for (let i = 0; i < 3; i += 1) {
+            expect(rHcec_km[i]).toBeCloseTo(rEarth_km[i] + rMoon_km[i], 3);
+            expect(vHcec_kmps[i]).toBeCloseTo(vEarth_kmps[i] + vMoon_kmps[i], 9);
+        }
+        expect(solarplanets.getBodySpec("moon").parent).toEqual("earth");
+        expect(() => solarplanets.getBodySpec("vulcan")).toThrowError(solarplanets.UnknownBodyError);
+    },
+
+    "can parse MPCORB records": () => {
+        const line = "00001    3.34  0.12 K205V 162.68631   73.73161   80.28698   10.58862  0.0775571  0.21406009   2.7676569  0 MPO492748  6751 115 1801-2019 0.60 M-v 30h Williams   0000      (1) Ceres              20190915";
+        const text = "MINOR PLANET CENTER ORBIT DATABASE (MPCORB)\n\nDes'n     H     G   Epoch     M        Peri.      Node       Incl.       e            n           a        Reference #Obs #Opp    Arc    rms  Perts   Computer\n----------------------------------------------------------------------------------------------------------------------------------------------------------------\n" + line + "\n\n";
+        const [ceres] = solarplanets.getOsculatingElementsFromMpcorb(text);
+        expect(ceres.name).toEqual("(1) Ceres");
+        expect(ceres.epoch_jd).toBeCloseTo(2459000.5, 6);
+        expect(ceres.a_au).toEqual(2.7676569);
+        expect(ceres.ma_deg).toEqual(162.68631);
+        expect(ceres.H).toEqual(3.34);
+
+        // propagation to the record's own epoch should recover its elements
+        const [r_km, v_kmps] = solarplanets.getRvFromOsculatingElementsDatetime(ceres, ceres.epoch_jd, { "timeScale": "TDB" });
+        const recovered = solarplanets.getElementsFromRv(r_km, v_kmps, solarplanets.BODIES.sun.mu_km3ps2);
+        expect(recovered.e).toBeCloseTo(0.0775571, 9);
+        expect(recovered.raan_deg).toBeCloseTo(80.28698, 6);
+        expect(recovered.aop_deg).toBeCloseTo(73.73161, 6);
+        expect(recovered.ma_deg).toBeCloseTo(162.68631, 6);
+
+        expect(["00001", "A0001", "~0000", "K07Tf8A", "J95X00A", "PLS2040"].map(solarplanets.getDesignationFromMpcPacked)).toEqual(["1", "100001", "620000", "2007 TA418", "1995 XA", "PLS2040"]);
+        expect(() => solarplanets.getOsculatingElementsFromMpcLine(line.slice(0, 60))).toThrowError(solarplanets.InvalidElementsError);
+    },
+
+    "can parse SBDB JSON for comets": () => {
+        const halley = {
+            "object": { "fullname": "1P/Halley" },
+            "orbit": {
+                "epoch": "2449400.5",
+                "elements": [
+                    { "name": "e", "value": ".9671429085" },
+                    { "name": "q", "value": ".5859781115" },
+                    { "name": "i", "value": "162.2626906" },
+                    { "name": "om", "value": "58.42008098" },
+                    { "name": "w", "value": "111.3324851" },
+                    { "name": "tp", "value": "2446467.395317050925" }
+                ]
+            }
+        };
+        const [comet] = solarplanets.getOsculatingElementsFromSbdbJson(JSON.stringify(halley));
+        expect(comet.name).toEqual("1P/Halley");
+        expect(comet.a_au).toBeCloseTo(17.834, 3);
+
+        // perihelion distance is reached at tp, and again one period later
+        const au2km = solarplanets.AU_KM;
+        const P_d = 2 * Math.PI * Math.sqrt(Math.pow(comet.a_au * au2km, 3) / solarplanets.BODIES.sun.mu_km3ps2) / 86400;
+        [0, P_d].forEach(dt_d => {
+            const [r_km] = solarplanets.getRvFromOsculatingElementsDatetime(comet, comet.tp_jd + dt_d, { "timeScale": "TDB" });
+            expect(solarplanets.getVecNorm(r_km) / au2km).toBeCloseTo(0.5859781115, 6);
+        });
+        const query = {
+            "fields": ["full_name", "epoch", "e", "q", "i", "om", "w", "tp"],
+            "data": [["1P/Halley", "2449400.5", ".9671429085", ".5859781115", "162.2626906", "58.42008098", "111.3324851", "2446467.395317050925"]]
+        };
+        expect(solarplanets.getOsculatingElementsFromSbdbJson(query)).toEqual([comet]);
+        expect(() => solarplanets.getOsculatingElementsFromSbdbJson({})).toThrowError(solarplanets.InvalidElementsError);
+    },
+
+    "can parse SBDB CSV for hyperbolic orbits": () => {
+        const csv = "full_name,epoch,e,q,i,om,w,tp\n\"1I/'Oumuamua (A/2017 U1)\",2458080.5,1.201133796,.2558278,122.7417,24.5969,241.8105,2458006.007\n";
+        const [oumuamua] = solarplanets.getOsculatingElementsFromSbdbCsv(csv);
+        expect(oumuamua.name).toEqual("1I/'Oumuamua (A/2017 U1)");
+        expect(oumuamua.a_au).toBeLessThan(0);
+
+        // a century after perihelion, speed approaches v-infinity
+        const mu_km3ps2 = solarplanets.BODIES.sun.mu_km3ps2;
+        const vInf_kmps = Math.sqrt(-mu_km3ps2 / (oumuamua.a_au * 1.49597871e8));
+        const [, v_kmps] = solarplanets.getRvFromOsculatingElementsDatetime(oumuamua, oumuamua.tp_jd + 36525, { "timeScale": "TDB" });
+        expect(solarplanets.getVecNorm(v_kmps)).toBeCloseTo(vInf_kmps, 0);
+
+        // parabolic records are propagated by barker's equation, and need a time of perihelion
+        const parabolic = { ...oumuamua, "e": 1 };
+        delete parabolic.a_au;
+        const [r_km] = solarplanets.getRvFromOsculatingElementsDatetime(parabolic, parabolic.tp_jd, { "timeScale": "TDB" });
+        expect(solarplanets.getVecNorm(r_km) / 1.49597871e8).toBeCloseTo(0.2558278, 9);
+        delete parabolic.tp_jd;
+        expect(() => solarplanets.getRvFromOsculatingElementsDatetime(parabolic, 2458006.007)).toThrowError(solarplanets.InvalidElementsError, /perihelion/);
+        expect(() => solarplanets.getOsculatingElementsFromSbdbCsv("full_name,epoch,e,q,i,om,w\nX,2458080.5,0.1,1,0,0,0\n")).toThrowError(solarplanets.InvalidElementsError);
+    },
+
+    "can orient bodies with IAU rotation models": () => {
+        const r2d = 180 / Math.PI;
+
+        // the body-fixed z axis should point along the pole, in either orientation
+        const dt = "2026-10-19T00:00:00Z";
+        const { ra_rad, dec_rad } = solarplanets.getRotationFromBodyDatetime("mars", dt);
+        const pole = [Math.cos(dec_rad) * Math.cos(ra_rad), Math.cos(dec_rad) * Math.sin(ra_rad), Math.sin(dec_rad)];
+        const QbfEq = solarplanets.getQbodyfixed2inertial("mars", dt, { "orientation": "equatorial" });
+        const QbfEc = solarplanets.getQbodyfixed2inertial("mars", dt);
+        const zEq = solarplanets.getMatVec(QbfEq, [0, 0, 1]);
+        const zEc = solarplanets.getMatVec(QbfEc, [0, 0, 1]);
+        const zEcEq = solarplanets.getMatVec(solarplanets.getQecliptic2equatorial(), zEc);
+        for (let i = 0; i < 3; i += 1) {
+            expect(zEq[i]).toBeCloseTo(pole[i], 12);
+            expect(zEcEq[i]).toBeCloseTo(pole[i], 12);
+        }
+
+        // earth's prime meridian at J2000 lies at W = 190.147 degrees from the node at 90 degrees right ascension
+        const xEq = solarplanets.getMatVec(solarplanets.getQbodyfixed2inertial("earth", 2451545.0, { "orientation": "equatorial", "timeScale": "TDB" }), [1, 0, 0]);
+        expect(solarplanets.posmod(Math.atan2(xEq[1], xEq[0]) * r2d, 360)).toBeCloseTo(280.147, 6);
+        expect(() => solarplanets.getRotationFromBodyDatetime("vulcan", dt)).toThrowError(solarplanets.UnknownBodyError);
+    },
+
+    "can compute sub-solar and sub-earth points": () => {
+        const earth = {
+            "a_au": 1.00000011,
+            "da_au": -0.00000005,
+            "e": 0.01671022,
+            "de": -0.00003804,
+            "inc_deg": 0.00005,
+            "dinc_sec": -46.94,
+            "raan_deg": -11.26064,
+            "draan_sec": -18228.25,
+            "lop_deg": 102.94719,
+            "dlop_sec": 1198.28,
+            "ml_deg": 100.46435,
+            "dml_sec": 129597740.63
+        };
+        const r2d = 180 / Math.PI;
+
+        // near the june solstice, the sun stands over the tropic of cancer, and over greenwich at noon (to within the equation of time)
+        const dt = "2026-06-21T12:00:00Z";
+        const [rEarth_km] = solarplanets.getRvFromElementsDatetime(earth, dt);
+        const subSolar = solarplanets.getLatLonFromVectorBodyDatetime(rEarth_km.map(ri => -ri), "earth", dt);
+        expect(subSolar.lat_rad * r2d).toBeCloseTo(23.44, 1);
+        expect(Math.abs(subSolar.lon_rad * r2d)).toBeLessThan(1);
+
+        // the moon keeps the same face toward earth, to within its librations
+        const [rMoon_km] = solarplanets.getMoonRvFromDatetime(dt);
+        const subEarth = solarplanets.getLatLonFromVectorBodyDatetime(rMoon_km.map(ri => -ri), "moon", dt);
+        expect(Math.abs(subEarth.lat_rad * r2d)).toBeLessThan(8);
+        expect(Math.abs(solarplanets.posmod(subEarth.lon_rad * r2d + 180, 360) - 180)).toBeLessThan(9);
+        expect(solarplanets.BODIES.jupiter.polarRadius_km).toBeLessThan(solarplanets.BODIES.jupiter.radius_km);
+    },
+
+    "can find roots of sampled functions": () => {
+        const roots = solarplanets.getRootsFromFunction(Math.sin, 1, 10, 0.5, 1e-9);
+        expect(roots.length).toEqual(3);
+        [Math.PI, 2 * Math.PI, 3 * Math.PI].forEach((x, i) => {
+            expect(roots[i].x).toBeCloseTo(x, 8);
+            expect(roots[i].isRising).toEqual(i % 2 === 1);
+        });
+    },
+
+    "can find apsides, nodes, and oppositions": () => {
+        const earth = {
+            "a_au": 1.00000011,
+            "da_au": -0.00000005,
+            "e": 0.01671022,
+            "de": -0.00003804,
+            "inc_deg": -0.00005,
+            "dinc_sec": 46.94,
+            "raan_deg": -11.26064,
+            "draan_sec": -18228.25,
+            "lop_deg": 102.94719,
+            "dlop_sec": 1198.28,
+            "ml_deg": 100.46435,
+            "dml_sec": 129597740.63
+        };
+        const mars = {
+            "a_au": 1.52366231,
+            "da_au": -0.00007221,
+            "e": 0.09341233,
+            "de": 0.00011902,
+            "inc_deg": 1.85061,
+            "dinc_sec": -25.47,
+            "raan_deg": 49.57854,
+            "draan_sec": -1020.19,
+            "lop_deg": 336.04084,
+            "dlop_sec": 1560.78,
+            "ml_deg": 355.45332,
+            "dml_sec": 68905103.78
+        };
+
+        // earth reached perihelion on 2026 January 3
+        const apsides = solarplanets.getApsisEventsFromElements(earth, "2025-06-01", "2026-06-01");
+        expect(apsides.map(event => event.type)).toEqual(["aphelion", "perihelion"]);
+        expect(Math.abs(apsides[1].jd - solarplanets.getJdFromEpoch("2026-01-03T17:16:00Z"))).toBeLessThan(1);
+
+        // mars was at opposition on 2025 January 16, and will be again on 2027 February 19
+        const conjunctions = solarplanets.getConjunctionEventsFromElements(mars, earth, "2024-06-01", "2027-06-01");
+        expect(conjunctions.map(event => event.type)).toEqual(["opposition", "superiorConjunction", "opposition"]);
+        expect(Math.abs(conjunctions[0].jd - solarplanets.getJdFromEpoch("2025-01-16T02:38:00Z"))).toBeLessThan(0.5);
+        expect(Math.abs(conjunctions[2].jd - solarplanets.getJdFromEpoch("2027-02-19T15:00:00Z"))).toBeLessThan(1);
+
+        // node crossings lie in the ecliptic, at the longitude of the node
+        const nodes = solarplanets.getNodeEventsFromElements(mars, "2024-01-01", "2026-01-01", { "tol_d": 1e-6 });
+        expect(nodes.map(event => event.type)).toEqual(["ascendingNode", "descendingNode"]);
+        const [r_km] = solarplanets.getRvFromElementsDatetime(mars, nodes[0].jd, { "timeScale": "TDB" });
+        expect(Math.abs(r_km[2])).toBeLessThan(100);
+        expect(Math.atan2(r_km[1], r_km[0]) * 180 / Math.PI).toBeCloseTo(49.5, 0);
+    },
+
+    "can find greatest elongations": () => {
+        const earth = {
+            "a_au": 1.00000011,
+            "da_au": -0.00000005,
+            "e": 0.01671022,
+            "de": -0.00003804,
+            "inc_deg": -0.00005,
+            "dinc_sec": 46.94,
+            "raan_deg": -11.26064,
+            "draan_sec": -18228.25,
+            "lop_deg": 102.94719,
+            "dlop_sec": 1198.28,
+            "ml_deg": 100.46435,
+            "dml_sec": 129597740.63
+        };
+        const mercury = {
+            "a_au": 0.38709893,
+            "da_au": 0.00000066,
+            "e": 0.20563069,
+            "de": 0.00002527,
+            "inc_deg": 7.00487,
+            "dinc_sec": -23.51,
+            "raan_deg": 48.33167,
+            "draan_sec": -446.30,
+            "lop_deg": 77.4545,
+            "dlop_sec": 573.57,
+            "ml_deg": 252.25084,
+            "dml_sec": 538101628.29
+        };
+
+        // mercury's 2026 greatest elongations: 18.1 deg E (Feb 19), 27.8 deg W (Apr 3), 24.5 deg E (Jun 15)
+        const elongations = solarplanets.getElongationEventsFromElements(mercury, earth, "2026-01-01", "2026-07-01");
+        expect(elongations.map(event => event.type)).toEqual(["greatestEasternElongation", "greatestWesternElongation", "greatestEasternElongation"]);
+        [["2026-02-19", 18.1], ["2026-04-03", 27.8], ["2026-06-15", 24.5]].forEach(([date, elongation_deg], i) => {
+            expect(Math.abs(elongations[i].jd - solarplanets.getJdFromEpoch(date) - 0.5)).toBeLessThan(1);
+            expect(elongations[i].elongation_rad * 180 / Math.PI).toBeCloseTo(elongation_deg, 0);
+        });
+        const events = solarplanets.getEventsFromElements(mercury, earth, "2026-01-01", "2026-07-01");
+        expect(events.filter(event => event.type === "inferiorConjunction").length).toEqual(1);
+        events.slice(1).forEach((event, i) => {
+            expect(events[i].jd).toBeLessThanOrEqual(event.jd);
+        });
+    },
+
+    "can compute planetary observables": () => {
+        const catalog = {
+            "earth": {
+                "a_au": 1.00000011,
+                "da_au": -0.00000005,
+                "e": 0.01671022,
+                "de": -0.00003804,
+                "inc_deg": -0.00005,
+                "dinc_sec": 46.94,
+                "raan_deg": -11.26064,
+                "draan_sec": -18228.25,
+                "lop_deg": 102.94719,
+                "dlop_sec": 1198.28,
+                "ml_deg": 100.46435,
+                "dml_sec": 129597740.63
+            },
+            "jupiter": {
+                "a_au": 5.20336301,
+                "da_au": 0.00060737,
+                "e": 0.04839266,
+                "de": -0.00012880,
+                "inc_deg": 1.30530,
+                "dinc_sec": -4.15,
+                "raan_deg": 100.55615,
+                "draan_sec": 1217.17,
+                "lop_deg": 14.75385,
+                "dlop_sec": 839.93,
+                "ml_deg": 34.40438,
+                "dml_sec": 10925078.35
+            },
+            "venus": {
+                "a_au": 0.72333199,
+                "da_au": 0.00000092,
+                "e": 0.00677323,
+                "de": -0.00004938,
+                "inc_deg": 3.39471,
+                "dinc_sec": -2.86,
+                "raan_deg": 76.68069,
+                "draan_sec": -996.89,
+                "lop_deg": 131.53298,
+                "dlop_sec": -108.80,
+                "ml_deg": 181.97973,
+                "dml_sec": 210664136.06
+            }
+        };
+        const r2d = 180 / Math.PI;
+
+        // jupiter at its 2026 january 10 opposition: fully lit, about 47 arc-seconds across, at magnitude -2.7
+        const jupiter = solarplanets.getObservablesFromCatalogDatetime(catalog, "jupiter", "2026-01-10");
+        expect(jupiter.elongation_rad * r2d).toBeGreaterThan(179);
+        expect(jupiter.illuminatedFraction).toBeCloseTo(1, 4);
+        expect(jupiter.angularDiameter_rad * r2d * 3600).toBeCloseTo(46.8, 0);
+        expect(jupiter.magnitude).toBeCloseTo(-2.7, 1);
+
+        // venus at greatest brilliance in 2025 february: a crescent near magnitude -4.9
+        const venus = solarplanets.getObservablesFromCatalogDatetime(catalog, "venus", "2025-02-15");
+        expect(venus.illuminatedFraction).toBeCloseTo(0.27, 1);
+        expect(venus.magnitude).toBeCloseTo(-4.9, 1);
+        expect(venus.elongation_rad + venus.phase_rad).toBeLessThan(Math.PI);
+        expect(() => solarplanets.getObservablesFromCatalogDatetime(catalog, "mars", "2025-02-15")).toThrowError(solarplanets.UnknownBodyError);
+    },
+
+    "can compute magnitudes from phase curves": () => {
+        // with no phase, the H-G system reduces to the distance modulus
+        expect(solarplanets.getMagnitudeFromHG(3.34, 0.12, 2.77, 1.77, 0)).toBeCloseTo(3.34 + 5 * Math.log10(2.77 * 1.77), 12);
+        expect(solarplanets.getMagnitudeFromHG(3.34, 0.12, 2.77, 1.77, 0.3)).toBeGreaterThan(solarplanets.getMagnitudeFromHG(3.34, 0.12, 2.77, 1.77, 0.1));
+        expect(solarplanets.getIlluminatedFraction(0.5 * Math.PI)).toBeCloseTo(0.5, 12);
+
+        // saturn's open rings brighten it by most of a magnitude
+        const edgeOn = solarplanets.getPlanetMagnitude("saturn", 9.5, 8.5, 0.01, 0);
+        const open = solarplanets.getPlanetMagnitude("saturn", 9.5, 8.5, 0.01, 26.7 * Math.PI / 180);
+        expect(edgeOn - open).toBeCloseTo(1.83 * Math.sin(26.7 * Math.PI / 180), 1);
+        expect(() => solarplanets.getPlanetMagnitude("vulcan", 1, 1, 0)).toThrowError(solarplanets.UnknownBodyError);
+    },
+
+    "can reproduce meeus examples 12.a, 12.b, and 21.b": () => {
+        const r2d = 180 / Math.PI;
+        expect(solarplanets.getGmstFromEpoch("1987-04-10T00:00:00Z") * r2d).toBeCloseTo(197.693195, 5);
+        expect(solarplanets.getGmstFromEpoch("1987-04-10T19:21:00Z") * r2d).toBeCloseTo(128.737873, 5);
+
+        // theta persei, from J2000 to 2028 november 13.19 TD
+        const ra0_rad = 41.054063 / r2d;
+        const dec0_rad = 49.227750 / r2d;
+        const P = solarplanets.getPrecessionFromJ2000(solarplanets.getJulianCenturies(2462088.69));
+        const u = solarplanets.getMatVec(P, [Math.cos(dec0_rad) * Math.cos(ra0_rad), Math.cos(dec0_rad) * Math.sin(ra0_rad), Math.sin(dec0_rad)]);
+        expect(Math.atan2(u[1], u[0]) * r2d).toBeCloseTo(41.547214, 5);
+        expect(Math.asin(u[2]) * r2d).toBeCloseTo(49.348483, 5);
+    },
+
+    "can compute topocentric positions": () => {
+        const catalog = {
+            "earth": {
+                "a_au": 1.00000011,
+                "da_au": -0.00000005,
+                "e": 0.01671022,
+                "de": -0.00003804,
+                "inc_deg": -0.00005,
+                "dinc_sec": 46.94,
+                "raan_deg": -11.26064,
+                "draan_sec": -18228.25,
+                "lop_deg": 102.94719,
+                "dlop_sec": 1198.28,
+                "ml_deg": 100.46435,
+                "dml_sec": 129597740.63
+            }
+        };
+        const greenwich = { "lat_deg": 51.4769, "lon_deg": -0.0005, "height_km": 0.046 };
+        const r2d = 180 / Math.PI;
+
+        // at local noon on the june solstice, the sun stands due south at 90 - 51.48 + 23.44 degrees
+        const noon = solarplanets.getAltAzFromCatalogDatetime(catalog, "sun", greenwich, "2026-06-21T12:02:00Z");
+        expect(noon.alt_rad * r2d).toBeCloseTo(90 - 51.4769 + 23.44, 1);
+        expect(noon.az_rad * r2d).toBeCloseTo(180, 0);
+        const refracted = solarplanets.getAltAzFromCatalogDatetime(catalog, "sun", greenwich, "2026-06-21T12:02:00Z", { "refraction": true });
+        expect(refracted.alt_rad - noon.alt_rad).toBeCloseTo(solarplanets.getRefraction(noon.alt_rad), 12);
+
+        // diurnal parallax brings the moon nearer by roughly the earth's radius times the sine of its geocentric altitude
+        const dt = "2026-10-19T20:00:00Z";
+        const moon = solarplanets.getAltAzFromCatalogDatetime(catalog, "moon", greenwich, dt);
+        const geocentric = solarplanets.getRaDecFromCatalogDatetime(catalog, "moon", dt);
+        const parallax_rad = Math.asin(6371 * Math.cos(moon.alt_rad) / geocentric.range_km);
+        expect(Math.abs(geocentric.range_km - moon.range_km - 6371 * Math.sin(moon.alt_rad + parallax_rad))).toBeLessThan(50);
+        expect(() => solarplanets.getAltAzFromCatalogDatetime(catalog, "mars", greenwich, dt)).toThrowError(solarplanets.UnknownBodyError);
+    },
+
+    "can find rise, transit, and set times": () => {
+        const catalog = {
+            "earth": {
+                "a_au": 1.00000011,
+                "da_au": -0.00000005,
+                "e": 0.01671022,
+                "de": -0.00003804,
+                "inc_deg": -0.00005,
+                "dinc_sec": 46.94,
+                "raan_deg": -11.26064,
+                "draan_sec": -18228.25,
+                "lop_deg": 102.94719,
+                "dlop_sec": 1198.28,
+                "ml_deg": 100.46435,
+                "dml_sec": 129597740.63
+            }
+        };
+        const greenwich = { "lat_deg": 51.4769, "lon_deg": -0.0005, "height_km": 0.046 };
+
+        // greenwich sunrise and sunset on the 2026 june solstice are at 03:43 and 20:21 UTC
+        const events = solarplanets.getRiseTransitSetFromCatalog(catalog, "sun", greenwich, "2026-06-21T00:00:00Z", "2026-06-22T00:00:00Z");
+        expect(events.map(event => event.type)).toEqual(["rise", "transit", "set"]);
+        [["2026-06-21T03:43:00Z", 2], ["2026-06-21T12:02:00Z", 1], ["2026-06-21T20:21:00Z", 2]].forEach(([iso, tol_min], i) => {
+            const jdUtc = solarplanets.getJdInTimeScale(events[i].jd, "TDB", "UTC");
+            expect(Math.abs(jdUtc - solarplanets.getJdFromEpoch(iso)) * 1440).toBeLessThan(tol_min);
+        });
+
+        // the dip of the horizon from a height makes the sun rise earlier
+        const mountain = { ...greenwich, "height_km": 2 };
+        const [dipped] = solarplanets.getRiseTransitSetFromCatalog(catalog, "sun", mountain, "2026-06-21T00:00:00Z", "2026-06-21T06:00:00Z", { "horizonDip": true });
+        expect(dipped.jd).toBeLessThan(events[0].jd - 5 / 1440);
+    },
+
+    "can export ephemerides as ccsds oem": () => {
+        const catalog = {
+            "mars": {
+                "a_au": 1.52366231,
+                "da_au": -0.00007221,
+                "e": 0.09341233,
+                "de": 0.00011902,
+                "inc_deg": 1.85061,
+                "dinc_sec": -25.47,
+                "raan_deg": 49.57854,
+                "draan_sec": -1020.19,
+                "lop_deg": 336.04084,
+                "dlop_sec": 1560.78,
+                "ml_deg": 355.45332,
+                "dml_sec": 68905103.78
+            }
+        };
+        const ephemeris = solarplanets.getEphemerisFromCatalog(catalog, "mars", 2461041.5, 2461043.5, 1, { "frame": "HCEQ", "timeScale": "TDB" });
+        expect(ephemeris.jd.length).toEqual(3);
+        expect(ephemeris.r_km.length).toEqual(9);
+        const [r_km, v_kmps] = solarplanets.getRvInFrame(...solarplanets.getRvFromElementsDatetime(catalog.mars, 2461042.5, { "timeScale": "TDB" }), "HCEC", "HCEQ", 2461042.5, catalog, { "timeScale": "TDB" });
+        r_km.forEach((ri, i) => expect(ephemeris.r_km[3 + i]).toBeCloseTo(ri, 3));
+        v_kmps.forEach((vi, i) => expect(ephemeris.v_kmps[3 + i]).toBeCloseTo(vi, 9));
+
+        const kvn = solarplanets.getOemKvnFromEphemeris(ephemeris, { "creationDate": new Date(Date.UTC(2026, 0, 1)) });
+        const lines = kvn.split("\n");
+        expect(lines[0]).toEqual("CCSDS_OEM_VERS = 2.0");
+        expect(lines).toContain("CREATION_DATE = 2026-01-01T00:00:00.000");
+        expect(lines).toContain("OBJECT_ID = 4");
+        expect(lines).toContain("CENTER_NAME = SUN");
+        expect(lines).toContain("REF_FRAME = EME2000");
+        expect(lines).toContain("TIME_SYSTEM = TDB");
+        expect(lines).toContain("START_TIME = 2026-01-01T00:00:00.000");
+        const states = lines.filter(line => /^\d{4}-/.test(line));
+        expect(states.length).toEqual(3);
+        expect(states[1].split(" ").slice(1).map(Number)[0]).toBeCloseTo(r_km[0], 0);
+
+        const xml = solarplanets.getOemXmlFromEphemeris(ephemeris, { "creationDate": new Date(Date.UTC(2026, 0, 1)) });
+        expect(xml.match(/<stateVector>/g).length).toEqual(3);
+        expect(xml).toContain("<REF_FRAME>EME2000</REF_FRAME>");
+        expect(xml).not.toContain("<COMMENT>");
+
+        // ecliptic ephemerides are rotated onto the equator, to keep to the frames of the SANA registry
+        const ecliptic = solarplanets.getEphemerisFromCatalog(catalog, "mars", 2461041.5, 2461043.5, 1, { "timeScale": "TDB" });
+        const rotated = solarplanets.getOemKvnFromEphemeris(ecliptic, { "creationDate": new Date(Date.UTC(2026, 0, 1)) }).split("\n");
+        expect(rotated).toContain("REF_FRAME = EME2000");
+        expect(rotated[rotated.indexOf("META_START") + 1]).toMatch(/^COMMENT .*ecliptic/);
+        expect(rotated.filter(line => /^\d{4}-/.test(line))).toEqual(states);
+        expect(solarplanets.getOemXmlFromEphemeris(ecliptic)).toMatch(/<metadata>\s*<COMMENT>[^<]*ecliptic[^<]*<\/COMMENT>\s*<OBJECT_NAME>/);
+        expect(ecliptic.r_km[4]).not.toBeCloseTo(ephemeris.r_km[4], 0);
+
+        // both messages keep to the OEM 2.0 keyword rules: header, then metadata keywords in order with registered values, then states
+        [lines, rotated].forEach(kvn => {
+            const start = kvn.indexOf("META_START");
+            const stop = kvn.indexOf("META_STOP");
+            expect(kvn.slice(1, start).filter(line => line !== "").map(line => line.split(" = ")[0])).toEqual(["CREATION_DATE", "ORIGINATOR"]);
+            const metadata = kvn.slice(start + 1, stop).filter(line => !line.startsWith("COMMENT "));
+            expect(metadata.map(line => line.split(" = ")[0])).toEqual(["OBJECT_NAME", "OBJECT_ID", "CENTER_NAME", "REF_FRAME", "TIME_SYSTEM", "START_TIME", "STOP_TIME"]);
+            const values = Object.fromEntries(metadata.map(line => line.split(" = ")));
+            expect(["EME2000", "GCRF", "ICRF", "ITRF2000", "ITRF-93", "ITRF-97", "MCI", "TDR", "TEME", "TOD"]).toContain(values.REF_FRAME);
+            expect(["GMST", "GPS", "MET", "MRT", "SCLK", "TAI", "TCB", "TDB", "TCG", "TT", "UT1", "UTC"]).toContain(values.TIME_SYSTEM);
+            kvn.slice(stop + 1).filter(line => line !== "").forEach(line => {
+                const fields = line.split(" ");
+                expect(fields.length).toEqual(7);
+                expect(fields[0]).toMatch(/^\d{4}-\d{2}-\d{2}T\d{2}:\d{2}:\d{2}(\.\d+)?$/);
+                fields.slice(1).forEach(field => expect(Number.isFinite(Number(field))).toBe(true));
+                expect(values.START_TIME <= fields[0] && fields[0] <= values.STOP_TIME).toBe(true);
+            });
+        });
+    },
+    "can export ephemerides as czml, csv, and mkspk inputs": () => {
+        const catalog = {
+            "mars": {
+                "a_au": 1.52366231,
+                "da_au": -0.00007221,
+                "e": 0.09341233,
+                "de": 0.00011902,
+                "inc_deg": 1.85061,
+                "dinc_sec": -25.47,
+                "raan_deg": 49.57854,
+                "draan_sec": -1020.19,
+                "lop_deg": 336.04084,
+                "dlop_sec": 1560.78,
+                "ml_deg": 355.45332,
+                "dml_sec": 68905103.78
+            }
+        };
+        const ephemeris = solarplanets.getEphemerisFromCatalog(catalog, "mars", "2026-01-01T00:00:00Z", "2026-01-02T00:00:00Z", 0.5);
+        expect(ephemeris.orientation).toEqual("ecliptic");
+
+        // czml positions are in meters, at seconds from the document epoch
+        const [document, packet] = solarplanets.getCzmlFromEphemeris(ephemeris);
+        expect(document.id).toEqual("document");
+        expect(packet.position.epoch).toEqual("2026-01-01T00:00:00.000Z");
+        expect(packet.position.cartesian.length).toEqual(12);
+        expect(packet.position.cartesian[4]).toBeCloseTo(43200, 3);
+        expect(packet.position.cartesian[5]).toBeCloseTo(ephemeris.r_km[3] * 1e3, 0);
+
+        // csv columns follow the requested units
+        const au2km = solarplanets.AU_KM;
+        const rows = solarplanets.getCsvFromEphemeris(ephemeris, { "positionUnits": "au", "velocityUnits": "mps", "comments": false }).trim().split("\n");
+        expect(rows[0]).toEqual("jd_tdb,iso_tdb,x_au,y_au,z_au,vx_mps,vy_mps,vz_mps");
+        expect(rows.length).toEqual(4);
+        const fields = rows[1].split(",");
+        expect(Number(fields[2])).toBeCloseTo(ephemeris.r_km[0] / au2km, 12);
+        expect(Number(fields[5])).toBeCloseTo(ephemeris.v_kmps[0] * 1e3, 6);
+        expect(() => solarplanets.getCsvFromEphemeris(ephemeris, { "positionUnits": "furlongs" })).toThrowError(solarplanets.UnknownUnitError);
+
+        const { setup, data } = solarplanets.getMkspkFromEphemeris(ephemeris);
+        expect(setup).toContain("OBJECT_ID = 4");
+        expect(setup).toContain("CENTER_ID = 10");
+        expect(setup).toContain("REF_FRAME_NAME = 'ECLIPJ2000'");
+        expect(data.trim().split("\n").length).toEqual(3);
+        expect(() => solarplanets.getEphemerisFromCatalog(catalog, "vulcan", "2026-01-01", "2026-01-02", 1)).toThrowError(solarplanets.UnknownBodyError);
+    },
+
+    "can report element model accuracy against the reference ephemeris": () => {
+        const readJson = path => JSON.parse(fs.readFileSync(new URL(path, import.meta.url)));
+        const catalogs = {
+            "standish": readJson("./standish_catalog.json"),
+            "jpl3000": readJson("./jpl_catalog.json")
+        };
+        const report = solarplanets.getAccuracyFromCatalogs(catalogs, readJson("./reference_ephemeris.json"));
+        expect(Object.keys(report)).toEqual(["standish", "jpl3000"]);
+
+        // largest errors of the standish catalog from 1800 to 2045, with some margin: [lon ("), lat ("), distance (km)]
+        const bounds = {
+            "mercury": [40, 10, 5e3],
+            "venus": [40, 10, 1e4],
+            "earth": [40, 10, 1e4],
+            "mars": [150, 10, 6e4],
+            "jupiter": [600, 30, 1e6],
+            "saturn": [1000, 120, 4e6],
+            "uranus": [400, 100, 3e6],
+            "neptune": [100, 15, 2e6],
+            "pluto": [100, 40, 2e6]
+        };
+        expect(Object.keys(report.standish).sort()).toEqual(Object.keys(bounds).sort());
+        Object.keys(report.standish).forEach(body => {
+            const stats = report.standish[body];
+            const [lon_arcsec, lat_arcsec, distance_km] = bounds[body];
+            expect(stats.n).toBeGreaterThanOrEqual(50);
+            expect(stats.startJd).toBeLessThan(2379000);
+            expect(stats.stopJd).toBeGreaterThan(2467900);
+            expect(stats.lon_arcsec.max).toBeLessThan(lon_arcsec);
+            expect(stats.lat_arcsec.max).toBeLessThan(lat_arcsec);
+            expect(stats.distance_km.max).toBeLessThan(distance_km);
+        });
+
+        // the models agree on each planet to within a fraction of a degree (saturn's catalog mean longitude once differed by 30 degrees)
+        Object.keys(catalogs.standish).forEach(body => {
+            const [rStandish_km] = solarplanets.getRvFromElementsDatetime(catalogs.standish[body], "2026-01-01T00:00:00Z");
+            const [rJpl_km] = solarplanets.getRvFromElementsDatetime(catalogs.jpl3000[body], "2026-01-01T00:00:00Z");
+            const angle_rad = Math.acos(solarplanets.getDotProd(rStandish_km, rJpl_km) / (solarplanets.getVecNorm(rStandish_km) * solarplanets.getVecNorm(rJpl_km)));
+            expect(angle_rad * 180 / Math.PI).toBeLessThan(0.25);
+        });
+    },
+    "can parse horizons vector tables as reference records": () => {
+        const header = [
+            "Target body name: Mars (499)                      {source: mar097}",
+            "Center body name: Sun (10)                        {source: DE441}",
+            "Output units    : AU-D",
+            "Reference frame : ICRF",
+            "Reference plane : FRAME"
+        ].join("\n");
+        const text = [
+            header,
+            "$$SOE",
+            "2461041.500000000 = A.D. 2026-Jan-01 00:00:00.0000 TDB ",
+            " X = 3.400000000000000E-01 Y =-1.260000000000000E+00 Z =-5.860000000000000E-01",
+            " VX= 1.411000000000000E-02 VY= 4.260000000000000E-03 VZ= 1.570000000000000E-03",
+            "$$EOE"
+        ].join("\n");
+        const records = solarplanets.getReferenceRecordsFromHorizons(text, "mars");
+        expect(records.length).toEqual(1);
+        expect(records[0].body).toEqual("mars");
+        expect(records[0].jd).toEqual(2461041.5);
+        const au2km = solarplanets.AU_KM;
+        const rEquatorial_km = solarplanets.getMatVec(solarplanets.getQecliptic2equatorial(), records[0].r_km);
+        [0.34, -1.26, -0.586].forEach((xi, i) => expect(rEquatorial_km[i] / au2km).toBeCloseTo(xi, 12));
+
+        // the csv layout gives the same records
+        const csv = [
+            header.replace("FRAME", "ECLIPTIC").replace("AU-D", "KM-S"),
+            "$$SOE",
+            "2461041.500000000, A.D. 2026-Jan-01 00:00:00.0000,  5.0E+07, -1.9E+08, -3.0E+06,  2.4E+01,  7.4E+00, -4.2E-01,",
+            "2461042.500000000, A.D. 2026-Jan-02 00:00:00.0000,  5.2E+07, -1.8E+08, -3.1E+06,  2.4E+01,  7.6E+00, -4.1E-01,",
+            "$$EOE"
+        ].join("\n");
+        const rows = solarplanets.getReferenceRecordsFromHorizons(csv, "mars");
+        expect(rows.map(row => row.jd)).toEqual([2461041.5, 2461042.5]);
+        expect(rows[1].r_km).toEqual([5.2e7, -1.8e8, -3.1e6]);
+        expect(() => solarplanets.getReferenceRecordsFromHorizons(header, "mars")).toThrowError(solarplanets.InvalidElementsError);
+
+        // statistics are signed for the mean, and absolute for the maximum
+        const stats = solarplanets.getErrorStatistics([3, -4]);
+        expect(stats.mean).toEqual(-0.5);
+        expect(stats.rms).toBeCloseTo(Math.sqrt(12.5), 12);
+        expect(stats.max).toEqual(4);
+    },
+
+    "can query states and tables from the command line": () => {
+        const cli = args => execFileSync(process.execPath, [fileURLToPath(new URL("./cli.mjs", import.meta.url)), ...args], { "encoding": "utf8" });
+        const catalog = JSON.parse(fs.readFileSync(new URL("./standish_catalog.json", import.meta.url)));
+        const au2km = solarplanets.AU_KM;
+
+        // states match the module, in the requested units
+        const state = JSON.parse(cli(["state", "mars", "2461332.5", "--time-scale", "TDB", "--units", "au", "--format", "json"]));
+        const [r_km, v_kmps] = solarplanets.getRvFromElementsDatetime(catalog.mars, 2461332.5, { "timeScale": "TDB" });
+        expect(state.states.length).toEqual(1);
+        r_km.forEach((ri, i) => expect(state.states[0].r[i]).toBeCloseTo(ri / au2km, 9));
+        v_kmps.forEach((vi, i) => expect(state.states[0].v[i]).toBeCloseTo(vi * 86400 / au2km, 9));
+        expect(cli(["state", "mars", "2026-10-19T00:00Z"])).toContain("r [km]:");
+        expect(() => execFileSync(process.execPath, [fileURLToPath(new URL("./cli.mjs", import.meta.url)), "state", "mars", "2026-10-19T00:00Z", "--format", "xml"], { "stdio": "pipe" })).toThrowError(/Unknown state format/);
+
+        // tables step through the range, inclusive of both ends
+        const rows = cli(["table", "jupiter", "--from", "2026-01-01", "--to", "2026-01-02", "--step", "6h"]).trim().split("\n").filter(line => !line.startsWith("#"));
+        expect(rows[0]).toEqual("jd_tdb,iso_tdb,x_km,y_km,z_km,vx_kmps,vy_kmps,vz_kmps");
+        expect(rows.length).toEqual(6);
+        expect(cli(["table", "mars", "--from", "2026-01-01", "--to", "2026-01-02", "--format", "oem"])).toContain("OBJECT_NAME = MARS");
+        expect(cli(["bodies"]).split("\n").map(line => line.split(/\s+/)[0])).toContain("titan");
+
+        // failures are reported on stderr, with a nonzero exit code
+        expect(() => execFileSync(process.execPath, [fileURLToPath(new URL("./cli.mjs", import.meta.url)), "state", "vulcan", "2026-01-01"], { "stdio": "pipe" })).toThrow();
+    },
+
+    "can convert between units": () => {
+        expect(solarplanets.AU_KM).toEqual(149597870.7);
+        expect(solarplanets.GM_SUN_KM3PS2).toEqual(1.32712440018e11);
+        expect(solarplanets.BODIES.sun.mu_km3ps2).toEqual(solarplanets.GM_SUN_KM3PS2);
+        expect(solarplanets.getValueInUnits(1, "deg", "arcsec")).toBeCloseTo(3600, 9);
+        expect(solarplanets.getValueInUnits(1, "cy", "d")).toBeCloseTo(36525, 9);
+        expect(solarplanets.getValueInUnits([1, 2], "au", "km")).toEqual([149597870.7, 299195741.4]);
+        expect(solarplanets.getValueInUnits(1, "aupd", "kmps")).toBeCloseTo(149597870.7 / 86400, 9);
+        expect(() => solarplanets.getValueInUnits(1, "km", "deg")).toThrowError(solarplanets.UnknownUnitError);
+        expect(() => solarplanets.getValueInUnits(1, "km", "parsec")).toThrowError(solarplanets.UnknownUnitError);
+
+        // velocities follow the position units unless given separately
+        const [r_au, v_aupd] = solarplanets.getRvInUnits([149597870.7, 0, 0], [0, 1, 0], { "positionUnits": "au" });
+        expect(r_au).toEqual([1, 0, 0]);
+        expect(v_aupd[1]).toBeCloseTo(86400 / 149597870.7, 15);
+        const [r_m, v_kmpd] = solarplanets.getRvInUnits([1, 0, 0], [0, 1, 0], { "positionUnits": "m", "velocityUnits": "kmpd" });
+        expect(r_m).toEqual([1000, 0, 0]);
+        expect(v_kmpd).toEqual([0, 86400, 0]);
+        expect(() => solarplanets.getRvInUnits([1, 0, 0], [0, 1, 0], { "positionUnits": "kmps" })).toThrowError(solarplanets.UnknownUnitError);
+    },
+    "can evaluate states in other units": () => {
+        const mars = {
+            "a_au": 1.52366231,
+            "da_au": -0.00007221,
+            "e": 0.09341233,
+            "de": 0.00011902,
+            "inc_deg": 1.85061,
+            "dinc_sec": -25.47,
+            "raan_deg": 49.57854,
+            "draan_sec": -1020.19,
+            "lop_deg": 336.04084,
+            "dlop_sec": 1560.78,
+            "ml_deg": 355.45332,
+            "dml_sec": 68905103.78
+        };
+        const dt = new Date(Date.UTC(2026, 0, 1));
+        const [r_km, v_kmps] = solarplanets.getRvFromElementsDatetime(mars, dt);
+        const [r_au, v_aupd] = solarplanets.getRvFromElementsDatetime(mars, dt, { "positionUnits": "au", "velocityUnits": "aupd" });
+        r_km.forEach((ri, i) => expect(r_au[i]).toBeCloseTo(ri / solarplanets.AU_KM, 15));
+        v_kmps.forEach((vi, i) => expect(v_aupd[i]).toBeCloseTo(vi * 86400 / solarplanets.AU_KM, 15));
+
+        // units apply after any frame transformation
+        const catalog = { "mars": mars };
+        const [rEq_km] = solarplanets.getRvFromElementsDatetime(mars, dt, { "frame": "HCEQ", "catalog": catalog });
+        const [rEq_m, vEq_mps] = solarplanets.getRvFromElementsDatetime(mars, dt, { "frame": "HCEQ", "catalog": catalog, "positionUnits": "m" });
+        rEq_km.forEach((ri, i) => expect(rEq_m[i]).toBeCloseTo(ri * 1e3, 3));
+        expect(solarplanets.getVecNorm(vEq_mps)).toBeCloseTo(solarplanets.getVecNorm(v_kmps) * 1e3, 6);
+        const [rModel_au] = solarplanets.getRvFromModelDatetime({ "standish": catalog }, "mars", dt, "standish", "warn", { "positionUnits": "au" });
+        expect(rModel_au).toEqual(r_au);
+    },
+
+    "can integrate ordinary differential equations with dense output": () => {
+        // harmonic oscillator, y'' = -y, from y = 0 and y' = 1
+        const f = (t, y) => [y[1], -y[0]];
+        const solution = solarplanets.integrateDormandPrince(f, 0, [0, 1], 10, { "rtol": 1e-12, "atol": 1e-12 });
+        expect(solution.t[solution.t.length - 1]).toEqual(10);
+        expect(solution.y[solution.y.length - 1][0]).toBeCloseTo(Math.sin(10), 9);
+        expect(solution.y[solution.y.length - 1][1]).toBeCloseTo(Math.cos(10), 9);
+        [0, 0.123, 3.3, 7.77, 10].forEach(t => {
+            const [y, dy] = solution.interpolate(t);
+            expect(y).toBeCloseTo(Math.sin(t), 9);
+            expect(dy).toBeCloseTo(Math.cos(t), 9);
+        });
+        expect(() => solution.interpolate(10.5)).toThrowError(solarplanets.InvalidEpochError);
+
+        // backward in time
+        const backward = solarplanets.integrateDormandPrince(f, 0, [0, 1], -5, { "rtol": 1e-12, "atol": 1e-12 });
+        expect(backward.interpolate(-2.5)[0]).toBeCloseTo(Math.sin(-2.5), 9);
+        expect(() => solarplanets.integrateDormandPrince(f, 0, [0, 1], 1000, { "maxSteps": 3 })).toThrowError(solarplanets.ConvergenceError);
+    },
+    "can propagate heliocentric states with planetary perturbations": () => {
+        const catalog = {
+            "earth": {
+                "a_au": 1.00000011,
+                "da_au": -0.00000005,
+                "e": 0.01671022,
+                "de": -0.00003804,
+                "inc_deg": -0.00005,
+                "dinc_sec": 46.94,
+                "raan_deg": -11.26064,
+                "draan_sec": -18228.25,
+                "lop_deg": 102.94719,
+                "dlop_sec": 1198.28,
+                "ml_deg": 100.46435,
+                "dml_sec": 129597740.63
+            },
+            "mars": {
+                "a_au": 1.52366231,
+                "da_au": -0.00007221,
+                "e": 0.09341233,
+                "de": 0.00011902,
+                "inc_deg": 1.85061,
+                "dinc_sec": -25.47,
+                "raan_deg": 49.57854,
+                "draan_sec": -1020.19,
+                "lop_deg": 336.04084,
+                "dlop_sec": 1560.78,
+                "ml_deg": 355.45332,
+                "dml_sec": 68905103.78
+            },
+            "jupiter": {
+                "a_au": 5.20336301,
+                "da_au": 0.00060737,
+                "e": 0.04839266,
+                "de": -0.00012880,
+                "inc_deg": 1.30530,
+                "dinc_sec": -4.15,
+                "raan_deg": 100.55615,
+                "draan_sec": 1217.17,
+                "lop_deg": 14.75385,
+                "dlop_sec": 839.93,
+                "ml_deg": 34.40438,
+                "dml_sec": 10925078.35
+            }
+        };
+        const jd0 = 2461000.5;
+        const [r0_km, v0_kmps] = solarplanets.getRvFromElementsDatetime(catalog.mars, jd0, { "timeScale": "TDB" });
+
+        // without perturbers, the propagation is a conic
+        const conic = solarplanets.getTrajectoryFromRvEpoch(r0_km, v0_kmps, jd0, jd0 + 100, catalog, { "perturbers": [], "timeScale": "TDB" });
+        expect(conic.jd[0]).toEqual(jd0);
+        expect(conic.jd[conic.jd.length - 1]).toEqual(jd0 + 100);
+        [17.25, 100].forEach(dt_d => {
+            const [r_km, v_kmps] = conic.getRv(jd0 + dt_d);
+            const [rExpected_km, vExpected_kmps] = solarplanets.getRvFromRvDt(r0_km, v0_kmps, dt_d * 86400, solarplanets.GM_SUN_KM3PS2);
+            expect(solarplanets.getVecNorm(r_km.map((ri, i) => ri - rExpected_km[i]))).toBeLessThan(1);
+            expect(solarplanets.getVecNorm(v_kmps.map((vi, i) => vi - vExpected_kmps[i]))).toBeLessThan(1e-6);
+        });
+
+        // the perturbations of earth and jupiter keep mars closer to its mean elements than a conic would
+        const perturbed = solarplanets.getTrajectoryFromRvEpoch(r0_km, v0_kmps, jd0, jd0 + 730, catalog, { "perturbers": ["earth", "jupiter"], "timeScale": "TDB" });
+        const [rPerturbed_km] = perturbed.getRv(jd0 + 730);
+        const [rConic_km] = solarplanets.getRvFromRvDt(r0_km, v0_kmps, 730 * 86400, solarplanets.GM_SUN_KM3PS2);
+        const [rMean_km] = solarplanets.getRvFromElementsDatetime(catalog.mars, jd0 + 730, { "timeScale": "TDB" });
+        const dPerturbed_km = solarplanets.getVecNorm(rPerturbed_km.map((ri, i) => ri - rMean_km[i]));
+        expect(dPerturbed_km).toBeLessThan(0.5 * solarplanets.getVecNorm(rConic_km.map((ri, i) => ri - rMean_km[i])));
+
+        // each perturber pulls on both the body and the sun
+        const [rJupiter_km] = solarplanets.getRvFromElementsDatetime(catalog.jupiter, jd0, { "timeScale": "TDB" });
+        const r_km = rJupiter_km.map(ri => 0.99 * ri);
+        const a_kmps2 = solarplanets.getNbodyAcceleration(r_km, jd0, catalog, ["jupiter"]);
+        const mu_km3ps2 = solarplanets.GM_SUN_KM3PS2 / 1047.3486;
+        const dr_km = rJupiter_km.map((ri, i) => ri - r_km[i]);
+        const r = solarplanets.getVecNorm(r_km);
+        const dr = solarplanets.getVecNorm(dr_km);
+        const rJ = solarplanets.getVecNorm(rJupiter_km);
+        a_kmps2.forEach((ai, i) => {
+            const expected = -solarplanets.GM_SUN_KM3PS2 * r_km[i] / (r * r * r) + mu_km3ps2 * (dr_km[i] / (dr * dr * dr) - rJupiter_km[i] / (rJ * rJ * rJ));
+            expect(ai).toBeCloseTo(expected, 15);
+        });
+        expect(() => solarplanets.getTrajectoryFromRvEpoch(r0_km, v0_kmps, jd0, jd0 + 1, catalog, { "perturbers": ["saturn"], "timeScale": "TDB" })).toThrowError(solarplanets.UnknownBodyError);
+    },
+
+    "can model unpowered and powered flybys": () => {
+        // curtis table a.2 gives spheres of influence of 925,000 km (earth) and 48.2 million km (jupiter)
+        expect(solarplanets.getSoiRadius("earth", 1.00000011 * solarplanets.AU_KM)).toBeCloseTo(925000, -4);
+        expect(solarplanets.getSoiRadius("jupiter", 5.20336301 * solarplanets.AU_KM) / 1e6).toBeCloseTo(48.2, 1);
+        expect(() => solarplanets.getSoiRadius("sun", 1)).toThrowError(solarplanets.InvalidArgumentError);
+
+        // an unpowered flyby turns the excess velocity without changing its magnitude
+        const vInf_kmps = [3, -1, 0.5];
+        const mu_km3ps2 = solarplanets.BODIES.venus.mu_km3ps2;
+        const flyby = solarplanets.getFlybyFromVinf("venus", vInf_kmps, { "altitude_km": 500, "bPlaneAngle_rad": 0.3 });
+        const vInf = solarplanets.getVecNorm(vInf_kmps);
+        expect(flyby.rp_km).toBeCloseTo(6551.8, 9);
+        expect(solarplanets.getVecNorm(flyby.vInfOut_kmps)).toBeCloseTo(vInf, 12);
+        expect(flyby.eIn).toBeCloseTo(1 + flyby.rp_km * vInf * vInf / mu_km3ps2, 12);
+        expect(flyby.turnAngle_rad).toBeCloseTo(2 * Math.asin(1 / flyby.eIn), 12);
+        expect(Math.acos(solarplanets.getDotProd(vInf_kmps, flyby.vInfOut_kmps) / (vInf * vInf))).toBeCloseTo(flyby.turnAngle_rad, 9);
+        expect(flyby.b_km).toBeCloseTo(flyby.rp_km * Math.sqrt(1 + 2 * mu_km3ps2 / (flyby.rp_km * vInf * vInf)), 6);
+        expect(Math.atan2(flyby.bDotR_km, flyby.bDotT_km)).toBeCloseTo(0.3, 12);
+
+        // the asymptote turns away from the aim point
+        const { T } = solarplanets.getBplaneFrame(vInf_kmps);
+        const straight = solarplanets.getFlybyFromVinf("venus", vInf_kmps, { "rp_km": 1e5 });
+        expect(solarplanets.getDotProd(straight.vInfOut_kmps, T)).toBeLessThan(0);
+        expect(() => solarplanets.getFlybyFromVinf("venus", vInf_kmps, { "dv_kmps": -9 })).toThrowError(solarplanets.NoSolutionError);
+    },
+    "can join transfer legs with a powered flyby": () => {
+        const catalog = {
+            "earth": {
+                "a_au": 1.00000011,
+                "da_au": -0.00000005,
+                "e": 0.01671022,
+                "de": -0.00003804,
+                "inc_deg": -0.00005,
+                "dinc_sec": 46.94,
+                "raan_deg": -11.26064,
+                "draan_sec": -18228.25,
+                "lop_deg": 102.94719,
+                "dlop_sec": 1198.28,
+                "ml_deg": 100.46435,
+                "dml_sec": 129597740.63
+            },
+            "venus": {
+                "a_au": 0.72333199,
+                "da_au": 0.00000092,
+                "e": 0.00677323,
+                "de": -0.00004938,
+                "inc_deg": 3.39471,
+                "dinc_sec": -2.86,
+                "raan_deg": 76.68069,
+                "draan_sec": -996.89,
+                "lop_deg": 131.53298,
+                "dlop_sec": -108.80,
+                "ml_deg": 181.97973,
+                "dml_sec": 210664136.06
+            },
+            "mars": {
+                "a_au": 1.52366231,
+                "da_au": -0.00007221,
+                "e": 0.09341233,
+                "de": 0.00011902,
+                "inc_deg": 1.85061,
+                "dinc_sec": -25.47,
+                "raan_deg": 49.57854,
+                "draan_sec": -1020.19,
+                "lop_deg": 336.04084,
+                "dlop_sec": 1560.78,
+                "ml_deg": 355.45332,
+                "dml_sec": 68905103.78
+            }
+        };
+
+        // earth-venus-mars, departing 2028 june 2 with 150- and 180-day legs
+        const jdDepart = 2461860.5;
+        const jdFlyby = jdDepart + 150;
+        const leg1 = solarplanets.getTransferFromElementsDatetimes(catalog.earth, catalog.venus, jdDepart, jdFlyby, { "timeScale": "TDB" });
+        const leg2 = solarplanets.getTransferFromElementsDatetimes(catalog.venus, catalog.mars, jdFlyby, jdFlyby + 180, { "timeScale": "TDB" });
+        const { vInf_kmps } = solarplanets.getVinfFromCatalogDatetime(catalog, "venus", leg1.v2_kmps, jdFlyby, { "timeScale": "TDB" });
+        leg1.vInfArrive_kmps.forEach((vi, i) => expect(vInf_kmps[i]).toBeCloseTo(vi, 12));
+        const powered = solarplanets.getPoweredFlybyFromVinfs("venus", leg1.vInfArrive_kmps, leg2.vInfDepart_kmps);
+        expect(powered.isAboveSurface).toBe(true);
+        expect(Math.abs(powered.dv_kmps)).toBeLessThan(1);
+
+        // flying the solution reproduces the departure velocity of the second leg
+        const flyby = solarplanets.getFlybyFromCatalog(catalog, "venus", leg1.v2_kmps, jdFlyby, {
+            "rp_km": powered.rp_km,
+            "dv_kmps": powered.dv_kmps,
+            "bPlaneAngle_rad": powered.bPlaneAngle_rad,
+            "timeScale": "TDB"
+        });
+        flyby.vDepart_kmps.forEach((vi, i) => expect(vi).toBeCloseTo(leg2.v1_kmps[i], 6));
+        expect(() => solarplanets.getPoweredFlybyFromVinfs("venus", [1, 0, 0], [2, 0, 0])).toThrowError(solarplanets.NoSolutionError);
+    },
+
+    "can sample orbit paths": () => {
+        const mercury = {
+            "a_au": 0.38709893,
+            "da_au": 0.00000066,
+            "e": 0.20563069,
+            "de": 0.00002527,
+            "inc_deg": 7.00487,
+            "dinc_sec": -23.51,
+            "raan_deg": 48.33167,
+            "draan_sec": -446.30,
+            "lop_deg": 77.45645,
+            "dlop_sec": 573.57,
+            "ml_deg": 252.25084,
+            "dml_sec": 538101628.29
+        };
+        const dt = new Date(Date.UTC(2026, 9, 19));
+        const tol_km = 1e4;
+        const path = solarplanets.getOrbitPathFromElementsDatetime(mercury, dt, { "tol_km": tol_km });
+        const n = path.ta_rad.length;
+        const vertex = i => Array.from(path.positions.subarray(3 * i, 3 * i + 3));
+        expect(path.isClosed).toBe(true);
+        vertex(n - 1).forEach((ri, i) => expect(ri).toBeCloseTo(vertex(0)[i], 3));
+
+        // every vertex lies on the conic, and a finer tolerance adds vertices
+        const [r_km, v_kmps] = solarplanets.getRvFromElementsDatetime(mercury, dt);
+        const elements = solarplanets.getElementsFromRv(r_km, v_kmps);
+        const p_km = elements.a_au * solarplanets.AU_KM * (1 - elements.e * elements.e);
+        for (let i = 0; i < n; i += 1) {
+            expect(solarplanets.getVecNorm(vertex(i)) / (p_km / (1 + elements.e * Math.cos(path.ta_rad[i])))).toBeCloseTo(1, 12);
+        }
+        const midpoints = solarplanets.getOrbitPathFromElementsDatetime(mercury, dt, { "tol_km": tol_km / 10 });
+        expect(midpoints.ta_rad.length).toBeGreaterThan(n);
+
+        // markers are vertices at the apsides, nodes, and body
+        const markers = Object.fromEntries(path.markers.map(marker => [marker.type, marker]));
+        expect(Object.keys(markers).sort()).toEqual(["apoapsis", "ascendingNode", "body", "descendingNode", "periapsis"]);
+        expect(solarplanets.getVecNorm(markers.periapsis.r) / solarplanets.AU_KM).toBeCloseTo(elements.a_au * (1 - elements.e), 9);
+        expect(solarplanets.getVecNorm(markers.apoapsis.r) / solarplanets.AU_KM).toBeCloseTo(elements.a_au * (1 + elements.e), 9);
+        expect(markers.ascendingNode.r[2]).toBeCloseTo(0, 3);
+        expect(markers.descendingNode.r[2]).toBeCloseTo(0, 3);
+        markers.body.r.forEach((ri, i) => expect(ri).toBeCloseTo(r_km[i], 3));
+        path.markers.forEach(marker => expect(vertex(marker.index)).toEqual(marker.r));
+
+        // sampling in true anomaly crowds vertices toward perihelion
+        const inTrue = solarplanets.getOrbitPathFromElementsDatetime(mercury, dt, { "anomaly": "true", "maxStep_rad": 0.05, "tol_km": 1e9 });
+        const inEccentric = solarplanets.getOrbitPathFromElementsDatetime(mercury, dt, { "anomaly": "eccentric", "maxStep_rad": 0.05, "tol_km": 1e9 });
+        const getFarthest = ({ positions }) => Math.max(...Array.from({ "length": positions.length / 3 - 1 }, (_, i) => Math.hypot(positions[3 * i + 3] - positions[3 * i], positions[3 * i + 4] - positions[3 * i + 1], positions[3 * i + 5] - positions[3 * i + 2])));
+        expect(getFarthest(inEccentric)).toBeLessThan(getFarthest(inTrue));
+
+        // output units, and open orbits out to the given radius
+        const inAu = solarplanets.getOrbitPathFromElementsDatetime(mercury, dt, { "tol_km": tol_km, "positionUnits": "au" });
+        expect(inAu.positions[0]).toBeCloseTo(path.positions[0] / solarplanets.AU_KM, 12);
+        const hyperbola = solarplanets.getOrbitPathFromRv([1.5e8, 0, 0], [0, 45, 1], { "maxRadius_km": 1.5e9 });
+        expect(hyperbola.isClosed).toBe(false);
+        expect(hyperbola.markers.map(marker => marker.type)).not.toContain("apoapsis");
+        expect(solarplanets.getVecNorm(hyperbola.positions.subarray(0, 3))).toBeCloseTo(1.5e9, -1);
+    },
+
+    "can compress ephemerides with chebyshev polynomials": () => {
+        // x^3 = (3 T_1 + T_3) / 4, exactly, for any degree of three or more
+        const nodes = Array.from({ "length": 5 }, (_, k) => Math.cos(Math.PI * (k + 0.5) / 5));
+        const coefficients = solarplanets.getChebyshevCoefficients(nodes.map(x => x * x * x));
+        [0, 0.75, 0, 0.25, 0].forEach((c, j) => expect(coefficients[j]).toBeCloseTo(c, 14));
+        const [value, derivative] = solarplanets.getChebyshevValue(coefficients, 0.3);
+        expect(value).toBeCloseTo(0.027, 14);
+        expect(derivative).toBeCloseTo(0.27, 14);
+
+        // a year of mars, against the element model
+        const catalog = {
+            "mars": {
+                "a_au": 1.52366231,
+                "da_au": -0.00007221,
+                "e": 0.09341233,
+                "de": 0.00011902,
+                "inc_deg": 1.85061,
+                "dinc_sec": -25.47,
+                "raan_deg": 49.57854,
+                "draan_sec": -1020.19,
+                "lop_deg": 336.04084,
+                "dlop_sec": 1560.78,
+                "ml_deg": 355.45332,
+                "dml_sec": 68905103.78
+            }
+        };
+        const options = { "segment_d": 32, "degree": 10, "timeScale": "TDB" };
+        const type2 = solarplanets.getChebyshevEphemerisFromCatalog(catalog, "mars", 2461041.5, 2461406.5, options);
+        const type3 = solarplanets.getChebyshevEphemerisFromCatalog(catalog, "mars", 2461041.5, 2461406.5, { ...options, "type": 3 });
+        expect(type2.maxError_km.length).toEqual(12);
+        expect(type2.coefficients.length).toEqual(12 * 3 * 11);
+        expect(type3.coefficients.length).toEqual(12 * 6 * 11);
+        type2.maxError_km.forEach(error_km => expect(error_km).toBeLessThan(10));
+        type3.maxError_kmps.forEach(error_kmps => expect(error_kmps).toBeLessThan(1e-6));
+        [2461041.5, 2461100.25, 2461233.7, 2461406.5].forEach(jd => {
+            const [r_km, v_kmps] = solarplanets.getRvFromElementsDatetime(catalog.mars, jd, { "timeScale": "TDB" });
+            const [r2_km, v2_kmps] = solarplanets.getRvFromChebyshevEphemeris(type2, jd, { "timeScale": "TDB" });
+            const [r3_km, v3_kmps] = solarplanets.getRvFromChebyshevEphemeris(type3, jd, { "timeScale": "TDB" });
+            expect(Math.hypot(...r2_km.map((ri, i) => ri - r_km[i]))).toBeLessThan(10);
+            expect(Math.hypot(...v2_kmps.map((vi, i) => vi - v_kmps[i]))).toBeLessThan(1e-2);
+            expect(Math.hypot(...v3_kmps.map((vi, i) => vi - v_kmps[i]))).toBeLessThan(1e-6);
+            r3_km.forEach((ri, i) => expect(ri).toBeCloseTo(r2_km[i], 6));
+        });
+        expect(() => solarplanets.getRvFromChebyshevEphemeris(type2, 2461407.5, { "timeScale": "TDB" })).toThrowError(solarplanets.InvalidEpochError);
+
+        // serialized forms evaluate identically
+        const fromJson = solarplanets.getChebyshevEphemerisFromJson(solarplanets.getChebyshevJson(type3));
+        const blob = solarplanets.getChebyshevBinary(type3);
+        const fromBinary = solarplanets.getChebyshevEphemerisFromBinary(blob.buffer);
+        expect(blob.length).toBeLessThan(solarplanets.getChebyshevJson(type3).length);
+        expect(fromJson).toEqual(type3);
+        expect(fromBinary).toEqual(type3);
+        expect(() => solarplanets.getChebyshevEphemerisFromBinary(blob.subarray(0, blob.length - 8))).toThrowError(solarplanets.InvalidEphemerisError);
+        expect(() => solarplanets.getChebyshevEphemerisFromJson({ ...fromJson, "degree": 9 })).toThrowError(solarplanets.InvalidEphemerisError);
+        const corrupt = blob.slice();
+        corrupt[8] = "x".charCodeAt(0);
+        expect(() => solarplanets.getChebyshevEphemerisFromBinary(corrupt)).toThrowError(solarplanets.InvalidEphemerisError, /JSON/);
+        expect(() => solarplanets.getChebyshevEphemerisFromJson("{")).toThrowError(solarplanets.InvalidEphemerisError, /JSON/);
+
+        // fits are checked before sampling the state function
+        const getRv = jd => solarplanets.getRvFromElementsDatetime(catalog.mars, jd, { "timeScale": "TDB" });
+        expect(() => solarplanets.getChebyshevEphemerisFromFunction(getRv, 2461406.5, 2461041.5)).toThrowError(solarplanets.InvalidEpochError);
+        expect(() => solarplanets.getChebyshevEphemerisFromFunction(getRv, 2461041.5, 2461041.5)).toThrowError(solarplanets.InvalidEpochError);
+        [0, -8, NaN, Infinity].forEach(segment_d => expect(() => solarplanets.getChebyshevEphemerisFromFunction(getRv, 2461041.5, 2461406.5, { "segment_d": segment_d })).toThrowError(solarplanets.InvalidEphemerisError, /segment/));
+        [0, 2.5, -1].forEach(degree => expect(() => solarplanets.getChebyshevEphemerisFromFunction(getRv, 2461041.5, 2461406.5, { "degree": degree })).toThrowError(solarplanets.InvalidEphemerisError, /degree/));
+        expect(() => solarplanets.getChebyshevEphemerisFromFunction(getRv, 2461041.5, 2461406.5, { "type": 1 })).toThrowError(solarplanets.InvalidEphemerisError, /type/);
+    },
+
+    "can estimate launch windows from hohmann transfers": () => {
+        const earth = {
+            "a_au": 1.00000011,
+            "da_au": -0.00000005,
+            "e": 0.01671022,
+            "de": -0.00003804,
+            "inc_deg": -0.00005,
+            "dinc_sec": 46.94,
+            "raan_deg": -11.26064,
+            "draan_sec": -18228.25,
+            "lop_deg": 102.94719,
+            "dlop_sec": 1198.28,
+            "ml_deg": 100.46435,
+            "dml_sec": 129597740.63
+        };
+        const mars = {
+            "a_au": 1.52366231,
+            "da_au": -0.00007221,
+            "e": 0.09341233,
+            "de": 0.00011902,
+            "inc_deg": 1.85061,
+            "dinc_sec": -25.47,
+            "raan_deg": 49.57854,
+            "draan_sec": -1020.19,
+            "lop_deg": 336.04084,
+            "dlop_sec": 1560.78,
+            "ml_deg": 355.45332,
+            "dml_sec": 68905103.78
+        };
+
+        // the classic earth-mars transfer: 259 days, departing with mars 44 degrees ahead, every 780 days
+        const hohmann = launchwindows.getHohmannFromElementsDatetime(earth, mars, new Date(Date.UTC(2026, 9, 19)));
+        expect(hohmann.a2_km / solarplanets.AU_KM).toBeCloseTo(1.5236, 4);
+        expect(hohmann.tof_s / 86400).toBeCloseTo(259, 0);
+        expect(hohmann.phase_rad * 180 / Math.PI).toBeCloseTo(44.3, 1);
+        expect(hohmann.synodicPeriod_s / 86400).toBeCloseTo(780, -1);
+        expect(hohmann.dv1_kmps).toBeCloseTo(2.94, 2);
+        expect(hohmann.dv2_kmps).toBeCloseTo(2.65, 2);
+        const inward = launchwindows.getHohmannTransfer(hohmann.a2_km, hohmann.a1_km);
+        expect(inward.dv_kmps).toBeCloseTo(hohmann.dv_kmps, 12);
+        expect(inward.synodicPeriod_s).toBeCloseTo(hohmann.synodicPeriod_s, 3);
+        expect(launchwindows.getSynodicPeriod(1e8, 1e8)).toEqual(Infinity);
+
+        // windows recur at the synodic period, when the phase angle matches
+        const windows = launchwindows.getLaunchWindowsFromElements(earth, mars, "2026-01-01", "2032-01-01", { "count": 2 });
+        expect(windows.length).toEqual(2);
+        expect(solarplanets.getIsoFromJd(windows[0].jd)).toMatch(/^2026-1[12]/);
+        expect(windows[1].jd - windows[0].jd).toBeCloseTo(hohmann.synodicPeriod_s / 86400, -2);
+        windows.forEach(window => {
+            const phase_rad = launchwindows.getPhaseAngleFromElementsDatetime(earth, mars, window.jd, { "timeScale": "TDB" });
+            expect(phase_rad).toBeCloseTo(window.phase_rad, 5);
+            expect(window.arrivalJd - window.jd).toBeCloseTo(window.tof_s / 86400, 9);
+        });
     }
 };